@@ -1,177 +1,268 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Download, Info, Calculator, FileText, FileSpreadsheet } from 'lucide-react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Download, Calculator, FileText, FileSpreadsheet, Plus, Trash2 } from 'lucide-react';
 import jsPDF from 'jspdf';
 import QuotationGenerator from './components/QuotationGenerator';
+import InfoTooltip from './components/InfoTooltip';
+import FatigueAnalysis from './components/FatigueAnalysis';
+import BucklingAnalysis from './components/BucklingAnalysis';
+import ToleranceAnalysis from './components/ToleranceAnalysis';
+import NestedSetAnalysis from './components/NestedSetAnalysis';
+import DesignSolver from './components/DesignSolver';
+import LoadDeflectionChart from './components/LoadDeflectionChart';
+import WireCatalogue from './components/WireCatalogue';
+import MachineLibrary from './components/MachineLibrary';
+import PriceTierLibrary from './components/PriceTierLibrary';
+import { MATERIALS } from './constants/materials';
+import { WIRE_TOLERANCE_CLASSES } from './constants/wireSizes';
+import { SPRING_TYPES, HOOK_TYPES, END_TYPES, describeCoilShape } from './constants/springTypes';
+import { getTensileStrength, getSolidLength, STRESS_CORRECTIONS, getStressCorrection, PRESET, getPresetAllowance, getCompressionWireLength, getWireWeight } from './utils/springMath';
+import { FATIGUE_CRITERIA, calculateFatigue, formatCycles } from './utils/fatigue';
+import { END_FIXITY, GUIDE_TYPES, getCriticalDeflectionRatio } from './utils/buckling';
+import { TOLERANCE_SAMPLE_RANGE, TOLERANCE_GRADES, propagateTolerances, getGradeTolerances } from './utils/tolerance';
+import { NESTED_SPRING_COUNTS, designNestedSet } from './utils/nested';
+import { WORKING_POINT_MODES, createWorkingPoint, calculateWorkingPoints, formatWorkingPointRows } from './utils/workingPoints';
+import { UNIT_SYSTEMS, CURRENCIES, createUnits } from './utils/units';
+import { FIT_LIMITS, FIT_STATUS, checkFit } from './utils/fit';
+import { SURGE_ENDS, OPERATING_SPEED_UNITS, SURGE_LIMITS, getSurgeModes, checkResonance } from './utils/surge';
+import { COST_BUCKETS, DEFAULT_COST_RATES, getCostBreakdown } from './utils/costing';
+import { DEFAULT_GRIND_STOCK_PERCENT, getMaterialYield } from './utils/materialYield';
+import { PRICING_MODES, DEFAULT_PRICING, getListPrice, getMarginPercent, getMarkupPercent, solveTargetPrice } from './utils/pricing';
+import { createDefaultTierLibrary, loadTierLibrary, saveTierLibrary, findTierSet, findTier, getTierUnitPrice, getTierPrices, describeTier, formatTierRows } from './utils/priceTiers';
+import { AUTO_MACHINE, createDefaultMachines, loadCoilingMachines, saveCoilingMachines, isMachineEligible, estimateCoiling } from './utils/coiling';
+import { createDefaultWireSizes, loadWireCatalogue, saveWireCatalogue, getWireTolerance, findWireSize, findNearestWireSize } from './utils/wireCatalogue';
 
-// Material properties
-const MATERIALS = {
-    // IS 4454 Materials
-    'IS 4454 Part 1 - Cold drawn unalloyed steel': { 
-        density: 7.85, 
-        G: 80000, 
-        E: 207000,
-        UTS: 1750,
-        yieldStrength: 1400,
-        cost: 320, 
-        notes: 'Grade 1/2/3, Cold drawn unalloyed steel wire',
-        grade: 'Grade 1/2/3'
-    },
-    'IS 4454 Part 2 - Oil hardened and tempered': { 
-        density: 7.85, 
-        G: 80000, 
-        E: 207000,
-        UTS: 2000,
-        yieldStrength: 1600,
-        cost: 350, 
-        notes: 'Class I/II, Oil hardened and tempered steel wire',
-        grade: 'Class I/II'
-    },
-    'IS 4454 Part 3 - Stainless steel': { 
-        density: 7.95, 
-        G: 70000, 
-        E: 193000,
-        UTS: 1700,
-        yieldStrength: 1360,
-        cost: 550, 
-        notes: 'Grade 302/304/316, Stainless steel wire for springs',
-        grade: '302/304/316'
-    },
-    'IS 4454 Part 4 - Patented and cold drawn': { 
-        density: 7.85, 
-        G: 80000, 
-        E: 207000,
-        UTS: 1850,
-        yieldStrength: 1480,
-        cost: 380, 
-        notes: 'Class I/II, Patented and cold drawn unalloyed steel',
-        grade: 'Class I/II'
-    },
-    // Other Standard Materials
-    'Music Wire (High Carbon Steel, ASTM A228)': { 
-        density: 7.86, 
-        G: 80500, 
-        cost: 350, 
-        notes: 'High tensile strength; used in static applications'
-    },
-    'Oil Tempered Wire (ASTM A229 / A230)': { 
-        density: 7.85, 
-        G: 78500, 
-        cost: 380, 
-        notes: 'Used in heavy-duty springs; more fatigue resistant'
-    },
-    'Stainless Steel 302/304 (ASTM A313)': { 
-        density: 7.90, 
-        G: 71500, 
-        cost: 550, 
-        notes: 'Corrosion-resistant; common in food, pharma, marine'
-    },
-    'Stainless Steel 316': { 
-        density: 7.99, 
-        G: 68500, 
-        cost: 650, 
-        notes: 'Better corrosion resistance than 304'
-    },
-    'Phosphor Bronze (ASTM B159)': { 
-        density: 8.80, 
-        G: 44500, 
-        cost: 750, 
-        notes: 'Good conductivity, corrosion resistance'
-    },
-    'Beryllium Copper (ASTM B197)': { 
-        density: 8.25, 
-        G: 49500, 
-        cost: 950, 
-        notes: 'Non-magnetic, good fatigue, electrical use'
-    },
-    'Chrome Silicon (ASTM A401)': { 
-        density: 7.85, 
-        G: 81000, 
-        cost: 450, 
-        notes: 'High strength for high stress applications'
-    },
-    'Chrome Vanadium (ASTM A231)': { 
-        density: 7.85, 
-        G: 79000, 
-        cost: 480, 
-        notes: 'Shock-resistant; used in automotive springs'
-    },
-    'Inconel X-750': { 
-        density: 8.28, 
-        G: 74000, 
-        cost: 1200, 
-        notes: 'High temperature resistance; aerospace use'
-    },
-    'Monel 400': { 
-        density: 8.80, 
-        G: 65000, 
-        cost: 900, 
-        notes: 'High corrosion resistance; marine use'
-    },
-    'Titanium Alloy (Ti-6Al-4V)': { 
-        density: 4.43, 
-        G: 43500, 
-        cost: 2500, 
-        notes: 'Lightweight; used in aerospace, medical springs'
-    },
-    'Custom': { 
-        density: 7.85, 
-        G: 79300, 
-        cost: 300, 
-        notes: 'Custom material properties'
+// Recommended initial stress band for extension springs (MPa) by spring index
+// τi = 231/e^(0.105C) ± 6.9(4 - (C - 3)/6.5)
+const getInitialStressRange = (C) => {
+    const nominal = 231 / Math.exp(0.105 * C);
+    const spread = 6.9 * (4 - (C - 3) / 6.5);
+    return { min: nominal - spread, nominal, max: nominal + spread };
+};
+
+// Build the progressive load-deflection curve of a spring whose coils bottom out one by one
+// Each segment is a group of active coils with its own rate (N/mm) and free gap (mm)
+const buildProgressiveCurve = (segments) => {
+    const sorted = segments
+        .map(segment => ({ ...segment, bottomingLoad: segment.rate * segment.gap }))
+        .sort((a, b) => a.bottomingLoad - b.bottomingLoad);
+
+    // Compliance (1/k) of the coils that are still active
+    let compliance = sorted.reduce((sum, segment) => sum + 1 / segment.rate, 0);
+    const initialRate = 1 / compliance;
+    const points = [{ deflection: 0, load: 0 }];
+    let deflection = 0;
+    let load = 0;
+
+    sorted.forEach(segment => {
+        deflection += (segment.bottomingLoad - load) * compliance;
+        load = segment.bottomingLoad;
+        compliance -= 1 / segment.rate;
+        if (deflection > points[points.length - 1].deflection) {
+            points.push({ deflection, load });
+        }
+    });
+
+    return { segments: sorted, points, initialRate, solidLoad: load, solidDeflection: deflection };
+};
+
+// Load and tangent rate at a deflection on a progressive curve (clamped at solid)
+const interpolateProgressiveCurve = ({ points }, deflection) => {
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        if (deflection <= end.deflection) {
+            const rate = (end.load - start.load) / (end.deflection - start.deflection);
+            return { load: start.load + rate * (deflection - start.deflection), rate };
+        }
+    }
+    const last = points[points.length - 1];
+    return { load: last.load, rate: Infinity };
+};
+
+// Deflection at which a progressive curve reaches a load (inverse of interpolateProgressiveCurve)
+const invertProgressiveCurve = ({ points }, load) => {
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        if (load <= end.load) {
+            return start.deflection + (end.deflection - start.deflection) * (load - start.load) / (end.load - start.load);
+        }
     }
+    return points[points.length - 1].deflection;
+};
+
+// Corrected shear stress in one coil segment; coils that have bottomed out carry no further load
+const getSegmentStress = (segment, load, wireD, correction) => {
+    const K = getStressCorrection(correction, segment.meanD / wireD);
+    return (8 * Math.min(load, segment.bottomingLoad) * segment.meanD * K) / (Math.PI * Math.pow(wireD, 3));
 };
 
-// Add InfoTooltip component
-const InfoTooltip = ({ text }) => (
-  <div className="group relative inline-block ml-1">
-    <Info size={16} className="text-gray-400 inline cursor-help" />
-    <div className="invisible group-hover:visible opacity-0 group-hover:opacity-100 transition-opacity duration-200
-                    absolute z-50 w-64 p-4 mt-2 text-sm text-left
-                    bg-gray-900 text-white rounded-lg shadow-lg
-                    -translate-x-1/2 left-1/2
-                    whitespace-pre-wrap break-words">
-      {text}
-      <div className="tooltip-arrow absolute h-2 w-2 bg-gray-900 rotate-45 
-                      left-1/2 -translate-x-1/2 -top-1">
-      </div>
-    </div>
-  </div>
+// Highest corrected shear stress over all coils of a progressive spring
+const getProgressiveCoilStress = ({ segments }, load, wireD, correction) => (
+    Math.max(...segments.map(segment => getSegmentStress(segment, load, wireD, correction)))
 );
 
-// Add quantity analysis points
-const QUANTITY_POINTS = [10, 50, 500, 1000, 5000, 10000, 20000, 50000, 100000, 200000];
+// Stress in the largest coil that has not yet bottomed out (0 once every coil is solid)
+const getLargestActiveCoilStress = ({ segments }, load, wireD, correction) => {
+    const active = segments.filter(segment => segment.bottomingLoad > load);
+    if (active.length === 0) return 0;
+    const largest = active.reduce((max, segment) => segment.meanD > max.meanD ? segment : max);
+    return getSegmentStress(largest, load, wireD, correction);
+};
+
+// Energy stored up to a deflection on a progressive curve (area under the load-deflection curve)
+const getProgressiveEnergy = ({ points }, deflection) => {
+    let energy = 0;
+    for (let i = 1; i < points.length && points[i - 1].deflection < deflection; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        const segmentEnd = Math.min(end.deflection, deflection);
+        const loadAtEnd = start.load + (end.load - start.load) * (segmentEnd - start.deflection) / (end.deflection - start.deflection);
+        energy += 0.5 * (start.load + loadAtEnd) * (segmentEnd - start.deflection);
+    }
+    return energy;
+};
+
+// Card, value and badge colours of the fit check statuses, as on the spring index card
+const FIT_STATUS_CLASSES = {
+    pass: { card: 'bg-green-50', text: 'text-green-700', badge: 'bg-green-100 text-green-800' },
+    warn: { card: 'bg-yellow-50', text: 'text-yellow-700', badge: 'bg-yellow-100 text-yellow-800' },
+    fail: { card: 'bg-red-50', text: 'text-red-700', badge: 'bg-red-100 text-red-800' }
+};
+
+// Unit quantity of the numeric form fields, converted to and from the selected unit system
+const INPUT_QUANTITIES = {
+    wireD: 'length',
+    diameter: 'length',
+    smallDiameter: 'length',
+    freeLength: 'length',
+    loadHeight: 'length',
+    wireDTolerance: 'length',
+    odTolerance: 'length',
+    flTolerance: 'length',
+    guideDiameter: 'length',
+    boreDiameter: 'length',
+    rodDiameter: 'length',
+    hookBendRadius: 'length',
+    legLength1: 'length',
+    legLength2: 'length',
+    nestedClearance: 'length',
+    initialTension: 'force',
+    loadTolerance: 'force',
+    materialCost: 'pricePerMass',
+    density: 'density',
+    G: 'stress',
+    operatingTemperature: 'temperature',
+    fixedPrice: 'price',
+    targetPrice: 'price',
+    setupCost: 'price',
+    grindingCostPerEnd: 'price',
+    inspectionCost: 'price',
+    packagingCost: 'price',
+    heatTreatmentRate: 'pricePerMass',
+    shotPeeningRate: 'pricePerMass',
+    finishRate: 'pricePerMass'
+};
+
+// Torsion springs take the rate as a torque rate and the working positions as leg angles
+const getInputQuantity = (name, springType) => {
+    if (name === 'manualRate') return springType === 'torsion' ? 'torqueRate' : 'rate';
+    if (name === 'minWorkingHeight' || name === 'maxWorkingHeight') return springType === 'torsion' ? null : 'length';
+    return INPUT_QUANTITIES[name] || null;
+};
+
+// Shop rate fields of the cost build-up; quantity converts currency and mass units, unit labels the rest
+// Coiling labour, cut-off wire and setup scrap come from the machine library instead
+const COST_RATE_FIELDS = [
+    { name: 'rejectPercent', label: 'Reject Rate', unit: '%', tooltip: 'Share of springs scrapped in coiling and heat treatment; set from the material and bought as extra wire' },
+    { name: 'grindStockPercent', label: 'Grind Stock (per end)', unit: '% of a coil', tooltip: 'Share of one end coil\'s wire ground off each ground end; lost from the shipped weight' },
+    { name: 'heatTreatmentRate', label: 'Stress Relieving', quantity: 'pricePerMass', tooltip: 'Furnace cost per weight of springs stress relieved or heat treated' },
+    { name: 'grindingCostPerEnd', label: 'End Grinding (per end)', quantity: 'price', tooltip: 'Cost of grinding one end flat; applies to ground compression ends' },
+    { name: 'shotPeeningRate', label: 'Shot Peening', quantity: 'pricePerMass', tooltip: 'Peening cost per weight of springs; applies when the spring is shot peened' },
+    { name: 'finishRate', label: 'Finish / Plating', quantity: 'pricePerMass', tooltip: 'Plating or coating cost per weight of springs; applies when a finish is specified' },
+    { name: 'inspectionCost', label: 'Inspection (per piece)', quantity: 'price', tooltip: 'Load testing and dimensional inspection per spring' },
+    { name: 'packagingCost', label: 'Packaging (per piece)', quantity: 'price', tooltip: 'Packaging per spring' },
+    { name: 'overheadPercent', label: 'Overhead', unit: '%', tooltip: 'Factory overhead as a share of the direct cost' }
+];
 
 // Initial state with zeros
 const initialState = {
+    unitSystem: 'metric',
+    currency: 'INR',
+    exchangeRate: 0,
+    springType: 'compression',
     wireD: 0,
+    snapWireD: false,
     diameter: 0,
     diameterType: 'outer',
     coilsTotal: 0,
     coilsActive: 0,
     freeLength: 0,
     loadHeight: 0,
+    workingPoints: [],
     material: 'Music Wire (High Carbon Steel, ASTM A228)',
     customMaterialName: '',
     materialCost: MATERIALS['Music Wire (High Carbon Steel, ASTM A228)'].cost,
     density: MATERIALS['Music Wire (High Carbon Steel, ASTM A228)'].density,
     G: MATERIALS['Music Wire (High Carbon Steel, ASTM A228)'].G,
-    marginRatio: 0.4,
-    overrideMargin: false,
-    manualPrice: 0,
+    ...DEFAULT_PRICING,
+    targetPrice: 0,
+    customer: '',
+    priceTierSet: 'standard',
     overrideRate: false,
     manualRate: 0,
     setupCost: 0,
+    overrideSetupCost: false,
+    coilingMachine: AUTO_MACHINE,
     quantity: 0,
+    ...DEFAULT_COST_RATES,
+    rejectPercent: MATERIALS['Music Wire (High Carbon Steel, ASTM A228)'].rejectRate,
+    grindStockPercent: DEFAULT_GRIND_STOCK_PERCENT,
     wireDTolerance: 0,
     odTolerance: 0,
     flTolerance: 0,
+    toleranceSamples: 5000,
+    toleranceGrade: '',
+    loadTolerance: 0,
     coilDirection: '',
     finish: '',
-    ends: '',
+    endType: 'closedGround',
+    overrideActiveCoils: false,
+    endFixity: 'endType',
+    guideType: 'none',
+    guideDiameter: 0,
+    boreDiameter: 0,
+    rodDiameter: 0,
     otherNotes: '',
     overrideMaterialCost: false,
     materialRemark: '',
+    hookType: 'fullLoop',
+    initialTension: 0,
+    hookBendRadius: 0,
+    legLength1: 0,
+    legLength2: 0,
+    freeAngle: 0,
+    workingAngle: 0,
+    coilShape: 'cylindrical',
+    smallDiameter: 0,
+    pitchType: 'uniform',
+    pitchRatio: 2,
+    stressCorrection: 'wahl',
+    preset: false,
+    nestedSet: false,
+    nestedCount: 2,
+    nestedClearance: 0.5,
+    operatingTemperature: 20,
+    serviceHours: 1000,
+    dynamicLoading: false,
+    minWorkingHeight: 0,
+    maxWorkingHeight: 0,
+    fatigueCriterion: 'goodman',
+    shotPeened: false,
+    surgeEnds: 'fixedFixed',
+    operatingSpeed: 0,
+    operatingSpeedUnit: 'rpm',
 };
 
 const initialResults = {
@@ -196,28 +287,121 @@ const initialResults = {
     stressRatio: 0,
     elasticModulus: 0,
     maxDeflection: 0,
-    resonantFrequency: 0,
     naturalFrequency: 0,
+    surge: null,
     energyStored: 0,
     bucklingRisk: false,
     bucklingRiskRatio: 0,
-    relaxationEstimate: 0
+    bucklingStatus: '',
+    slenderness: 0,
+    seatingCoefficient: 0,
+    modulusRatio: 0,
+    criticalDeflection: 0,
+    workingDeflection: 0,
+    relaxationEstimate: 0,
+    hotModulus: 0,
+    hotSpringRate: 0,
+    hotLoadAtL1: 0,
+    relaxedLoadAtL1: 0,
+    maxServiceTemperature: 0,
+    overMaxServiceTemperature: false,
+    wireLength: 0,
+    activeCoils: 0,
+    bodyLength: 0,
+    hookLength: 0,
+    initialTension: 0,
+    initialTensionMin: 0,
+    initialTensionMax: 0,
+    initialStress: 0,
+    hookBendingStress: 0,
+    hookTorsionalStress: 0,
+    angularDeflection: 0,
+    bendingStress: 0,
+    curvatureFactor: 0,
+    loadedBodyLength: 0,
+    loadedID: 0,
+    idReduction: 0,
+    smallMeanD: 0,
+    telescoping: false,
+    rateAtL1: 0,
+    bottomedCoils: 0,
+    largestActiveCoilStress: 0,
+    fatigue: null,
+    tensileStrength: 0,
+    wireDInRange: true,
+    allowableStress: 0,
+    allowableFraction: 0,
+    stressUtilization: 0,
+    tolerance: null,
+    gradeTolerances: null,
+    workingPoints: [],
+    nested: null,
+    totalSetupCost: 0,
+    stressByCorrection: null,
+    presetAllowance: 0,
+    fit: null,
+    costBreakdown: null,
+    coiling: null,
+    materialYield: null,
+    priceTiers: [],
+    orderTier: null,
+    orderUnitPrice: 0,
+    achievedMargin: null,
+    targetPricing: null
 };
 
 const SpringCalculator = () => {
     // Update initial states
     const [inputs, setInputs] = useState(initialState);
     const [results, setResults] = useState(initialResults);
+
+    // Unit system and currency for entry, display and export; state stays metric
+    const units = createUnits(inputs.unitSystem, inputs.currency, inputs.exchangeRate);
+    const fieldValue = (name) => {
+        const quantity = getInputQuantity(name, inputs.springType);
+        return quantity ? units.field(quantity, inputs[name]) : inputs[name];
+    };
+
+    // Load and rate are torque and torque rate for torsion springs; deflection is an angle
+    const loadQuantity = inputs.springType === 'torsion' ? 'torque' : 'force';
+    const rateQuantity = inputs.springType === 'torsion' ? 'torqueRate' : 'rate';
+    const deflectionUnit = inputs.springType === 'torsion' ? '°' : units.unit('length');
+    const toDisplayDeflection = (deflection) => (inputs.springType === 'torsion' ? deflection : units.toDisplay('length', deflection));
     
-    // Add reset function
+    // Add reset function, keeping the chosen units
     const handleReset = () => {
-        setInputs(initialState);
+        setInputs(prev => ({ ...initialState, unitSystem: prev.unitSystem, currency: prev.currency, exchangeRate: prev.exchangeRate }));
         setResults(initialResults);
         setGraphData([]);
         setQuantityAnalysisData([]);
         setValidationErrors({});
     };
 
+    // Wire sizes that can be bought per material, kept in this browser
+    const [wireCatalogue, setWireCatalogue] = useState(loadWireCatalogue);
+    useEffect(() => saveWireCatalogue(wireCatalogue), [wireCatalogue]);
+
+    // Price-break tier sets and each customer's default set, kept in this browser
+    const [tierLibrary, setTierLibrary] = useState(loadTierLibrary);
+    useEffect(() => saveTierLibrary(tierLibrary), [tierLibrary]);
+
+    // Coiling machines the labour and setup are estimated from, kept in this browser
+    const [coilingMachines, setCoilingMachines] = useState(loadCoilingMachines);
+    useEffect(() => saveCoilingMachines(coilingMachines), [coilingMachines]);
+
+    const wireSizes = wireCatalogue[inputs.material];
+    const catalogueWire = findWireSize(wireSizes, inputs.wireD);
+    const nearestWire = catalogueWire ? null : findNearestWireSize(wireSizes, inputs.wireD);
+
+    // Take a catalogue size, and its tolerance when none has been entered
+    const snapToWireSize = (size) => {
+        setInputs(prev => ({
+            ...prev,
+            wireD: size.wireD,
+            wireDTolerance: prev.wireDTolerance > 0 ? prev.wireDTolerance : getWireTolerance(size.toleranceClass, size.wireD)
+        }));
+    };
+
     // Graph data
     const [graphData, setGraphData] = useState([]);
     
@@ -230,7 +414,9 @@ const SpringCalculator = () => {
     // Handle input changes
     const handleInputChange = (e) => {
         const { name, value, type, checked } = e.target;
-        const newValue = type === 'checkbox' ? checked : parseFloat(value) || (value === '0' ? 0 : value);
+        const enteredValue = type === 'checkbox' ? checked : parseFloat(value) || (value === '0' ? 0 : value);
+        const quantity = getInputQuantity(name, inputs.springType);
+        const newValue = quantity && typeof enteredValue === 'number' ? units.fromDisplay(quantity, enteredValue) : enteredValue;
         
         let newInputs = { ...inputs, [name]: newValue };
         
@@ -240,10 +426,48 @@ const SpringCalculator = () => {
                 ...newInputs,
                 density: MATERIALS[value].density,
                 G: MATERIALS[value].G,
+                rejectPercent: MATERIALS[value].rejectRate,
                 materialCost: newInputs.overrideMaterialCost ? newInputs.materialCost : MATERIALS[value].cost
             };
         }
 
+        // Keep active coils in step with total coils and the end type unless overridden
+        if (['coilsTotal', 'endType', 'overrideActiveCoils'].includes(name) && !newInputs.overrideActiveCoils
+            && typeof newInputs.coilsTotal === 'number') {
+            newInputs.coilsActive = Math.max(0, newInputs.coilsTotal - END_TYPES[newInputs.endType].endCoils);
+        }
+
+        // Prefill the diameter, free length and load tolerances from the chosen grade and current geometry
+        if (name === 'toleranceGrade' && newValue && results.meanD > 0) {
+            const grade = getGradeTolerances({ ...results, wireD: inputs.wireD, freeLength: inputs.freeLength }, newValue);
+            newInputs = {
+                ...newInputs,
+                odTolerance: Number(grade.coilDiameter.toFixed(2)),
+                flTolerance: Number(grade.freeLength.toFixed(2)),
+                loadTolerance: Number(grade.load.toFixed(2))
+            };
+        }
+
+        // A rate entered for one currency is no use for another; prices stay in rupees until the new rate is entered
+        if (name === 'currency') {
+            newInputs.exchangeRate = 0;
+        }
+
+        // Quote a customer on their default tier set
+        if (name === 'customer' && tierLibrary.customerDefaults[value]) {
+            newInputs.priceTierSet = tierLibrary.customerDefaults[value];
+        }
+
+        // Start a hand-entered setup cost from the machine estimate (per spring of a nested set)
+        if (name === 'overrideSetupCost' && checked && results.coiling) {
+            newInputs.setupCost = Number((results.coiling.setupCost / (results.nested ? results.nested.springs.length : 1)).toFixed(2));
+        }
+
+        // Start a fixed price from the current list price
+        if (name === 'pricingMode' && value === 'fixed' && !(inputs.fixedPrice > 0) && results.pricePerSpring > 0) {
+            newInputs.fixedPrice = Number(results.pricePerSpring.toFixed(2));
+        }
+
         // Handle material cost override changes
         if (name === 'overrideMaterialCost') {
             if (checked === false) {
@@ -255,9 +479,57 @@ const SpringCalculator = () => {
         setInputs(newInputs);
     };
 
+    // Add, edit and remove the working points beyond L1
+    const addWorkingPoint = () => {
+        setInputs(prev => ({ ...prev, workingPoints: [...prev.workingPoints, createWorkingPoint()] }));
+    };
+
+    const handleWorkingPointChange = (index, e) => {
+        const { name, value } = e.target;
+        const enteredValue = name === 'mode' ? value : parseFloat(value) || (value === '0' ? 0 : value);
+        setInputs(prev => ({
+            ...prev,
+            workingPoints: prev.workingPoints.map((point, i) => {
+                if (i !== index) return point;
+                const quantity = name === 'mode' ? null : WORKING_POINT_MODES[point.mode][name === 'value' ? 'quantity' : 'toleranceQuantity'];
+                return { ...point, [name]: quantity && typeof enteredValue === 'number' ? units.fromDisplay(quantity, enteredValue) : enteredValue };
+            })
+        }));
+    };
+
+    const removeWorkingPoint = (index) => {
+        setInputs(prev => ({ ...prev, workingPoints: prev.workingPoints.filter((_, i) => i !== index) }));
+    };
+
+    // Load a design solver candidate into the form as a cylindrical compression spring
+    const applySolverCandidate = (candidate, material, loadHeight) => {
+        setInputs(prev => ({
+            ...prev,
+            springType: 'compression',
+            coilShape: 'cylindrical',
+            pitchType: 'uniform',
+            material,
+            ...(material !== 'Custom' && {
+                density: MATERIALS[material].density,
+                G: MATERIALS[material].G,
+                // Price the design on the new material's reject rate, as the solver did
+                rejectPercent: material === prev.material ? prev.rejectPercent : MATERIALS[material].rejectRate,
+                materialCost: prev.overrideMaterialCost ? prev.materialCost : MATERIALS[material].cost
+            }),
+            wireD: candidate.wireD,
+            diameterType: 'outer',
+            diameter: Number(candidate.outerD.toFixed(2)),
+            coilsTotal: candidate.coilsTotal,
+            coilsActive: candidate.coilsActive,
+            overrideActiveCoils: false,
+            freeLength: Number(candidate.freeLength.toFixed(2)),
+            loadHeight
+        }));
+    };
+
     // Calculate mean diameter
-    const calculateMeanDiameter = () => {
-        const { wireD, diameter, diameterType } = inputs;
+    const calculateMeanDiameter = (diameter = inputs.diameter) => {
+        const { wireD, diameterType } = inputs;
         
         if (diameterType === 'outer') {
             return diameter - wireD;
@@ -293,11 +565,90 @@ const SpringCalculator = () => {
         }
 
         if (inputs.coilsTotal <= 0) errors.coilsTotal = "Number of coils must be positive";
-        if (inputs.coilsActive <= 0 || inputs.coilsActive > inputs.coilsTotal) 
-            errors.coilsActive = "Active coils must be positive and less than or equal to total coils";
-        if (inputs.freeLength <= 0) errors.freeLength = "Free length must be positive";
-        if (inputs.loadHeight <= 0 || inputs.loadHeight >= inputs.freeLength) 
-            errors.loadHeight = "Load height must be positive and less than free length";
+        if (inputs.springType !== 'torsion' && inputs.freeLength <= 0) errors.freeLength = "Free length must be positive";
+
+        let solidLength = 0;
+        if (inputs.springType === 'torsion') {
+            if (inputs.legLength1 < 0) errors.legLength1 = "Leg length cannot be negative";
+            if (inputs.legLength2 < 0) errors.legLength2 = "Leg length cannot be negative";
+            if (inputs.freeAngle < 0 || inputs.freeAngle >= 360)
+                errors.freeAngle = "Free angle must be between 0° and 360°";
+            if (inputs.workingAngle < 0 || inputs.workingAngle === inputs.freeAngle)
+                errors.workingAngle = "Working angle must be positive and different from the free angle";
+        } else if (inputs.springType === 'extension') {
+            // Extension springs are close wound, so body length follows from the body coils
+            const bodyLength = (inputs.coilsTotal + 1) * inputs.wireD;
+            if (inputs.freeLength > 0 && inputs.freeLength <= bodyLength)
+                errors.freeLength = `Free length inside hooks must be greater than the body length (${units.format('length', bodyLength)} ${units.unit('length')})`;
+            if (inputs.loadHeight <= inputs.freeLength)
+                errors.loadHeight = "Extended length must be greater than free length";
+            if (inputs.initialTension < 0) errors.initialTension = "Initial tension cannot be negative";
+            if (inputs.hookBendRadius !== 0 && inputs.hookBendRadius <= inputs.wireD)
+                errors.hookBendRadius = "Hook bend radius must be greater than the wire diameter";
+        } else {
+            if (inputs.coilsActive <= 0 || inputs.coilsActive > inputs.coilsTotal) 
+                errors.coilsActive = "Active coils must be positive and less than or equal to total coils";
+            if (inputs.coilShape === 'conical' && (inputs.smallDiameter <= inputs.wireD * 2 || inputs.smallDiameter >= inputs.diameter))
+                errors.smallDiameter = "Small end diameter must be less than the large end and greater than twice the wire diameter";
+            if (inputs.pitchType === 'variable' && inputs.pitchRatio < 1)
+                errors.pitchRatio = "Pitch ratio must be 1 or more";
+            if (inputs.nestedSet && (inputs.coilShape !== 'cylindrical' || inputs.pitchType !== 'uniform' || inputs.overrideRate))
+                errors.nestedSet = "Nested sets need a cylindrical, uniform-pitch outer spring without a rate override";
+            if (inputs.nestedSet && !(inputs.nestedClearance > 0))
+                errors.nestedClearance = "Radial clearance must be positive";
+            if (inputs.boreDiameter < 0)
+                errors.boreDiameter = "Bore diameter cannot be negative";
+            if (inputs.rodDiameter < 0)
+                errors.rodDiameter = "Rod diameter cannot be negative";
+
+            const meanD = calculateMeanDiameter();
+            ({ solidLength } = getSolidLength(inputs.wireD, inputs.coilsTotal, inputs.endType, meanD,
+                inputs.coilShape === 'conical' ? calculateMeanDiameter(inputs.smallDiameter) : meanD));
+            if (!errors.freeLength && !errors.smallDiameter && inputs.freeLength <= solidLength)
+                errors.freeLength = `Free length must be greater than the solid length (${units.format('length', solidLength)} ${units.unit('length')})`;
+            if (!errors.loadHeight && inputs.loadHeight < solidLength)
+                errors.loadHeight = `Load height cannot be below the solid length (${units.format('length', solidLength)} ${units.unit('length')})`;
+            if (inputs.loadHeight <= 0 || inputs.loadHeight >= inputs.freeLength) 
+                errors.loadHeight = "Load height must be positive and less than free length";
+            if (inputs.guideType === 'rod' && (inputs.guideDiameter <= 0 || inputs.guideDiameter >= meanD - inputs.wireD))
+                errors.guideDiameter = `Guide rod diameter must be positive and less than the spring ID (${units.format('length', meanD - inputs.wireD)} ${units.unit('length')})`;
+            if (inputs.guideType === 'bore' && inputs.guideDiameter <= meanD + inputs.wireD)
+                errors.guideDiameter = `Guide bore diameter must be greater than the spring OD (${units.format('length', meanD + inputs.wireD)} ${units.unit('length')})`;
+        }
+
+        if (!(inputs.toleranceSamples >= TOLERANCE_SAMPLE_RANGE.min && inputs.toleranceSamples <= TOLERANCE_SAMPLE_RANGE.max))
+            errors.toleranceSamples = `Sample count must be between ${TOLERANCE_SAMPLE_RANGE.min} and ${TOLERANCE_SAMPLE_RANGE.max}`;
+
+        if (!(inputs.operatingTemperature >= -60)) errors.operatingTemperature = `Operating temperature must be ${units.format('temperature', -60, 0)} ${units.unit('temperature')} or above`;
+        if (!(inputs.serviceHours > 0)) errors.serviceHours = "Service time must be positive";
+        if (inputs.currency !== 'INR' && !(inputs.exchangeRate > 0)) errors.exchangeRate = "Enter a positive exchange rate; prices stay in rupees until then";
+
+        Object.keys(DEFAULT_COST_RATES).forEach(rate => {
+            if (!(inputs[rate] >= 0)) errors[rate] = "Cost rate cannot be negative";
+        });
+        if (!(inputs.rejectPercent >= 0 && inputs.rejectPercent < 100)) errors.rejectPercent = "Reject rate must be from 0 to below 100%";
+        if (!(inputs.grindStockPercent >= 0 && inputs.grindStockPercent <= 100)) errors.grindStockPercent = "Grind stock must be from 0 to 100% of a coil";
+
+        if (inputs.pricingMode === 'margin' && !(inputs.marginPercent >= 0 && inputs.marginPercent < 100)) errors.marginPercent = "Gross margin must be from 0 to below 100%";
+        if (inputs.pricingMode === 'markup' && !(inputs.markupPercent >= 0)) errors.markupPercent = "Markup cannot be negative";
+        if (inputs.pricingMode === 'fixed' && !(inputs.fixedPrice > 0)) errors.fixedPrice = "Fixed price must be positive";
+        if (!(inputs.marginFloorPercent >= 0 && inputs.marginFloorPercent < 100)) errors.marginFloorPercent = "Margin floor must be from 0 to below 100%";
+        if (!(inputs.targetPrice >= 0)) errors.targetPrice = "Target price cannot be negative";
+
+        // Working positions for dynamic loading (heights, extended lengths or leg angles)
+        if (inputs.dynamicLoading) {
+            if (inputs.minWorkingHeight < 0 || inputs.maxWorkingHeight <= inputs.minWorkingHeight) {
+                errors.maxWorkingHeight = "Maximum working position must be greater than the minimum";
+            } else if (inputs.springType === 'compression') {
+                if (inputs.maxWorkingHeight > inputs.freeLength)
+                    errors.maxWorkingHeight = "Maximum working height cannot exceed the free length";
+                if (inputs.minWorkingHeight < solidLength)
+                    errors.minWorkingHeight = `Minimum working height cannot be below the solid length (${units.format('length', solidLength)} ${units.unit('length')})`;
+            } else if (inputs.springType === 'extension' && inputs.minWorkingHeight < inputs.freeLength) {
+                errors.minWorkingHeight = "Minimum extended length cannot be less than the free length";
+            }
+            if (inputs.operatingSpeed < 0) errors.operatingSpeed = "Operating speed cannot be negative";
+        }
         
         setValidationErrors(errors);
         return Object.keys(errors).length === 0;
@@ -307,8 +658,11 @@ const SpringCalculator = () => {
     const calculateResults = () => {
         if (!validateInputs()) return;
         
-        const { wireD, coilsTotal, coilsActive, freeLength, loadHeight, density, G, materialCost, marginRatio,
-                overrideMargin, manualPrice, overrideRate, manualRate, setupCost, quantity } = inputs;
+        const { springType, wireD, coilsTotal, freeLength, loadHeight, density, G, materialCost,
+                overrideRate, manualRate, setupCost, quantity } = inputs;
+        const isExtension = springType === 'extension';
+        const isTorsion = springType === 'torsion';
+        const isCompression = !isExtension && !isTorsion;
         
         // Calculate mean diameter
         const meanD = calculateMeanDiameter();
@@ -320,100 +674,460 @@ const SpringCalculator = () => {
         // Spring index
         const C = meanD / wireD;
 
-        // Calculate solid length (Ls = nt * d)
-        const solidLength = coilsTotal * wireD;
-        
-        // Calculate pitch (p = (Lf-d)/(nt-1))
-        const pitch = (freeLength - wireD) / (coilsTotal - 1);
-        
-        // Wahl correction factor
-        const K = (4*C-1)/(4*C-4) + 0.615/C;
-        
-        // Wire length (π * meanD * coilsTotal)
-        const wireLength = Math.PI * meanD * coilsTotal;
+        // Stress correction factor (Wahl, Bergsträsser or uncorrected)
+        const K = getStressCorrection(inputs.stressCorrection, C);
+
+        // Get material properties
+        const materialProps = MATERIALS[inputs.material];
+        const elasticModulus = materialProps.E;
+
+        // Minimum tensile strength at this wire diameter
+        const { tensileStrength: UTS, inRange: wireDInRange } = getTensileStrength(inputs.material, wireD);
+
+        // E is approximated as 2.6G when the material does not list it
+        const E = elasticModulus || G * 2.6;
+
+        let coilsActive = inputs.coilsActive;
+        let solidLength = 0;
+        let pitch = 0;
+        let wireLength = 0;
+        let bodyLength = 0;
+        let hookLength = 0;
+        let initialTension = 0;
+        let initialTensionMin = 0;
+        let initialTensionMax = 0;
+        let initialStress = 0;
+        let angularDeflection = 0;
+        let loadedBodyLength = 0;
+        let loadedID = 0;
+        let smallMeanD = meanD;
+        let telescoping = false;
+        let progressiveCurve = null;
+        let presetAllowance = 0;
+
+        if (isTorsion) {
+            // Angular deflection between the free and working leg positions (degrees)
+            angularDeflection = Math.abs(inputs.workingAngle - inputs.freeAngle);
+            const deflectionTurns = angularDeflection / 360;
+
+            // Active turns include the bending of the legs (Na = Nb + (L1 + L2)/(3πD))
+            coilsActive = coilsTotal + (inputs.legLength1 + inputs.legLength2) / (3 * Math.PI * meanD);
+
+            // Close-wound body length, free and when wound up by the deflection
+            bodyLength = (coilsTotal + 1) * wireD;
+            loadedBodyLength = (coilsTotal + 1 + deflectionTurns) * wireD;
+
+            // Body diameter reduces as the spring winds up (D' = D * Nb / (Nb + θ))
+            loadedID = meanD * coilsTotal / (coilsTotal + deflectionTurns) - wireD;
+
+            // Wire length: body coils plus both legs
+            wireLength = Math.PI * meanD * coilsTotal + inputs.legLength1 + inputs.legLength2;
+        } else if (isExtension) {
+            // Body length of a close-wound extension spring (Lb = (Nb + 1) * d)
+            bodyLength = (coilsTotal + 1) * wireD;
+
+            // Hook length on each end, measured from the body to the inside of the hook
+            hookLength = (freeLength - bodyLength) / 2;
+
+            // Active coils include the deflection of the hooks (Na = Nb + G/E)
+            coilsActive = coilsTotal + G / E;
+
+            // Wire length: body coils + hooks, plus any straight length beyond a standard hook
+            const hookProps = HOOK_TYPES[inputs.hookType];
+            const standardHookLength = hookProps.hookLengthFactor * id;
+            const hookWireLength = hookProps.hookTurns * Math.PI * meanD + Math.max(0, hookLength - standardHookLength);
+            wireLength = Math.PI * meanD * coilsTotal + 2 * hookWireLength;
+
+            // Recommended initial tension band (Fi = π * d³ * τi / (8 * meanD))
+            const stressRange = getInitialStressRange(C);
+            const tensionPerStress = Math.PI * Math.pow(wireD, 3) / (8 * meanD);
+            initialTensionMin = stressRange.min * tensionPerStress;
+            initialTensionMax = stressRange.max * tensionPerStress;
+
+            // Use the nominal recommended value when no initial tension is specified
+            initialTension = inputs.initialTension > 0 ? inputs.initialTension : stressRange.nominal * tensionPerStress;
+            initialStress = initialTension / tensionPerStress;
+        } else {
+            // Conical springs taper from the large end (diameter input) to the small end
+            if (inputs.coilShape === 'conical') {
+                smallMeanD = calculateMeanDiameter(inputs.smallDiameter);
+            }
+
+            // Calculate solid length
+            ({ solidLength, telescoping } = getSolidLength(wireD, coilsTotal, inputs.endType, meanD, smallMeanD));
+            
+            // Calculate pitch from the end type (p = (Lf - dead wires * d) / (Na + extra coils))
+            const endProps = END_TYPES[inputs.endType];
+            pitch = (freeLength - endProps.pitchDeadWires * wireD) / (coilsActive + endProps.pitchExtraCoils);
+            
+            // Conical and variable-pitch springs stiffen as their coils bottom out one by one
+            // (a manual rate override keeps the linear model)
+            if ((inputs.coilShape === 'conical' || inputs.pitchType === 'variable') && !overrideRate) {
+                // Split the active coils into roughly one segment per coil, each with its own diameter and gap
+                const segmentCount = Math.max(1, Math.round(coilsActive));
+                const coilsPerSegment = coilsActive / segmentCount;
+                const pitchRatio = inputs.pitchType === 'variable' ? inputs.pitchRatio : 1;
+
+                // Gaps grow linearly from the large (tight) end and share the free travel to solid
+                const weights = Array.from({ length: segmentCount }, (_, i) => (
+                    1 + (pitchRatio - 1) * (segmentCount > 1 ? i / (segmentCount - 1) : 0)
+                ));
+                const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+                const totalGap = freeLength - solidLength;
+
+                progressiveCurve = buildProgressiveCurve(weights.map((weight, i) => {
+                    const segmentMeanD = meanD + (smallMeanD - meanD) * (i + 0.5) / segmentCount;
+                    return {
+                        meanD: segmentMeanD,
+                        coils: coilsPerSegment,
+                        rate: G * Math.pow(wireD, 4) / (8 * Math.pow(segmentMeanD, 3) * coilsPerSegment),
+                        gap: totalGap * weight / weightSum
+                    };
+                }));
+            }
+
+            // Presetting: extra free length to coil, from how far the stress at solid overshoots the elastic limit
+            if (inputs.preset) {
+                const linearRate = overrideRate ? manualRate : G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * coilsActive);
+                const solidStress = progressiveCurve
+                    ? getProgressiveCoilStress(progressiveCurve, progressiveCurve.solidLoad, wireD, inputs.stressCorrection)
+                    : (8 * linearRate * (freeLength - solidLength) * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+                presetAllowance = getPresetAllowance(solidStress, materialProps.allowableStress.static * UTS, freeLength - solidLength);
+            }
+
+            // Wire length along the helix, coiled to the free length before presetting
+            wireLength = getCompressionWireLength(wireD, coilsActive, coilsTotal, freeLength + presetAllowance, inputs.endType, meanD, smallMeanD);
+        }
         
         // Wire volume (π * (wireD/2)² * wireLength)
         const wireVolume = Math.PI * Math.pow(wireD/2, 2) * wireLength;
         
-        // Spring weight in grams (volume in mm³ * density in g/cm³ / 1000)
-        const springWeight = wireVolume * density / 1000;
-        
-        // Raw material cost (weight in kg * cost per kg)
-        const rawMaterialCost = (springWeight / 1000) * materialCost;
+        // Spring weight in grams
+        const springWeight = getWireWeight(wireD, wireLength, density);
         
         // Spring rate (G * wireD^4 / (8 * meanD^3 * coilsActive))
-        let springRate = G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * coilsActive);
-        springRate = overrideRate ? manualRate : springRate;
+        // Torsion springs use the torque rate per degree (E * wireD^4 / (10.8 * meanD * coilsActive) / 360)
+        // Progressive springs report the initial rate, before any coil bottoms out
+        let springRate = isTorsion
+            ? E * Math.pow(wireD, 4) / (10.8 * meanD * coilsActive) / 360
+            : G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * coilsActive);
+        springRate = overrideRate ? manualRate : progressiveCurve ? progressiveCurve.initialRate : springRate;
         
-        // Load at L1
-        const deflection = freeLength - loadHeight;
-        const loadAtL1 = springRate * deflection;
+        // Load at L1 (extension springs carry the initial tension before they start to open)
+        // For torsion springs this is the torque at the working angle
+        const deflection = isTorsion ? angularDeflection : isExtension ? loadHeight - freeLength : freeLength - loadHeight;
+        const progressivePoint = progressiveCurve && interpolateProgressiveCurve(progressiveCurve, deflection);
+        const loadAtL1 = progressivePoint ? progressivePoint.load : initialTension + springRate * deflection;
+        const rateAtL1 = progressivePoint ? progressivePoint.rate : springRate;
 
-        // Calculate shear stress (τ = 8FDKw/πd³)
-        const shearStress = (8 * loadAtL1 * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+        // Calculate shear stress (τ = 8FDKw/πd³); torsion spring wire is loaded in bending instead
+        // For progressive springs this is the stress in the most highly stressed coil
+        let shearStress = isTorsion ? 0 : (8 * loadAtL1 * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+        if (progressiveCurve) {
+            shearStress = getProgressiveCoilStress(progressiveCurve, loadAtL1, wireD, inputs.stressCorrection);
+        }
 
-        // Calculate stress at solid length (maximum load condition)
-        const solidLengthDeflection = freeLength - solidLength;
-        const maxLoad = springRate * solidLengthDeflection;
-        const stressAtSolidLength = (8 * maxLoad * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+        let stressAtSolidLength = 0;
+        let hookBendingStress = 0;
+        let hookTorsionalStress = 0;
+        let bendingStress = 0;
+        let curvatureFactor = 0;
+        let stressRatio;
 
-        // Get material properties
-        const materialProps = MATERIALS[inputs.material];
-        const elasticModulus = materialProps.E;
-        const UTS = materialProps.UTS;
+        if (isTorsion) {
+            // Bending stress with the inner-fibre curvature correction (σ = Ki * 32M/(πd³))
+            curvatureFactor = (4 * C * C - C - 1) / (4 * C * (C - 1));
+            bendingStress = curvatureFactor * 32 * loadAtL1 / (Math.PI * Math.pow(wireD, 3));
+            stressRatio = bendingStress / UTS;
+        } else if (isExtension) {
+            // Bending stress at the hook (σA = F[(K)A * 16D/(πd³) + 4/(πd²)]), with C1 = 2r1/d = C for a full-diameter hook
+            const KA = (4 * C * C - C - 1) / (4 * C * (C - 1));
+            hookBendingStress = loadAtL1 * (KA * 16 * meanD / (Math.PI * Math.pow(wireD, 3)) + 4 / (Math.PI * Math.pow(wireD, 2)));
 
-        // Calculate stress ratio
-        const stressRatio = stressAtSolidLength / UTS;
-        
-        // Calculate price per spring
-        let pricePerSpring;
-        if (overrideMargin) {
-            pricePerSpring = manualPrice;
+            // Torsional stress at the hook bend (τB = (K)B * 8FD/(πd³)), C2 = 2r2/d with r2 defaulting to 2d
+            const bendRadius = inputs.hookBendRadius > 0 ? inputs.hookBendRadius : 2 * wireD;
+            const C2 = 2 * bendRadius / wireD;
+            const KB = (4 * C2 - 1) / (4 * C2 - 4);
+            hookTorsionalStress = (8 * loadAtL1 * meanD * KB) / (Math.PI * Math.pow(wireD, 3));
+
+            // Highest torsional stress in the body or hook against UTS
+            stressRatio = Math.max(shearStress, hookTorsionalStress) / UTS;
         } else {
-            pricePerSpring = rawMaterialCost / marginRatio;
+            // Calculate stress at solid length (maximum load condition)
+            const solidLengthDeflection = freeLength - solidLength;
+            const maxLoad = springRate * solidLengthDeflection;
+            stressAtSolidLength = progressiveCurve
+                ? getProgressiveCoilStress(progressiveCurve, progressiveCurve.solidLoad, wireD, inputs.stressCorrection)
+                : (8 * maxLoad * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+
+            // Calculate stress ratio
+            stressRatio = stressAtSolidLength / UTS;
+        }
+        
+        // Allowable stress for static or dynamic (cyclically loaded) service
+        // Torsion springs are checked in bending, where the allowable is higher by 1/0.577
+        // Preset compression springs may carry a higher static stress at solid
+        const allowableFraction = materialProps.allowableStress[inputs.dynamicLoading ? 'dynamic' : 'static'] / (isTorsion ? 0.577 : 1)
+            * (isCompression && inputs.preset && !inputs.dynamicLoading ? PRESET.allowableFactor : 1);
+        const allowableStress = allowableFraction * UTS;
+        const stressUtilization = stressRatio / allowableFraction;
+
+        // Load at a deflection from free, and the highest stress at a load, on the linear or progressive curve
+        const loadAtDeflection = (x) => (
+            progressiveCurve ? interpolateProgressiveCurve(progressiveCurve, x).load : initialTension + springRate * x
+        );
+        const stressAtLoad = (load) => {
+            if (isTorsion) return curvatureFactor * 32 * load / (Math.PI * Math.pow(wireD, 3));
+            if (progressiveCurve) return getProgressiveCoilStress(progressiveCurve, load, wireD, inputs.stressCorrection);
+            return (8 * load * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+        };
+
+        // Fatigue analysis between the two working positions
+        let fatigue = null;
+        if (inputs.dynamicLoading) {
+            const positionDeflection = (position) => (
+                isTorsion ? Math.abs(position - inputs.freeAngle) : isExtension ? position - freeLength : freeLength - position
+            );
+            const loadAtPosition = (position) => loadAtDeflection(positionDeflection(position));
+            const loads = [loadAtPosition(inputs.minWorkingHeight), loadAtPosition(inputs.maxWorkingHeight)];
+            const stresses = loads.map(stressAtLoad);
+
+            // Torsional strengths (Ssu = 0.67 Sut, Ssy = 0.45 Sut); torsion spring legs are loaded in bending,
+            // so they use Sut, Sy = 0.78 Sut and the endurance point converted from torsion (÷ 0.577)
+            const endurance = materialProps.endurance;
+            fatigue = {
+                ...calculateFatigue({
+                    minStress: Math.min(...stresses),
+                    maxStress: Math.max(...stresses),
+                    ultimateStrength: isTorsion ? UTS : 0.67 * UTS,
+                    yieldStrength: isTorsion ? 0.78 * UTS : 0.45 * UTS,
+                    endurance: isTorsion ? { Ssa: endurance.Ssa / 0.577, Ssm: endurance.Ssm / 0.577 } : endurance,
+                    shotPeened: inputs.shotPeened,
+                    criterion: inputs.fatigueCriterion
+                }),
+                minLoad: Math.min(...loads),
+                maxLoad: Math.max(...loads)
+            };
         }
         
+        // Nested set: inner springs designed from this (outer) spring, sharing its free length and deflection
+        const nested = isCompression && inputs.nestedSet ? designNestedSet(
+            { wireD, meanD, coilsTotal, coilsActive, freeLength, wireLength },
+            {
+                springCount: inputs.nestedCount,
+                clearance: inputs.nestedClearance,
+                endType: inputs.endType,
+                material: inputs.material,
+                G,
+                density,
+                materialCost,
+                deflection,
+                allowableFraction,
+                coilDirection: inputs.coilDirection,
+                stressCorrection: inputs.stressCorrection
+            }
+        ) : null;
+
+        // Coiling time on the chosen or cheapest eligible machine, one run per spring of a nested set
+        const coiling = estimateCoiling(
+            coilingMachines,
+            nested
+                ? nested.springs.map(spring => ({ wireD: spring.wireD, od: spring.od, wireLength: spring.wireLength }))
+                : [{ wireD, od, wireLength }],
+            quantity,
+            inputs.coilingMachine
+        );
+
+        // Wire bought against wire shipped: cut-off and setup scrap of the machine, rejects and grind stock
+        const materialYield = getMaterialYield(
+            (nested ? nested.springs : [{ wireD, meanD, springWeight }]).map((spring, i) => ({
+                wireD: spring.wireD,
+                meanD: spring.meanD,
+                springWeight: spring.springWeight,
+                groundEnds: isCompression && END_TYPES[inputs.endType].ground,
+                cutOffLength: coiling ? coiling.runs[i].machine.cutOffLength : 0,
+                setupScrapPieces: coiling ? coiling.runs[i].machine.setupScrapPieces : 0
+            })),
+            { density, quantity, rejectPercent: inputs.rejectPercent, grindStockPercent: inputs.grindStockPercent }
+        );
+
+        // A nested set is priced as one item: material and setup of every spring added together
+        // Material is costed on the gross wire; setup is the machine changeover plus the setup scrap unless it is
+        // entered by hand or no machine can coil the spring
+        const setRawMaterialCost = (materialYield.grossWeight / 1000) * materialCost;
+        const totalSetupCost = coiling && !inputs.overrideSetupCost
+            ? coiling.setupCost + (materialYield.setupScrapWeight / 1000) * materialCost
+            : nested ? setupCost * nested.springs.length : setupCost;
+
+        // Full manufacturing cost: material with scrap, each process step and overhead
+        // Grinding applies to ground compression ends, shot peening to peened springs under cyclic load and
+        // the finish rate whenever a finish is specified
+        const costBreakdown = getCostBreakdown(
+            {
+                rawMaterialCost: setRawMaterialCost,
+                coilingCost: coiling ? coiling.labourPerPiece : 0,
+                springWeight: nested ? nested.springWeight : springWeight,
+                pieces: nested ? nested.springs.length : 1,
+                groundEnds: isCompression && END_TYPES[inputs.endType].ground,
+                shotPeened: inputs.dynamicLoading && inputs.shotPeened,
+                finished: inputs.finish.trim() !== ''
+            },
+            inputs
+        );
+
+        // List price per spring (per set for nested springs): a margin or markup on the full cost, or a fixed price
+        const pricePerSpring = getListPrice(costBreakdown.totalCost, inputs);
+        
+        // Price breaks of the selected tier set; the order quantity is priced in the tier it falls in
+        const tierPricing = { listPrice: pricePerSpring, unitCost: costBreakdown.totalCost, fixedPrice: inputs.pricingMode === 'fixed', setupCost: totalSetupCost };
+        const tierSet = findTierSet(tierLibrary, inputs.priceTierSet);
+        const orderTier = findTier(tierSet ? tierSet.tiers : [], quantity);
+        const orderUnitPrice = getTierUnitPrice(orderTier, tierPricing);
+        const priceTiers = getTierPrices(tierSet, quantity, tierPricing);
+
         // Calculate overall selling price
-        const overallSellingPrice = (setupCost + (pricePerSpring * quantity)) / quantity;
+        const overallSellingPrice = (totalSetupCost + (orderUnitPrice * quantity)) / quantity;
+
+        // Margin and markup the order actually achieves once the tier and the setup are taken into account
+        const orderCost = costBreakdown.totalCost + totalSetupCost / quantity;
+        const achievedMarginPercent = getMarginPercent(overallSellingPrice, orderCost);
+        const achievedMargin = {
+            marginPercent: achievedMarginPercent,
+            markupPercent: getMarkupPercent(overallSellingPrice, orderCost),
+            belowFloor: achievedMarginPercent < inputs.marginFloorPercent
+        };
+
+        // What the customer's target price per spring earns and the smallest order it still pays for the setup at
+        const targetPricing = inputs.targetPrice > 0
+            ? solveTargetPrice(inputs.targetPrice, { unitCost: costBreakdown.totalCost, setupCost: totalSetupCost, quantity })
+            : null;
         
-        // Calculate total wire weight for production quantity
-        const totalWireWeight = (springWeight * quantity) / 1000; // Convert to kg
+        // Wire to order for the production quantity, with every allowance (kg)
+        const totalWireWeight = materialYield.grossBatchWeight;
         
-        // Calculate maximum deflection (δmax = F/k)
-        const maxDeflection = loadAtL1 / springRate;
-
-        // Calculate spring mass (in kg)
-        const springMass = springWeight / 1000;
-
-        // Calculate natural frequency (f = (1/2π)√(k/m))
-        // Convert spring rate to N/m and mass to kg
-        const springRateNm = springRate * 1000; // Convert from N/mm to N/m
-        const naturalFrequency = (1 / (2 * Math.PI)) * Math.sqrt(springRateNm / springMass);
-
-        // Resonant frequency (typically 0.5-0.8 times natural frequency)
-        const resonantFrequency = 0.65 * naturalFrequency;
-
-        // Calculate energy stored (U = ½kδ²)
-        const energyStored = 0.5 * springRate * Math.pow(maxDeflection, 2);
-
-        // Calculate buckling risk
-        // Critical length ratio (L/D) for compression springs
-        const lengthDiameterRatio = freeLength / meanD;
-        const criticalRatio = 2.6; // Standard critical ratio for fixed-fixed end conditions
-        const bucklingRisk = lengthDiameterRatio > criticalRatio;
-        const bucklingRiskRatio = lengthDiameterRatio / criticalRatio;
-
-        // Estimate relaxation (typical range 1-5% for most spring materials)
-        // This is a simplified estimate based on material type
-        let relaxationEstimate = 0;
-        if (inputs.material.includes('Stainless')) {
-            relaxationEstimate = 2; // 2% for stainless steel
-        } else if (inputs.material.includes('Music Wire')) {
-            relaxationEstimate = 1; // 1% for music wire
-        } else {
-            relaxationEstimate = 3; // 3% for other materials
+        // Calculate maximum deflection (δmax = F/k, less the initial tension for extension springs)
+        const maxDeflection = progressiveCurve ? deflection : (loadAtL1 - initialTension) / springRate;
+
+        // Surge modes from the rate and the distributed mass of the active coils (m = π²d²DNaρ/4),
+        // checked against the operating frequency of a cyclically loaded spring
+        let surge = null;
+        if (!isTorsion) {
+            const activeMass = Math.PI * Math.PI * wireD * wireD * meanD * Math.min(coilsActive, coilsTotal) * density / 4 / 1000;
+            const modes = getSurgeModes(springRate, activeMass, inputs.surgeEnds);
+            const operatingFrequency = inputs.dynamicLoading && inputs.operatingSpeed > 0
+                ? inputs.operatingSpeed * OPERATING_SPEED_UNITS[inputs.operatingSpeedUnit].perSecond
+                : 0;
+            surge = {
+                ends: inputs.surgeEnds,
+                activeMass,
+                modes,
+                operatingFrequency,
+                resonance: operatingFrequency > 0 ? checkResonance(modes, operatingFrequency) : null
+            };
+        }
+        const naturalFrequency = surge ? surge.modes[0].frequency : 0;
+
+        // Calculate energy stored (U = Fi·δ + ½kδ², or ½Mθ with θ in radians for torsion springs)
+        let energyStored = isTorsion
+            ? 0.5 * loadAtL1 * angularDeflection * Math.PI / 180
+            : initialTension * maxDeflection + 0.5 * springRate * Math.pow(maxDeflection, 2);
+        if (progressiveCurve) {
+            energyStored = getProgressiveEnergy(progressiveCurve, deflection);
         }
 
+        // Buckling check (compression springs only; extension and torsion springs cannot buckle)
+        // Critical deflection from the slenderness λ = νL0/D, compared with the largest working deflection
+        const seatingCoefficient = inputs.endFixity === 'endType'
+            ? END_TYPES[inputs.endType].bucklingEndFactor
+            : END_FIXITY[inputs.endFixity].seatingCoefficient;
+        const slenderness = seatingCoefficient * freeLength / meanD;
+        const modulusRatio = G / E;
+        const criticalDeflection = freeLength * getCriticalDeflectionRatio(slenderness, modulusRatio);
+        const workingDeflection = inputs.dynamicLoading
+            ? Math.max(deflection, freeLength - inputs.minWorkingHeight)
+            : deflection;
+        const bucklingRisk = isCompression && workingDeflection >= criticalDeflection;
+        const bucklingRiskRatio = isCompression && criticalDeflection !== Infinity ? workingDeflection / criticalDeflection : 0;
+
+        // A guide rod or bore stops a slender spring from buckling sideways
+        let bucklingStatus = '';
+        if (isCompression) {
+            if (!bucklingRisk) bucklingStatus = 'Stable';
+            else if (inputs.guideType !== 'none') bucklingStatus = 'Guided — OK';
+            else bucklingStatus = 'Buckles';
+        }
+
+        // Operating temperature: G and E fall linearly with temperature, scaling the rate and load together
+        const { maxService, modulusLoss } = materialProps.temperature;
+        const operatingTemperature = inputs.operatingTemperature;
+        const modulusFactor = 1 - modulusLoss * (operatingTemperature - 20) / 100;
+        const hotModulus = (isTorsion ? E : G) * modulusFactor;
+        const hotSpringRate = springRate * modulusFactor;
+        const hotLoadAtL1 = initialTension + (loadAtL1 - initialTension) * modulusFactor;
+        const overMaxServiceTemperature = operatingTemperature > maxService;
+
+        // Estimate relaxation (load loss at the working height) over the service time
+        // Reference: 5% loss at 45% of Sut after 48 h at the material's maximum service temperature,
+        // doubling every 25 °C, growing with the square of the stress and with log time; presetting cuts it
+        const workingStressRatio = (isTorsion ? bendingStress * 0.577 : shearStress) / UTS;
+        const timeFactor = Math.max(0.5, 1 + 0.25 * Math.log10(Math.max(1, inputs.serviceHours) / 48));
+        const relaxationEstimate = Math.min(100,
+            5 * Math.pow(workingStressRatio / 0.45, 2) * Math.pow(2, (operatingTemperature - maxService) / 25) * timeFactor
+            * (isCompression && inputs.preset ? PRESET.relaxationFactor : 1));
+        const relaxedLoadAtL1 = hotLoadAtL1 * (1 - relaxationEstimate / 100);
+
+        // Spread of rate, load and stress from the drawing tolerances (linear springs only)
+        const tolerance = progressiveCurve || overrideRate ? null : propagateTolerances(
+            { springType, coilsActive, loadHeight, G, E, initialTension, angularDeflection, stressCorrection: inputs.stressCorrection },
+            { wireD, od, freeLength: isTorsion ? 0 : freeLength },
+            { wireD: Math.abs(inputs.wireDTolerance), od: Math.abs(inputs.odTolerance), freeLength: isTorsion ? 0 : Math.abs(inputs.flTolerance) },
+            Math.round(inputs.toleranceSamples)
+        );
+
+        // Body stress at L1 and at solid under every correction method, for comparison
+        const stressByCorrection = isTorsion ? null : Object.fromEntries(Object.keys(STRESS_CORRECTIONS).map(method => {
+            const stressAt = (load) => (progressiveCurve
+                ? getProgressiveCoilStress(progressiveCurve, load, wireD, method)
+                : (8 * load * meanD * getStressCorrection(method, C)) / (Math.PI * Math.pow(wireD, 3)));
+            return [method, {
+                atL1: stressAt(loadAtL1),
+                atSolid: isCompression ? stressAt(progressiveCurve ? progressiveCurve.solidLoad : springRate * (freeLength - solidLength)) : null
+            }];
+        }));
+
+        // Working points: L1 at the load height, then the added test heights or loads as L2, L3, ...
+        const workingPoints = isTorsion ? [] : calculateWorkingPoints([
+            { label: 'L1', mode: 'height', value: loadHeight, tolerance: inputs.loadTolerance },
+            ...inputs.workingPoints.map((point, i) => ({ ...point, label: `L${i + 2}` }))
+        ], {
+            springType,
+            freeLength,
+            solidLength,
+            maxLoad: isExtension ? Infinity : progressiveCurve ? progressiveCurve.solidLoad : springRate * (freeLength - solidLength),
+            stressAtSolid: stressAtSolidLength,
+            loadAt: loadAtDeflection,
+            deflectionAt: (load) => (
+                progressiveCurve ? invertProgressiveCurve(progressiveCurve, load) : (load - initialTension) / springRate
+            ),
+            stressAt: stressAtLoad
+        });
+
+        // OD growth and clearances in the bore and on the rod, down to the deepest working height
+        // (the dynamic minimum working height included); conical and variable-pitch springs are not checked
+        const fit = isCompression && inputs.coilShape === 'cylindrical' && inputs.pitchType === 'uniform' ? checkFit(
+            { wireD, meanD, coilsActive, freeLength, solidLength, odTolerance: inputs.odTolerance },
+            [
+                ...workingPoints.filter(point => !point.error).map(({ label, height }) => ({ label, height })),
+                ...(inputs.dynamicLoading ? [{ label: 'Min. working', height: inputs.minWorkingHeight }] : [])
+            ],
+            { boreDiameter: inputs.boreDiameter, rodDiameter: inputs.rodDiameter }
+        ) : null;
+
+        // Permissible deviations of the selected tolerance grade (compression springs only)
+        const gradeTolerances = isCompression && inputs.toleranceGrade
+            ? getGradeTolerances({ meanD, wireD, freeLength, springRate, loadAtL1 }, inputs.toleranceGrade)
+            : null;
+
         // Update results
         setResults({
             meanD,
@@ -422,7 +1136,7 @@ const SpringCalculator = () => {
             springIndex: C,
             wireVolume,
             springWeight,
-            rawMaterialCost,
+            rawMaterialCost: setRawMaterialCost,
             springRate,
             loadAtL1,
             sellingPrice: pricePerSpring,
@@ -437,37 +1151,104 @@ const SpringCalculator = () => {
             stressRatio,
             elasticModulus,
             maxDeflection,
-            resonantFrequency,
             naturalFrequency,
+            surge,
             energyStored,
             bucklingRisk,
             bucklingRiskRatio,
-            relaxationEstimate
+            bucklingStatus,
+            slenderness,
+            seatingCoefficient,
+            modulusRatio,
+            criticalDeflection,
+            workingDeflection,
+            relaxationEstimate,
+            hotModulus,
+            hotSpringRate,
+            hotLoadAtL1,
+            relaxedLoadAtL1,
+            maxServiceTemperature: maxService,
+            overMaxServiceTemperature,
+            wireLength,
+            activeCoils: coilsActive,
+            bodyLength,
+            hookLength,
+            initialTension,
+            initialTensionMin,
+            initialTensionMax,
+            initialStress,
+            hookBendingStress,
+            hookTorsionalStress,
+            angularDeflection,
+            bendingStress,
+            curvatureFactor,
+            loadedBodyLength,
+            loadedID,
+            idReduction: id - loadedID,
+            smallMeanD,
+            telescoping,
+            rateAtL1,
+            bottomedCoils: progressiveCurve
+                ? progressiveCurve.segments
+                    .filter(segment => segment.bottomingLoad <= loadAtL1)
+                    .reduce((sum, segment) => sum + segment.coils, 0)
+                : 0,
+            largestActiveCoilStress: progressiveCurve ? getLargestActiveCoilStress(progressiveCurve, loadAtL1, wireD, inputs.stressCorrection) : shearStress,
+            fatigue,
+            tensileStrength: UTS,
+            wireDInRange,
+            allowableStress,
+            allowableFraction,
+            stressUtilization,
+            tolerance,
+            gradeTolerances,
+            workingPoints,
+            nested,
+            totalSetupCost,
+            stressByCorrection,
+            presetAllowance,
+            fit,
+            costBreakdown,
+            coiling,
+            materialYield,
+            priceTiers,
+            orderTier,
+            orderUnitPrice,
+            achievedMargin,
+            targetPricing
         });
         
-        // Generate graph data for load vs deflection
-        const graphPoints = [];
-        const graphMaxDeflection = freeLength;
-        for (let i = 0; i <= graphMaxDeflection; i += graphMaxDeflection / 10) {
-            graphPoints.push({
-                deflection: i,
-                load: springRate * i
-            });
-        }
+        // Generate graph data for load vs deflection (torque vs angular deflection for torsion springs)
+        // Compression springs are plotted up to solid; extension and torsion springs to 1.25x the working deflection
+        // Each point carries the stress and the spring height (extended length, or leg angle for torsion springs)
+        const graphMaxDeflection = isCompression ? freeLength - solidLength : deflection * 1.25;
+        const samples = graphMaxDeflection > 0 ? Array.from({ length: 41 }, (_, i) => graphMaxDeflection * i / 40) : [];
+        // Progressive curves also take every bottoming point so the knees are drawn exactly
+        const graphDeflections = progressiveCurve
+            ? [...samples, ...progressiveCurve.points.map(point => point.deflection).filter(value => value <= graphMaxDeflection)]
+                .sort((a, b) => a - b)
+                .filter((value, i, values) => i === 0 || value - values[i - 1] > 1e-9)
+            : samples;
+        const legDirection = inputs.workingAngle >= inputs.freeAngle ? 1 : -1;
+        const graphPoints = graphDeflections.map(value => {
+            const load = loadAtDeflection(value);
+            return {
+                deflection: value,
+                load,
+                stress: stressAtLoad(load),
+                position: isTorsion ? inputs.freeAngle + legDirection * value : isExtension ? freeLength + value : freeLength - value
+            };
+        });
         setGraphData(graphPoints);
 
-        // Generate quantity analysis data
-        const quantityPoints = QUANTITY_POINTS.map(qty => ({
-            quantity: qty,
-            price: (setupCost + (pricePerSpring * qty)) / qty
-        }));
-        setQuantityAnalysisData(quantityPoints);
+        // Generate quantity analysis data from the price breaks
+        setQuantityAnalysisData(priceTiers.map(row => ({ quantity: row.quantity, price: row.pricePerSpring })));
     };
     
     // Re-calculate when inputs change
     useEffect(() => {
         calculateResults();
-    }, [inputs]); // eslint-disable-line react-hooks/exhaustive-deps
+    }, [inputs, coilingMachines, tierLibrary]); // eslint-disable-line react-hooks/exhaustive-deps
     
     // Download results as CSV
     const downloadResults = () => {
@@ -479,28 +1260,129 @@ const SpringCalculator = () => {
             `${materialName} (${inputs.materialRemark})` : 
             materialName;
             
+        const extensionRows = inputs.springType === 'extension' ? `Hook Type,${HOOK_TYPES[inputs.hookType].label},
+Body Length,${units.format('length', results.bodyLength, 2)},${units.unit('length')}
+Hook Length,${units.format('length', results.hookLength, 2)},${units.unit('length')}
+Active Coils (incl. hooks),${results.activeCoils.toFixed(2)},
+Initial Tension,${units.format('force', results.initialTension, 2)},${units.unit('force')}
+Recommended Initial Tension,${units.format('force', results.initialTensionMin, 2)} - ${units.format('force', results.initialTensionMax, 2)},${units.unit('force')}
+Hook Bending Stress,${units.format('stress', results.hookBendingStress, 2)},${units.unit('stress')}
+Hook Torsional Stress,${units.format('stress', results.hookTorsionalStress, 2)},${units.unit('stress')}
+Wire Length,${units.format('length', results.wireLength, 2)},${units.unit('length')}
+` : '';
+        const compressionRows = inputs.springType === 'compression' ? `End Type,${END_TYPES[inputs.endType].designation},
+Coil Shape,"${describeCoilShape(inputs, units)}",
+Solid Length,${units.format('length', results.solidLength, 2)},${units.unit('length')}
+Stress at Solid Length,${units.format('stress', results.stressAtSolidLength, 2)},${units.unit('stress')}
+${inputs.preset ? `Preset,Yes (set removal),
+Coiled Free Length (before preset),${units.format('length', inputs.freeLength + results.presetAllowance, 2)},${units.unit('length')}
+` : ''}${inputs.coilShape === 'conical' || inputs.pitchType === 'variable' ? `Rate at Load Height,${units.format('rate', results.rateAtL1, 2)},${units.unit('rate')}
+Coils Bottomed at Load Height,${results.bottomedCoils.toFixed(1)},
+Stress in Largest Active Coil,${units.format('stress', results.largestActiveCoilStress, 2)},${units.unit('stress')}
+` : ''}` : '';
+        const isTorsion = inputs.springType === 'torsion';
+        const torsionRows = isTorsion ? `Leg Length 1,${fieldValue('legLength1')},${units.unit('length')}
+Leg Length 2,${fieldValue('legLength2')},${units.unit('length')}
+Free Angle,${inputs.freeAngle},°
+Working Angle,${inputs.workingAngle},°
+Angular Deflection,${results.angularDeflection.toFixed(2)},°
+Active Turns (incl. legs),${results.activeCoils.toFixed(2)},
+Bending Stress,${units.format('stress', results.bendingStress, 2)},${units.unit('stress')}
+Body ID Under Load,${units.format('length', results.loadedID, 2)},${units.unit('length')}
+Wire Length,${units.format('length', results.wireLength, 2)},${units.unit('length')}
+` : '';
+        const workingPointRows = results.workingPoints.length > 0 ? `
+Working Points
+${formatWorkingPointRows(results.workingPoints, inputs.springType, units).map(row => row.join(',')).join('\n')}
+` : '';
+        const stressCorrectionRows = results.stressByCorrection ? `Stress Correction,${STRESS_CORRECTIONS[inputs.stressCorrection].label} (${STRESS_CORRECTIONS[inputs.stressCorrection].symbol} = ${results.wahlFactor.toFixed(3)}),
+${Object.entries(results.stressByCorrection).map(([method, stress]) => `Stress at L1 (${STRESS_CORRECTIONS[method].label}),${units.format('stress', stress.atL1, 2)},${units.unit('stress')}${stress.atSolid === null ? '' : `
+Stress at Solid (${STRESS_CORRECTIONS[method].label}),${units.format('stress', stress.atSolid, 2)},${units.unit('stress')}`}`).join('\n')}
+` : '';
+        const { fatigue } = results;
+        const fatigueRows = fatigue ? `Fatigue Criterion,${FATIGUE_CRITERIA[fatigue.criterion].label}${fatigue.shotPeened ? ' (shot peened)' : ''},
+Minimum Working Stress,${units.format('stress', fatigue.minStress, 2)},${units.unit('stress')}
+Maximum Working Stress,${units.format('stress', fatigue.maxStress, 2)},${units.unit('stress')}
+Mean Stress,${units.format('stress', fatigue.meanStress, 2)},${units.unit('stress')}
+Alternating Stress,${units.format('stress', fatigue.alternatingStress, 2)},${units.unit('stress')}
+Endurance Limit (fully reversed),${units.format('stress', fatigue.enduranceLimit, 2)},${units.unit('stress')}
+Fatigue Safety Factor,${fatigue.safetyFactor.toFixed(2)},
+Yield Safety Factor,${fatigue.yieldSafetyFactor.toFixed(2)},
+Estimated Cycles to Failure,${formatCycles(fatigue.cyclesToFailure)},cycles
+Fatigue Verdict,${fatigue.verdict},
+` : '';
+        const costRows = results.costBreakdown ? `${results.costBreakdown.buckets.map(({ bucket, cost }) => `${COST_BUCKETS[bucket].label} Cost,${units.format('price', cost, 3)},${units.symbol}`).join('\n')}
+Total Manufacturing Cost,${units.format('price', results.costBreakdown.totalCost, 3)},${units.symbol}
+` : '';
+        const { materialYield } = results;
+        const materialYieldRows = materialYield ? `Total Wire Weight (net),${units.format('bulkMass', materialYield.netBatchWeight, 2)},${units.unit('bulkMass')}
+Material Yield,${materialYield.yieldPercent.toFixed(1)},%
+Net Weight per ${results.nested ? 'Set' : 'Spring'},${units.format('mass', materialYield.netWeight, 2)},${units.unit('mass')}
+Gross Weight per ${results.nested ? 'Set' : 'Spring'},${units.format('mass', materialYield.grossWeight, 2)},${units.unit('mass')}
+Cut-off Wire per ${results.nested ? 'Set' : 'Spring'},${units.format('mass', materialYield.cutOffWeight, 2)},${units.unit('mass')}
+Grind Stock per ${results.nested ? 'Set' : 'Spring'},${units.format('mass', materialYield.grindStock, 2)},${units.unit('mass')}
+Reject Rate,${inputs.rejectPercent},%
+Setup Scrap per Batch,${units.format('mass', materialYield.setupScrapWeight, 2)},${units.unit('mass')}
+` : '';
+        const { coiling } = results;
+        const coilingRows = coiling ? `${coiling.runs.map(run => `Coiling Machine,${run.machine.name},
+Coiling Output,${Math.floor(run.piecesPerHour)},pcs/h`).join('\n')}
+Setup Time,${coiling.setupTime.toFixed(1)},h
+Batch Coiling Time,${coiling.batchHours.toFixed(1)},h
+Batch Labour Cost,${units.format('price', coiling.batchLabourCost)},${units.symbol}
+` : '';
+        const { achievedMargin, targetPricing } = results;
+        const pricingRows = achievedMargin ? `Pricing Mode,${PRICING_MODES[inputs.pricingMode].label},
+${inputs.pricingMode === 'fixed' ? `Fixed Price,${fieldValue('fixedPrice')},${units.symbol}` : inputs.pricingMode === 'markup' ? `Markup on Cost,${inputs.markupPercent},%` : `Gross Margin,${inputs.marginPercent},%`}
+Achieved Gross Margin,${achievedMargin.marginPercent.toFixed(1)},%${achievedMargin.belowFloor ? ` (below ${inputs.marginFloorPercent}% floor)` : ''}
+Achieved Markup,${achievedMargin.markupPercent.toFixed(1)},%
+${targetPricing ? `Target Price,${units.format('price', targetPricing.targetPrice)},${units.symbol}
+Target Margin on Unit Cost,${targetPricing.marginPercent.toFixed(1)},%
+Target Markup on Unit Cost,${targetPricing.markupPercent.toFixed(1)},%
+Target Margin at Order Quantity,${targetPricing.orderMarginPercent.toFixed(1)},%
+Target Break-even Quantity,${Number.isFinite(targetPricing.breakEvenQuantity) ? targetPricing.breakEvenQuantity : 'below unit cost'},pcs
+` : ''}` : '';
+        const { surge } = results;
+        const surgeRows = surge ? `Surge End Condition,${SURGE_ENDS[surge.ends].label},
+Active Coil Mass,${units.format('mass', surge.activeMass, 2)},${units.unit('mass')}
+${surge.modes.map(mode => `Surge Mode f${mode.order},${mode.frequency.toFixed(1)},Hz`).join('\n')}
+${surge.resonance ? `Operating Frequency,${surge.operatingFrequency.toFixed(2)},Hz
+Surge / Operating Ratio,${surge.resonance.ratio.toFixed(1)},${surge.resonance.ratioOk ? 'OK' : `below ${SURGE_LIMITS.minRatio}`}
+${surge.resonance.nearHarmonics.map(near => `Near Resonance f${near.mode},${near.harmonic}x operating = ${near.forcingFrequency.toFixed(1)} Hz (${(near.offset * 100).toFixed(1)}%),`).join('\n')}${surge.resonance.nearHarmonics.length > 0 ? '\n' : ''}` : ''}` : '';
+            
         const csvContent = `Parameter,Value,Unit
-Wire Diameter,${inputs.wireD},mm
-Diameter (${inputs.diameterType}),${inputs.diameter},mm
-Mean Diameter,${meanD.toFixed(2)},mm
+Spring Type,${SPRING_TYPES[inputs.springType].label},
+Wire Diameter,${fieldValue('wireD')},${units.unit('length')}
+Diameter (${inputs.diameterType}),${fieldValue('diameter')},${units.unit('length')}
+Mean Diameter,${units.format('length', meanD, 2)},${units.unit('length')}
 Total Coils,${inputs.coilsTotal},
 Active Coils,${inputs.coilsActive},
-Free Length,${inputs.freeLength},mm
-Load Height,${inputs.loadHeight},mm
+Free Length,${fieldValue('freeLength')},${units.unit('length')}
+Load Height,${fieldValue('loadHeight')},${units.unit('length')}
 Material,${materialDisplay},
-Material Cost,${inputs.materialCost},₹/kg
-Density,${inputs.density},g/cm³
-Shear Modulus (G),${inputs.G},MPa
-Wire Volume,${wireVolume.toFixed(2)},mm³
-Spring Weight,${springWeight.toFixed(2)},g
-Raw Material Cost,${rawMaterialCost.toFixed(2)},₹
-Spring Rate,${springRate.toFixed(2)},N/mm
-Load at L1,${loadAtL1.toFixed(2)},N
-Selling Price,${sellingPrice.toFixed(2)},₹
-Price per Spring,${pricePerSpring.toFixed(2)},₹
-Overall Selling Price,${overallSellingPrice.toFixed(2)},₹
-Total Wire Weight,${totalWireWeight.toFixed(2)},kg
-`;
+Material Cost,${units.format('pricePerMass', inputs.materialCost)},${units.unit('pricePerMass')}
+Density,${fieldValue('density')},${units.unit('density')}
+Shear Modulus (G),${fieldValue('G')},${units.unit('stress')}
+Wire Volume,${units.format('volume', wireVolume, 2)},${units.unit('volume')}
+Spring Weight,${units.format('mass', springWeight, 2)},${units.unit('mass')}
+Raw Material Cost,${units.format('price', rawMaterialCost)},${units.symbol}
+${costRows}${coilingRows}Setup Cost,${units.format('price', results.totalSetupCost)},${units.symbol}
+${isTorsion ? 'Torque Rate' : 'Spring Rate'},${units.format(rateQuantity, springRate)},${units.unit(rateQuantity)}
+${isTorsion ? 'Torque at Working Angle' : 'Load at L1'},${units.format(loadQuantity, loadAtL1)},${units.unit(loadQuantity)}
+Selling Price,${units.format('price', sellingPrice)},${units.symbol}
+Price per Spring,${units.format('price', pricePerSpring)},${units.symbol}
+Overall Selling Price,${units.format('price', overallSellingPrice)},${units.symbol}
+${pricingRows}Total Wire Weight (gross),${units.format('bulkMass', totalWireWeight, 2)},${units.unit('bulkMass')}
+${materialYieldRows}Tensile Strength (Sut),${units.format('stress', results.tensileStrength, 0)},${units.unit('stress')}${results.wireDInRange ? '' : ' (extrapolated)'}
+Allowable Stress (${inputs.dynamicLoading ? 'dynamic' : 'static'}),${units.format('stress', results.allowableStress, 0)},${units.unit('stress')}
+Stress Utilization,${(results.stressUtilization * 100).toFixed(1)},%
+Stress Check,${results.stressUtilization <= 1 ? 'Pass' : 'Fail'},
+Operating Temperature,${fieldValue('operatingTemperature')},${units.unit('temperature')}
+${isTorsion ? 'Torque Rate' : 'Spring Rate'} at Temperature,${units.format(rateQuantity, results.hotSpringRate)},${units.unit(rateQuantity)}
+${isTorsion ? 'Torque' : 'Load at L1'} at Temperature,${units.format(loadQuantity, results.hotLoadAtL1)},${units.unit(loadQuantity)}
+Relaxation after ${inputs.serviceHours} h,${results.relaxationEstimate.toFixed(1)},%
+Max Service Temperature,${units.format('temperature', results.maxServiceTemperature, 0)}${results.overMaxServiceTemperature ? ' (exceeded)' : ''},${units.unit('temperature')}
+${stressCorrectionRows}${compressionRows}${extensionRows}${torsionRows}${surgeRows}${fatigueRows}${workingPointRows}`;
         
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const url = URL.createObjectURL(blob);
@@ -517,6 +1399,14 @@ Total Wire Weight,${totalWireWeight.toFixed(2)},kg
         const lineHeight = 7;
         let y = 20;
 
+        // Start a new page when the next height would run past the foot of this one
+        const keepOnPage = (height) => {
+            if (y + height > 285) {
+                doc.addPage();
+                y = 20;
+            }
+        };
+
         // Add title
         doc.setFontSize(16);
         doc.text('Spring Specifications Summary', 20, y);
@@ -536,17 +1426,41 @@ Total Wire Weight,${totalWireWeight.toFixed(2)},kg
             materialName;
 
         doc.setFont(undefined, 'normal');
+        const isExtension = inputs.springType === 'extension';
+        const isTorsion = inputs.springType === 'torsion';
         const specs = [
-            `Wire Diameter: ${inputs.wireD} ± ${inputs.wireDTolerance} mm`,
-            `Outer Diameter: ${results.od} ± ${inputs.odTolerance} mm`,
-            `Inner Diameter: ${results.id} mm`,
-            `Mean Diameter: ${results.meanD} mm`,
-            `Total Coils: ${inputs.coilsTotal}`,
-            `Active Coils: ${inputs.coilsActive}`,
+            `Spring Type: ${SPRING_TYPES[inputs.springType].label}`,
+            `Wire Diameter: ${fieldValue('wireD')} ± ${fieldValue('wireDTolerance')} ${units.unit('length')}`,
+            `Outer Diameter: ${units.field('length', results.od)} ± ${fieldValue('odTolerance')} ${units.unit('length')}`,
+            `Inner Diameter: ${units.field('length', results.id)} ${units.unit('length')}`,
+            `Mean Diameter: ${units.field('length', results.meanD)} ${units.unit('length')}`,
+            inputs.springType === 'compression' ? `Total Coils: ${inputs.coilsTotal}` : `Body Coils: ${inputs.coilsTotal}`,
+            `Active Coils: ${inputs.springType === 'compression' ? inputs.coilsActive : results.activeCoils.toFixed(2)}`,
             `Material: ${materialDisplay}`,
             `Coil Direction: ${inputs.coilDirection || "Not specified"}`,
             `Finish: ${inputs.finish || "Not specified"}`,
-            `Ends: ${inputs.ends || "Not specified"}`
+            ...(isTorsion ? [] : [`Stress Correction: ${STRESS_CORRECTIONS[inputs.stressCorrection].label} (${STRESS_CORRECTIONS[inputs.stressCorrection].symbol} = ${results.wahlFactor.toFixed(3)})`]),
+            ...(isExtension ? [
+                `Hook Type: ${HOOK_TYPES[inputs.hookType].label}`,
+                `Body Length: ${units.format('length', results.bodyLength)} ${units.unit('length')}`,
+                `Length Inside Hooks: ${fieldValue('freeLength')} ± ${fieldValue('flTolerance')} ${units.unit('length')}`,
+                `Initial Tension: ${units.format('force', results.initialTension)} ${units.unit('force')}`
+            ] : isTorsion ? [
+                `Leg Lengths: ${fieldValue('legLength1')} / ${fieldValue('legLength2')} ${units.unit('length')}`,
+                `Free Angle: ${inputs.freeAngle}°`,
+                `Working Angle: ${inputs.workingAngle}°`,
+                `Torque at Working Angle: ${units.format('torque', results.loadAtL1)} ${units.unit('torque')}`,
+                `Body Length: ${units.format('length', results.bodyLength)} ${units.unit('length')}`
+            ] : [
+                `Coil Shape: ${describeCoilShape(inputs, units)}`,
+                `Ends: ${END_TYPES[inputs.endType].designation}`,
+                ...(inputs.preset ? [`Preset: coil to ${units.format('length', inputs.freeLength + results.presetAllowance)} ${units.unit('length')} free length, then set solid`] : []),
+                ...(results.gradeTolerances ? [
+                    `Tolerance Class: ${TOLERANCE_GRADES[inputs.toleranceGrade].label}, DIN EN 15800`,
+                    `Load at L1: ${units.format('force', results.loadAtL1)} ± ${fieldValue('loadTolerance')} ${units.unit('force')}`,
+                    `Perpendicularity / Parallelism: ${units.format('length', results.gradeTolerances.perpendicularity)} / ${units.format('length', results.gradeTolerances.parallelism)} ${units.unit('length')}`
+                ] : [])
+            ])
         ];
 
         specs.forEach(spec => {
@@ -554,54 +1468,149 @@ Total Wire Weight,${totalWireWeight.toFixed(2)},kg
             y += lineHeight;
         });
 
+        if (results.workingPoints.length > 0) {
+            y += lineHeight/2;
+            keepOnPage(lineHeight * 3);
+            doc.setFont(undefined, 'bold');
+            doc.text('Working Points:', 20, y);
+            y += lineHeight;
+            doc.setFontSize(9);
+            formatWorkingPointRows(results.workingPoints, inputs.springType, units).forEach((row, i) => {
+                keepOnPage(lineHeight);
+                doc.setFont(undefined, i === 0 ? 'bold' : 'normal');
+                row.forEach((cell, column) => doc.text(cell, 20 + column * 32, y));
+                y += lineHeight;
+            });
+            doc.setFontSize(12);
+            doc.setFont(undefined, 'normal');
+        }
+
+        const { fit } = results;
+        if (fit) {
+            const length = (value, decimals) => `${units.format('length', value, decimals)} ${units.unit('length')}`;
+            y += lineHeight/2;
+            keepOnPage(lineHeight * 2);
+            doc.setFont(undefined, 'bold');
+            doc.text('Fit Report:', 20, y);
+            y += lineHeight;
+            doc.setFont(undefined, 'normal');
+            [
+                ...(fit.bore ? [`Bore ${length(fit.bore.diameter)}: clearance ${length(fit.bore.clearance)} (${length(fit.bore.solidClearance)} at solid) - ${FIT_STATUS[fit.bore.status].label}`] : []),
+                ...(fit.rod ? [`Rod ${length(fit.rod.diameter)}: clearance ${length(fit.rod.clearance)} - ${FIT_STATUS[fit.rod.status].label}`] : []),
+                `Coil Clash: gap ${fit.coilGapPercent.toFixed(1)}% of wire diameter at ${length(fit.minHeight)} - ${FIT_STATUS[fit.coilClashStatus].label}`,
+                `OD / ID at Solid: ${length(fit.solidOD)} / ${length(fit.solidID)} (OD growth ${length(fit.odGrowthAtSolid, 3)})`,
+                ...fit.points.map(point => `OD at ${point.label} (${length(point.height)}): ${length(point.od)} (growth ${length(point.odGrowth, 3)})`)
+            ].forEach(line => {
+                keepOnPage(lineHeight);
+                doc.text(line, 20, y);
+                y += lineHeight;
+            });
+        }
+
+        const { surge } = results;
+        if (surge) {
+            y += lineHeight/2;
+            keepOnPage(lineHeight * 2);
+            doc.setFont(undefined, 'bold');
+            doc.text('Surge:', 20, y);
+            y += lineHeight;
+            doc.setFont(undefined, 'normal');
+            [
+                `${SURGE_ENDS[surge.ends].label}, active coil mass ${units.format('mass', surge.activeMass)} ${units.unit('mass')}`,
+                `Surge Modes: ${surge.modes.map(mode => `f${mode.order} = ${mode.frequency.toFixed(1)} Hz`).join(', ')}`,
+                ...(surge.resonance ? [
+                    `Operating Frequency: ${surge.operatingFrequency.toFixed(2)} Hz, ratio ${surge.resonance.ratio.toFixed(1)} - ${surge.resonance.ratioOk ? 'OK' : `below ${SURGE_LIMITS.minRatio}`}`,
+                    ...surge.resonance.nearHarmonics.map(near => `Near Resonance: f${near.mode} ${near.modeFrequency.toFixed(1)} Hz vs ${near.harmonic}x operating ${near.forcingFrequency.toFixed(1)} Hz (${(near.offset * 100).toFixed(1)}%)`)
+                ] : [])
+            ].forEach(line => {
+                keepOnPage(lineHeight);
+                doc.text(line, 20, y);
+                y += lineHeight;
+            });
+        }
+
+        const { fatigue } = results;
+        if (fatigue) {
+            y += lineHeight/2;
+            keepOnPage(lineHeight * 2);
+            doc.setFont(undefined, 'bold');
+            doc.text('Fatigue Analysis:', 20, y);
+            y += lineHeight;
+            doc.setFont(undefined, 'normal');
+            [
+                `Criterion: ${FATIGUE_CRITERIA[fatigue.criterion].label}${fatigue.shotPeened ? ' (shot peened)' : ''}`,
+                `Stress Range: ${units.format('stress', fatigue.minStress, 1)} - ${units.format('stress', fatigue.maxStress, 1)} ${units.unit('stress')}`,
+                `Mean / Alternating Stress: ${units.format('stress', fatigue.meanStress, 1)} / ${units.format('stress', fatigue.alternatingStress, 1)} ${units.unit('stress')}`,
+                `Fatigue Safety Factor: ${fatigue.safetyFactor.toFixed(2)}`,
+                `Estimated Cycles to Failure: ${fatigue.cyclesToFailure === Infinity ? 'Infinite' : fatigue.cyclesToFailure.toExponential(1)}`,
+                `Verdict: ${fatigue.verdict}`
+            ].forEach(line => {
+                keepOnPage(lineHeight);
+                doc.text(line, 20, y);
+                y += lineHeight;
+            });
+        }
+
+        const { tolerance } = results;
+        if (tolerance) {
+            const loadUnit = units.unit(loadQuantity);
+            const { load, springRate } = tolerance.monteCarlo;
+            y += lineHeight/2;
+            keepOnPage(lineHeight * 2);
+            doc.setFont(undefined, 'bold');
+            doc.text('Tolerance Analysis:', 20, y);
+            y += lineHeight;
+            doc.setFont(undefined, 'normal');
+            [
+                `Load at L1, worst case: ${units.format(loadQuantity, tolerance.worstCase.load.min)} - ${units.format(loadQuantity, tolerance.worstCase.load.max)} ${loadUnit}`,
+                `Load at L1, statistical (±3 sigma): ${units.format(loadQuantity, load.mean - 3 * load.stdDev)} - ${units.format(loadQuantity, load.mean + 3 * load.stdDev)} ${loadUnit}`,
+                `Spring Rate, statistical (±3 sigma): ${units.format(rateQuantity, springRate.mean - 3 * springRate.stdDev, 3)} - ${units.format(rateQuantity, springRate.mean + 3 * springRate.stdDev, 3)} ${units.unit(rateQuantity)}`,
+                `Monte Carlo Samples: ${tolerance.sampleCount}`
+            ].forEach(line => {
+                keepOnPage(lineHeight);
+                doc.text(line, 20, y);
+                y += lineHeight;
+            });
+        }
+
         if (inputs.otherNotes) {
             y += lineHeight/2;
+            keepOnPage(lineHeight * 2);
             doc.text('Additional Notes:', 20, y);
             y += lineHeight;
             doc.text(inputs.otherNotes, 20, y);
             y += lineHeight;
         }
 
-        // Add price analysis with table
+        // Add price analysis with table, on a new page when it would run off this one
+        const [tierHeader, ...tierRows] = formatTierRows(results.priceTiers, units);
         y += lineHeight * 2;
+        if (y + lineHeight * 1.5 + (tierRows.length + 1) * (lineHeight + 3) > 285) {
+            doc.addPage();
+            y = 20;
+        }
         doc.setFont(undefined, 'bold');
         doc.text('Price Analysis:', 20, y);
         y += lineHeight * 1.5;
 
-        // Create table headers
+        // Price-break table: a shaded header row, then one row per tier and the order quantity
+        const columns = [20, 55, 100, 140, 180];
+        const tableTop = y;
+        doc.setFontSize(10);
         doc.setFillColor(240, 240, 240);
         doc.rect(20, y, 160, 8, 'F');
-        doc.setFont(undefined, 'bold');
-        doc.text('Quantity', 25, y + 6);
-        doc.text('Price per Spring', 75, y + 6);
-        doc.text('Total Price', 135, y + 6);
+        tierHeader.forEach((cell, column) => doc.text(cell, columns[column] + 3, y + 6));
         y += lineHeight + 3;
 
-        // Add table rows
         doc.setFont(undefined, 'normal');
-        
-        // Row 1: 10 pieces
-        const price10 = ((inputs.setupCost + (results.pricePerSpring * 10)) / 10).toFixed(2);
-        const total10 = (inputs.setupCost + (results.pricePerSpring * 10)).toFixed(2);
-        doc.text('10', 25, y + 6);
-        doc.text(`Rs. ${price10}`, 75, y + 6);
-        doc.text(`Rs. ${total10}`, 135, y + 6);
-        doc.line(20, y + 8, 180, y + 8); // Add line after row
-        y += lineHeight + 3;
-
-        // Row 2: Production quantity
-        const priceQty = results.overallSellingPrice.toFixed(2);
-        const totalQty = (inputs.setupCost + (results.pricePerSpring * inputs.quantity)).toFixed(2);
-        doc.text(inputs.quantity.toString(), 25, y + 6);
-        doc.text(`Rs. ${priceQty}`, 75, y + 6);
-        doc.text(`Rs. ${totalQty}`, 135, y + 6);
-        doc.line(20, y + 8, 180, y + 8); // Add line after row
+        tierRows.forEach(row => {
+            row.forEach((cell, column) => doc.text(cell, columns[column] + 3, y + 6));
+            doc.line(20, y + 8, 180, y + 8); // Add line after row
+            y += lineHeight + 3;
+        });
 
         // Add vertical lines for table
-        doc.line(20, y - lineHeight - 11, 20, y + 8); // Left border
-        doc.line(70, y - lineHeight - 11, 70, y + 8); // After Quantity
-        doc.line(130, y - lineHeight - 11, 130, y + 8); // After Price per Spring
-        doc.line(180, y - lineHeight - 11, 180, y + 8); // Right border
+        columns.forEach(x => doc.line(x, tableTop, x, y - lineHeight + 5));
 
         // Save the PDF
         doc.save('spring_specifications.pdf');
@@ -615,23 +1624,52 @@ Total Wire Weight,${totalWireWeight.toFixed(2)},kg
             `${materialName} (${inputs.materialRemark})` : 
             materialName;
             
+        const isCompression = inputs.springType === 'compression';
+        let endRows = `Coil Shape,"${describeCoilShape(inputs, units)}"
+Ends,${END_TYPES[inputs.endType].designation}`;
+        if (inputs.springType === 'extension') {
+            endRows = `Hook Type,${HOOK_TYPES[inputs.hookType].label}
+Body Length (${units.unit('length')}),${units.format('length', results.bodyLength)}
+Length Inside Hooks (${units.unit('length')}),${fieldValue('freeLength')} ± ${fieldValue('flTolerance')}
+Initial Tension (${units.unit('force')}),${units.format('force', results.initialTension)}`;
+        } else if (inputs.springType === 'torsion') {
+            endRows = `Leg Lengths (${units.unit('length')}),${fieldValue('legLength1')} / ${fieldValue('legLength2')}
+Free Angle (°),${inputs.freeAngle}
+Working Angle (°),${inputs.workingAngle}
+Torque at Working Angle (${units.unit('torque')}),${units.format('torque', results.loadAtL1)}
+Body Length (${units.unit('length')}),${units.format('length', results.bodyLength)}`;
+        } else if (results.gradeTolerances) {
+            endRows += `
+Tolerance Class,"${TOLERANCE_GRADES[inputs.toleranceGrade].label}, DIN EN 15800"
+Load at L1 (${units.unit('force')}),${units.format('force', results.loadAtL1)} ± ${fieldValue('loadTolerance')}
+Perpendicularity (${units.unit('length')}),${units.format('length', results.gradeTolerances.perpendicularity)}
+Parallelism (${units.unit('length')}),${units.format('length', results.gradeTolerances.parallelism)}`;
+        }
+            
         const csvContent = `Spring Specifications
-Wire Diameter (mm),${inputs.wireD} ± ${inputs.wireDTolerance}
-Outer Diameter (mm),${results.od} ± ${inputs.odTolerance}
-Inner Diameter (mm),${results.id}
-Mean Diameter (mm),${results.meanD}
-Total Coils,${inputs.coilsTotal}
-Active Coils,${inputs.coilsActive}
+Spring Type,${SPRING_TYPES[inputs.springType].label}
+Wire Diameter (${units.unit('length')}),${fieldValue('wireD')} ± ${fieldValue('wireDTolerance')}
+Outer Diameter (${units.unit('length')}),${units.field('length', results.od)} ± ${fieldValue('odTolerance')}
+Inner Diameter (${units.unit('length')}),${units.field('length', results.id)}
+Mean Diameter (${units.unit('length')}),${units.field('length', results.meanD)}
+${isCompression ? 'Total Coils' : 'Body Coils'},${inputs.coilsTotal}
+Active Coils,${isCompression ? inputs.coilsActive : results.activeCoils.toFixed(2)}
 Material,${materialDisplay}
 Coil Direction,${inputs.coilDirection || "Not specified"}
 Finish,${inputs.finish || "Not specified"}
-Ends,${inputs.ends || "Not specified"}
-${inputs.otherNotes ? `Additional Notes,${inputs.otherNotes}` : ''}
+${endRows}
+${results.workingPoints.length > 0 ? `
+Working Points
+${formatWorkingPointRows(results.workingPoints, inputs.springType, units).map(row => row.join(',')).join('\n')}
+
+` : ''}${results.fatigue ? `Fatigue Criterion,${FATIGUE_CRITERIA[results.fatigue.criterion].label}${results.fatigue.shotPeened ? ' (shot peened)' : ''}
+Fatigue Safety Factor,${results.fatigue.safetyFactor.toFixed(2)}
+Estimated Cycles to Failure,${formatCycles(results.fatigue.cyclesToFailure)}
+Fatigue Verdict,${results.fatigue.verdict}
+` : ''}${inputs.otherNotes ? `Additional Notes,${inputs.otherNotes}` : ''}
 
 Price Analysis
-Quantity,Price per Spring (₹),Total Price (₹)
-10,${((inputs.setupCost + (results.pricePerSpring * 10)) / 10).toFixed(2)},${(inputs.setupCost + (results.pricePerSpring * 10)).toFixed(2)}
-${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost + (results.pricePerSpring * inputs.quantity)).toFixed(2)}`;
+${formatTierRows(results.priceTiers, units).map(row => row.join(',')).join('\n')}`;
 
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const link = document.createElement('a');
@@ -683,6 +1721,9 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
         }
     }, [inputs.wireD, inputs.diameter, inputs.diameterType]);
 
+    // Working point table, shared by the results card and the exports
+    const [workingPointHeader, ...workingPointRows] = formatWorkingPointRows(results.workingPoints, inputs.springType, units);
+
     return (
         <div className="min-h-screen bg-gray-50 py-4 px-2 sm:px-4 md:py-8 md:px-4">
             <div className="max-w-7xl mx-auto">
@@ -691,6 +1732,30 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                     <p className="text-sm md:text-base text-gray-600">Calculate spring parameters, costs, and view load-deflection characteristics</p>
                 </div>
                 
+                {/* Design Solver */}
+                <DesignSolver inputs={inputs} coilingMachines={coilingMachines} onApply={applySolverCandidate} units={units} />
+
+                <WireCatalogue
+                    material={inputs.material}
+                    sizes={wireSizes}
+                    onChange={(sizes) => setWireCatalogue(prev => ({ ...prev, [inputs.material]: sizes }))}
+                    onReset={() => setWireCatalogue(prev => ({ ...prev, [inputs.material]: createDefaultWireSizes(inputs.material) }))}
+                    units={units}
+                />
+
+                <MachineLibrary
+                    machines={coilingMachines}
+                    onChange={setCoilingMachines}
+                    onReset={() => setCoilingMachines(createDefaultMachines())}
+                    units={units}
+                />
+
+                <PriceTierLibrary
+                    library={tierLibrary}
+                    onChange={setTierLibrary}
+                    onReset={() => setTierLibrary(createDefaultTierLibrary())}
+                />
+
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-8">
                     {/* Input Module */}
                     <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
@@ -710,6 +1775,72 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                         
                         <div className="p-4 md:p-6">
                             <div className="space-y-4 md:space-y-6">
+                                {/* Units Section */}
+                                <div>
+                                    <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                        Units
+                                        <InfoTooltip text="Units for entry, results and exports; values are kept in metric internally, so switching never changes the design" />
+                                    </h3>
+
+                                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Unit System
+                                                <InfoTooltip text="Imperial shows lengths in inches, loads in lbf, stresses in psi, weights in oz/lb and temperatures in °F" />
+                                            </label>
+                                            <select
+                                                name="unitSystem"
+                                                value={inputs.unitSystem}
+                                                onChange={handleInputChange}
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            >
+                                                {Object.entries(UNIT_SYSTEMS).map(([system, props]) => (
+                                                    <option key={system} value={system}>{props.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Currency
+                                                <InfoTooltip text="Currency prices and costs are shown and exported in" />
+                                            </label>
+                                            <select
+                                                name="currency"
+                                                value={inputs.currency}
+                                                onChange={handleInputChange}
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            >
+                                                {Object.entries(CURRENCIES).map(([currency, props]) => (
+                                                    <option key={currency} value={currency}>{props.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+
+                                        {inputs.currency !== 'INR' && (
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Exchange Rate (₹ per {CURRENCIES[inputs.currency].symbol})
+                                                    <InfoTooltip text="Rupees per unit of the chosen currency; costs are converted at this rate from the rupee values kept internally" />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name="exchangeRate"
+                                                    step="0.01"
+                                                    value={inputs.exchangeRate}
+                                                    onChange={handleInputChange}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                        validationErrors.exchangeRate ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {validationErrors.exchangeRate && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.exchangeRate}</p>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+
                                 {/* Geometry Section */}
                                 <div>
                                     <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
@@ -718,18 +1849,37 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                     </h3>
                                     
                                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                        {/* Spring Type */}
+                                        <div className="col-span-2">
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Spring Type
+                                                <InfoTooltip text="Select the type of spring to design" />
+                                            </label>
+                                            <select
+                                                name="springType"
+                                                value={inputs.springType}
+                                                onChange={handleInputChange}
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            >
+                                                {Object.entries(SPRING_TYPES).map(([type, props]) => (
+                                                    <option key={type} value={type}>{props.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+
                                         {/* Wire Diameter Input with Tolerance */}
                                         <div className="col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4">
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Wire Diameter (mm)
+                                                    Wire Diameter ({units.unit('length')})
                                                     <InfoTooltip text="The thickness of the wire used to make the spring" />
                                                 </label>
                                                 <input
                                                     type="number"
                                                     name="wireD"
-                                                    value={inputs.wireD}
+                                                    value={fieldValue('wireD')}
                                                     onChange={handleInputChange}
+                                                    onBlur={() => inputs.snapWireD && nearestWire && inputs.wireD > 0 && snapToWireSize(nearestWire)}
                                                     className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                                                         validationErrors.wireD ? 'border-red-300 bg-red-50' : 'border-gray-300'
                                                     }`}
@@ -737,17 +1887,55 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                                 {validationErrors.wireD && (
                                                     <p className="mt-1 text-sm text-red-600">{validationErrors.wireD}</p>
                                                 )}
-                                            </div>
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Wire Diameter Tolerance (±mm)
-                                                    <InfoTooltip text="Allowable variation in wire diameter" />
+                                                {!validationErrors.wireD && inputs.wireD > 0 && !getTensileStrength(inputs.material, inputs.wireD).inRange && (
+                                                    <p className="mt-1 text-sm text-amber-600">
+                                                        Outside the {units.format('length', getTensileStrength(inputs.material, inputs.wireD).minD)}–{units.format('length', getTensileStrength(inputs.material, inputs.wireD).maxD)} {units.unit('length')} range
+                                                        with tensile strength data for this material; strength is extrapolated
+                                                    </p>
+                                                )}
+                                                {!validationErrors.wireD && inputs.wireD > 0 && nearestWire && (
+                                                    <p className="mt-1 text-sm text-amber-600">
+                                                        Not a catalogue size for this material; special-order wire. Nearest: {units.field('length', nearestWire.wireD)} {units.unit('length')}
+                                                        {nearestWire.stocked ? ' (stocked)' : ' (to order)'}
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => snapToWireSize(nearestWire)}
+                                                            className="ml-2 text-blue-600 hover:text-blue-800 underline"
+                                                        >
+                                                            Use {units.field('length', nearestWire.wireD)} {units.unit('length')}
+                                                        </button>
+                                                    </p>
+                                                )}
+                                                {!validationErrors.wireD && catalogueWire && (
+                                                    <p className={`mt-1 text-sm ${catalogueWire.stocked ? 'text-gray-500' : 'text-amber-600'}`}>
+                                                        {catalogueWire.stocked ? 'Stocked' : 'Special-order wire; allow for lead time and minimum order'},
+                                                        tolerance class {WIRE_TOLERANCE_CLASSES[catalogueWire.toleranceClass].label} (±{units.format('length', getWireTolerance(catalogueWire.toleranceClass, catalogueWire.wireD), 3)} {units.unit('length')})
+                                                    </p>
+                                                )}
+                                                <div className="flex items-center mt-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        name="snapWireD"
+                                                        checked={inputs.snapWireD}
+                                                        onChange={handleInputChange}
+                                                        className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                    />
+                                                    <label className="ml-2 text-sm text-gray-700">
+                                                        Snap to catalogue sizes
+                                                        <InfoTooltip text="Replace an odd diameter with the nearest catalogue size when leaving the field" />
+                                                    </label>
+                                                </div>
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Wire Diameter Tolerance (±{units.unit('length')})
+                                                    <InfoTooltip text="Allowable variation in wire diameter" />
                                                 </label>
                                                 <input
                                                     type="number"
                                                     name="wireDTolerance"
                                                     step="0.01"
-                                                    value={inputs.wireDTolerance}
+                                                    value={fieldValue('wireDTolerance')}
                                                     onChange={handleInputChange}
                                                     className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
                                                 />
@@ -775,14 +1963,15 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         {/* Diameter Input with Tolerance */}
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                {inputs.diameterType === 'outer' ? 'Outer' : inputs.diameterType === 'inner' ? 'Inner' : 'Mean'} Diameter (mm)
+                                                {inputs.springType === 'compression' && inputs.coilShape === 'conical' ? 'Large End ' : ''}
+                                                {inputs.diameterType === 'outer' ? 'Outer' : inputs.diameterType === 'inner' ? 'Inner' : 'Mean'} Diameter ({units.unit('length')})
                                                 <InfoTooltip text={`The ${inputs.diameterType} diameter of the spring`} />
                                             </label>
                                             <div className="flex space-x-2">
                                                 <input
                                                     type="number"
                                                     name="diameter"
-                                                    value={inputs.diameter}
+                                                    value={fieldValue('diameter')}
                                                     onChange={handleInputChange}
                                                     className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                                                         validationErrors.diameter ? 'border-red-300 bg-red-50' : 'border-gray-300'
@@ -794,9 +1983,9 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                                             type="number"
                                                             name="odTolerance"
                                                             step="0.1"
-                                                            value={inputs.odTolerance}
+                                                            value={fieldValue('odTolerance')}
                                                             onChange={handleInputChange}
-                                                            placeholder="±mm"
+                                                            placeholder={`±${units.unit('length')}`}
                                                             className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
                                                         />
                                                     </div>
@@ -807,47 +1996,150 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                             )}
                                         </div>
 
-                                        {/* Free Length with Tolerance */}
-                                        <div className="col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4">
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Free Length (mm)
-                                                    <InfoTooltip text="Uncompressed length of the spring" />
-                                                </label>
-                                                <input
-                                                    type="number"
-                                                    name="freeLength"
-                                                    value={inputs.freeLength}
-                                                    onChange={handleInputChange}
-                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                                                        validationErrors.freeLength ? 'border-red-300 bg-red-50' : 'border-gray-300'
-                                                    }`}
-                                                />
-                                                {validationErrors.freeLength && (
-                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.freeLength}</p>
+                                        {/* Coil Shape, Ends and Pitch */}
+                                        {inputs.springType === 'compression' && (
+                                            <>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        End Type
+                                                        <InfoTooltip text="How the end coils are finished; sets the inactive coils, solid height, pitch and buckling end factor" />
+                                                    </label>
+                                                    <select
+                                                        name="endType"
+                                                        value={inputs.endType}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        {Object.entries(END_TYPES).map(([type, props]) => (
+                                                            <option key={type} value={type}>{props.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Coil Shape
+                                                        <InfoTooltip text="Cylindrical springs have a constant diameter; conical springs taper from the large end to the small end" />
+                                                    </label>
+                                                    <select
+                                                        name="coilShape"
+                                                        value={inputs.coilShape}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        <option value="cylindrical">Cylindrical</option>
+                                                        <option value="conical">Conical</option>
+                                                    </select>
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Pitch
+                                                        <InfoTooltip text="With variable pitch the tighter coils bottom out first, giving a progressive (rising) rate" />
+                                                    </label>
+                                                    <select
+                                                        name="pitchType"
+                                                        value={inputs.pitchType}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        <option value="uniform">Uniform Pitch</option>
+                                                        <option value="variable">Variable Pitch</option>
+                                                    </select>
+                                                </div>
+
+                                                {inputs.coilShape === 'conical' && (
+                                                    <div>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            Small End {inputs.diameterType === 'outer' ? 'Outer' : inputs.diameterType === 'inner' ? 'Inner' : 'Mean'} Diameter ({units.unit('length')})
+                                                            <InfoTooltip text="Diameter at the small end of the cone. The diameter above is used for the large end." />
+                                                        </label>
+                                                        <input
+                                                            type="number"
+                                                            name="smallDiameter"
+                                                            value={fieldValue('smallDiameter')}
+                                                            onChange={handleInputChange}
+                                                            className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                validationErrors.smallDiameter ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        {validationErrors.smallDiameter && (
+                                                            <p className="mt-1 text-sm text-red-600">{validationErrors.smallDiameter}</p>
+                                                        )}
+                                                    </div>
                                                 )}
+
+                                                {inputs.pitchType === 'variable' && (
+                                                    <div>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            Pitch Ratio (max/min gap)
+                                                            <InfoTooltip text="Ratio between the widest and the tightest coil gap. Gaps grow linearly from the large end." />
+                                                        </label>
+                                                        <input
+                                                            type="number"
+                                                            name="pitchRatio"
+                                                            step="0.1"
+                                                            value={inputs.pitchRatio}
+                                                            onChange={handleInputChange}
+                                                            className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                validationErrors.pitchRatio ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        {validationErrors.pitchRatio && (
+                                                            <p className="mt-1 text-sm text-red-600">{validationErrors.pitchRatio}</p>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </>
+                                        )}
+
+                                        {/* Free Length with Tolerance */}
+                                        {inputs.springType !== 'torsion' && (
+                                            <div className="col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4">
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        {inputs.springType === 'extension' ? 'Free Length Inside Hooks' : 'Free Length'} ({units.unit('length')})
+                                                        <InfoTooltip text={inputs.springType === 'extension' ?
+                                                            "Unloaded overall length, measured between the inside faces of the hooks" :
+                                                            "Uncompressed length of the spring"} />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="freeLength"
+                                                        value={fieldValue('freeLength')}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.freeLength ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.freeLength && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.freeLength}</p>
+                                                    )}
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Free Length Tolerance (±{units.unit('length')})
+                                                        <InfoTooltip text="Allowable variation in free length" />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="flTolerance"
+                                                        step="0.1"
+                                                        value={fieldValue('flTolerance')}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    />
+                                                </div>
                                             </div>
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Free Length Tolerance (±mm)
-                                                    <InfoTooltip text="Allowable variation in free length" />
-                                                </label>
-                                                <input
-                                                    type="number"
-                                                    name="flTolerance"
-                                                    step="0.1"
-                                                    value={inputs.flTolerance}
-                                                    onChange={handleInputChange}
-                                                    className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
-                                                />
-                                            </div>
-                                        </div>
+                                        )}
 
                                         {/* Total Coils */}
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Total Coils
-                                                <InfoTooltip text="Total number of coils in the spring" />
+                                                {inputs.springType === 'compression' ? 'Total Coils' : 'Body Coils'}
+                                                <InfoTooltip text={inputs.springType === 'compression' ?
+                                                    "Total number of coils in the spring" :
+                                                    "Number of coils in the close-wound body, excluding the hooks or legs"} />
                                             </label>
                                             <input
                                                 type="number"
@@ -864,44 +2156,341 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         </div>
 
                                         {/* Active Coils */}
-                                        <div>
-                                            <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Active Coils
-                                                <InfoTooltip text="Number of coils that contribute to spring action" />
-                                            </label>
-                                            <input
-                                                type="number"
-                                                name="coilsActive"
-                                                value={inputs.coilsActive}
-                                                onChange={handleInputChange}
-                                                className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                                                    validationErrors.coilsActive ? 'border-red-300 bg-red-50' : 'border-gray-300'
-                                                }`}
-                                            />
-                                            {validationErrors.coilsActive && (
-                                                <p className="mt-1 text-sm text-red-600">{validationErrors.coilsActive}</p>
-                                            )}
-                                        </div>
+                                        {inputs.springType !== 'extension' && (
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Active Coils
+                                                    <InfoTooltip text={inputs.springType === 'compression' ?
+                                                        "Number of coils that contribute to spring action; follows the total coils and end type unless overridden" :
+                                                        "Number of coils that contribute to spring action"} />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name="coilsActive"
+                                                    value={inputs.coilsActive}
+                                                    onChange={handleInputChange}
+                                                    disabled={inputs.springType === 'compression' && !inputs.overrideActiveCoils}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 ${
+                                                        validationErrors.coilsActive ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {inputs.springType === 'compression' && (
+                                                    <div className="flex items-center mt-2">
+                                                        <input
+                                                            type="checkbox"
+                                                            name="overrideActiveCoils"
+                                                            checked={inputs.overrideActiveCoils}
+                                                            onChange={handleInputChange}
+                                                            className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                        />
+                                                        <label className="ml-2 text-sm text-gray-700">Override active coils</label>
+                                                    </div>
+                                                )}
+                                                {validationErrors.coilsActive && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.coilsActive}</p>
+                                                )}
+                                                {!validationErrors.coilsActive && inputs.springType === 'compression' && inputs.overrideActiveCoils
+                                                    && Math.abs(inputs.coilsActive - (inputs.coilsTotal - END_TYPES[inputs.endType].endCoils)) > 0.01 && (
+                                                    <p className="mt-1 text-sm text-amber-600">
+                                                        {END_TYPES[inputs.endType].label} ends usually have {inputs.coilsTotal - END_TYPES[inputs.endType].endCoils} active
+                                                        coils ({END_TYPES[inputs.endType].endCoils} inactive end coils)
+                                                    </p>
+                                                )}
+                                            </div>
+                                        )}
 
                                         {/* Load Height */}
-                                        <div>
-                                            <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Load Height (mm)
-                                                <InfoTooltip text="Height of the spring under load" />
-                                            </label>
-                                            <input
-                                                type="number"
-                                                name="loadHeight"
-                                                value={inputs.loadHeight}
-                                                onChange={handleInputChange}
-                                                className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                                                    validationErrors.loadHeight ? 'border-red-300 bg-red-50' : 'border-gray-300'
-                                                }`}
-                                            />
-                                            {validationErrors.loadHeight && (
-                                                <p className="mt-1 text-sm text-red-600">{validationErrors.loadHeight}</p>
-                                            )}
-                                        </div>
+                                        {inputs.springType !== 'torsion' && (
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    {inputs.springType === 'extension' ? 'Extended Length' : 'Load Height'} ({units.unit('length')})
+                                                    <InfoTooltip text={inputs.springType === 'extension' ?
+                                                        "Length inside hooks when the spring is extended under load" :
+                                                        "Height of the spring under load"} />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name="loadHeight"
+                                                    value={fieldValue('loadHeight')}
+                                                    onChange={handleInputChange}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                        validationErrors.loadHeight ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {validationErrors.loadHeight && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.loadHeight}</p>
+                                                )}
+                                            </div>
+                                        )}
+
+                                        {/* Further Working Points */}
+                                        {inputs.springType !== 'torsion' && (
+                                            <div className="col-span-2 space-y-2">
+                                                <div className="flex justify-between items-center">
+                                                    <span className="block text-sm font-medium text-gray-700">
+                                                        Further Working Points
+                                                        <InfoTooltip text="Extra test points (L2, L3, ...) given by a height or a load; the other is computed and carries the tolerance" />
+                                                    </span>
+                                                    <button
+                                                        onClick={addWorkingPoint}
+                                                        className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md transition-colors duration-200 flex items-center gap-1 text-sm"
+                                                    >
+                                                        <Plus className="w-4 h-4" />
+                                                        Add Point
+                                                    </button>
+                                                </div>
+                                                {inputs.workingPoints.map((point, index) => (
+                                                    <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                                                        <span className="col-span-1 text-sm font-medium text-gray-700">L{index + 2}</span>
+                                                        <select
+                                                            name="mode"
+                                                            value={point.mode}
+                                                            onChange={(e) => handleWorkingPointChange(index, e)}
+                                                            className="col-span-3 block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                        >
+                                                            {Object.entries(WORKING_POINT_MODES).map(([mode, props]) => (
+                                                                <option key={mode} value={mode}>
+                                                                    {mode === 'height' && inputs.springType === 'extension' ? 'Extended Length' : props.label}
+                                                                </option>
+                                                            ))}
+                                                        </select>
+                                                        <input
+                                                            type="number"
+                                                            name="value"
+                                                            value={units.field(WORKING_POINT_MODES[point.mode].quantity, point.value)}
+                                                            onChange={(e) => handleWorkingPointChange(index, e)}
+                                                            placeholder={units.unit(WORKING_POINT_MODES[point.mode].quantity)}
+                                                            className={`col-span-3 block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                results.workingPoints[index + 1]?.error ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            name="tolerance"
+                                                            step="0.1"
+                                                            value={units.field(WORKING_POINT_MODES[point.mode].toleranceQuantity, point.tolerance)}
+                                                            onChange={(e) => handleWorkingPointChange(index, e)}
+                                                            placeholder={`±${units.unit(WORKING_POINT_MODES[point.mode].toleranceQuantity)}`}
+                                                            className="col-span-4 block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                        />
+                                                        <button
+                                                            onClick={() => removeWorkingPoint(index)}
+                                                            className="col-span-1 text-red-500 hover:text-red-700"
+                                                            aria-label={`Remove L${index + 2}`}
+                                                        >
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                        {results.workingPoints[index + 1]?.error && (
+                                                            <p className="col-span-12 text-sm text-red-600">{results.workingPoints[index + 1].error}</p>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+
+                                        {/* Buckling Mounting and Guidance */}
+                                        {inputs.springType === 'compression' && (
+                                            <>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        End Fixity
+                                                        <InfoTooltip text="How the spring ends are held; sets the seating coefficient ν used in the buckling check" />
+                                                    </label>
+                                                    <select
+                                                        name="endFixity"
+                                                        value={inputs.endFixity}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        {Object.entries(END_FIXITY).map(([fixity, props]) => (
+                                                            <option key={fixity} value={fixity}>
+                                                                {props.label} (ν = {props.seatingCoefficient ?? END_TYPES[inputs.endType].bucklingEndFactor})
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Guidance
+                                                        <InfoTooltip text="A guide rod inside or a bore around the spring prevents buckling" />
+                                                    </label>
+                                                    <div className="flex space-x-2">
+                                                        <select
+                                                            name="guideType"
+                                                            value={inputs.guideType}
+                                                            onChange={handleInputChange}
+                                                            className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                        >
+                                                            {Object.entries(GUIDE_TYPES).map(([guide, props]) => (
+                                                                <option key={guide} value={guide}>{props.label}</option>
+                                                            ))}
+                                                        </select>
+                                                        {inputs.guideType !== 'none' && (
+                                                            <div className="w-1/2">
+                                                                <input
+                                                                    type="number"
+                                                                    name="guideDiameter"
+                                                                    value={fieldValue('guideDiameter')}
+                                                                    onChange={handleInputChange}
+                                                                    placeholder={`Ø ${units.unit('length')}`}
+                                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                        validationErrors.guideDiameter ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                                    }`}
+                                                                />
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                    {validationErrors.guideDiameter && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.guideDiameter}</p>
+                                                    )}
+                                                </div>
+                                            </>
+                                        )}
+
+                                        {/* Extension Spring Hooks */}
+                                        {inputs.springType === 'extension' && (
+                                            <>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Hook Type
+                                                        <InfoTooltip text="End loop or hook formed on both ends of the spring" />
+                                                    </label>
+                                                    <select
+                                                        name="hookType"
+                                                        value={inputs.hookType}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        {Object.entries(HOOK_TYPES).map(([type, props]) => (
+                                                            <option key={type} value={type}>{props.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Initial Tension ({units.unit('force')})
+                                                        <InfoTooltip text={`Load wound into the body that must be overcome before the coils separate.
+Leave at 0 to use the nominal recommended value.
+
+Recommended range: ${units.format('force', results.initialTensionMin)} - ${units.format('force', results.initialTensionMax)} ${units.unit('force')}`} />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="initialTension"
+                                                        value={fieldValue('initialTension')}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.initialTension ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.initialTension && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.initialTension}</p>
+                                                    )}
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Hook Bend Radius ({units.unit('length')})
+                                                        <InfoTooltip text="Inside radius where the hook bends away from the body (r2). Leave at 0 to assume twice the wire diameter." />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="hookBendRadius"
+                                                        value={fieldValue('hookBendRadius')}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.hookBendRadius ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.hookBendRadius && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.hookBendRadius}</p>
+                                                    )}
+                                                </div>
+                                            </>
+                                        )}
+
+                                        {/* Torsion Spring Legs and Angles */}
+                                        {inputs.springType === 'torsion' && (
+                                            <>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Leg Length 1 ({units.unit('length')})
+                                                        <InfoTooltip text="Length of the first leg, measured from the centre of the body" />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="legLength1"
+                                                        value={fieldValue('legLength1')}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.legLength1 ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.legLength1 && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.legLength1}</p>
+                                                    )}
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Leg Length 2 ({units.unit('length')})
+                                                        <InfoTooltip text="Length of the second leg, measured from the centre of the body" />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="legLength2"
+                                                        value={fieldValue('legLength2')}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.legLength2 ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.legLength2 && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.legLength2}</p>
+                                                    )}
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Free Angle (°)
+                                                        <InfoTooltip text="Angle between the legs with no load applied" />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="freeAngle"
+                                                        value={inputs.freeAngle}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.freeAngle ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.freeAngle && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.freeAngle}</p>
+                                                    )}
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Working Angle (°)
+                                                        <InfoTooltip text="Angle between the legs at the working position. The load should wind the spring up (close the body)." />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="workingAngle"
+                                                        value={inputs.workingAngle}
+                                                        onChange={handleInputChange}
+                                                        className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                            validationErrors.workingAngle ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                        }`}
+                                                    />
+                                                    {validationErrors.workingAngle && (
+                                                        <p className="mt-1 text-sm text-red-600">{validationErrors.workingAngle}</p>
+                                                    )}
+                                                </div>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
 
@@ -965,15 +2554,25 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
                                                 <div>
                                                     <span className="text-gray-500">Density:</span>
-                                                    <span className="ml-2 font-medium">{inputs.density} g/cm³</span>
+                                                    <span className="ml-2 font-medium">{units.field('density', inputs.density)} {units.unit('density')}</span>
                                                 </div>
                                                 <div>
                                                     <span className="text-gray-500">Shear Modulus:</span>
-                                                    <span className="ml-2 font-medium">{(inputs.G/1000).toFixed(1)} GPa</span>
+                                                    <span className="ml-2 font-medium">
+                                                        {units.imperial ? `${(units.toDisplay('stress', inputs.G) / 1e6).toFixed(2)} Mpsi` : `${(inputs.G/1000).toFixed(1)} GPa`}
+                                                    </span>
                                                 </div>
                                                 <div>
                                                     <span className="text-gray-500">Default Cost:</span>
-                                                    <span className="ml-2 font-medium">₹{MATERIALS[inputs.material].cost}/kg</span>
+                                                    <span className="ml-2 font-medium">{units.symbol}{units.format('pricePerMass', MATERIALS[inputs.material].cost)}/{units.imperial ? 'lb' : 'kg'}</span>
+                                                </div>
+                                                <div className="md:col-span-3">
+                                                    <span className="text-gray-500">Min. Tensile Strength:</span>
+                                                    <span className="ml-2 font-medium">
+                                                        {MATERIALS[inputs.material].tensileStrength
+                                                            .map(range => `${range.A}/d^${range.m} MPa (${range.minD}–${range.maxD} mm)`)
+                                                            .join(', ')}
+                                                    </span>
                                                 </div>
                                                 {inputs.material !== 'Custom' && MATERIALS[inputs.material].grade && (
                                                     <div className="md:col-span-3">
@@ -1011,8 +2610,8 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         <div className="col-span-2">
                                             <div className="flex items-center mb-2">
                                                 <label className="block text-sm font-medium text-gray-700">
-                                                    Material Cost (₹/kg)
-                                                    <InfoTooltip text="Cost of the material per kilogram" />
+                                                    Material Cost ({units.unit('pricePerMass')})
+                                                    <InfoTooltip text={`Cost of the material per ${units.imperial ? 'pound' : 'kilogram'}`} />
                                                 </label>
                                                 <div className="ml-4 flex items-center">
                                                     <input
@@ -1030,7 +2629,7 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                             <input
                                                 type="number"
                                                 name="materialCost"
-                                                value={inputs.materialCost}
+                                                value={fieldValue('materialCost')}
                                                 onChange={handleInputChange}
                                                 className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300 ${
                                                     !inputs.overrideMaterialCost ? 'bg-gray-50' : ''
@@ -1042,13 +2641,13 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         {/* Density */}
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Density (g/cm³)
+                                                Density ({units.unit('density')})
                                                 <InfoTooltip text="Material density" />
                                             </label>
                                             <input
                                                 type="number"
                                                 name="density"
-                                                value={inputs.density}
+                                                value={fieldValue('density')}
                                                 onChange={handleInputChange}
                                                 className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300 ${
                                                     inputs.material !== 'Custom' ? 'bg-gray-50' : ''
@@ -1060,13 +2659,13 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         {/* Shear Modulus */}
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Shear Modulus G (MPa)
+                                                Shear Modulus G ({units.unit('stress')})
                                                 <InfoTooltip text="Material shear modulus" />
                                             </label>
                                             <input
                                                 type="number"
                                                 name="G"
-                                                value={inputs.G}
+                                                value={fieldValue('G')}
                                                 onChange={handleInputChange}
                                                 className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300 ${
                                                     inputs.material !== 'Custom' ? 'bg-gray-50' : ''
@@ -1090,14 +2689,27 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                                 Coil Direction
                                                 <InfoTooltip text="Direction of coil winding (e.g., Right Hand, Left Hand)" />
                                             </label>
-                                            <input
-                                                type="text"
-                                                name="coilDirection"
-                                                value={inputs.coilDirection}
-                                                onChange={handleInputChange}
-                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
-                                                placeholder="e.g., Right Hand"
-                                            />
+                                            {inputs.springType === 'torsion' ? (
+                                                <select
+                                                    name="coilDirection"
+                                                    value={inputs.coilDirection}
+                                                    onChange={handleInputChange}
+                                                    className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                >
+                                                    <option value="">Select winding direction</option>
+                                                    <option value="Right Hand">Right Hand</option>
+                                                    <option value="Left Hand">Left Hand</option>
+                                                </select>
+                                            ) : (
+                                                <input
+                                                    type="text"
+                                                    name="coilDirection"
+                                                    value={inputs.coilDirection}
+                                                    onChange={handleInputChange}
+                                                    className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    placeholder="e.g., Right Hand"
+                                                />
+                                            )}
                                         </div>
 
                                         <div>
@@ -1115,21 +2727,6 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                             />
                                         </div>
 
-                                        <div>
-                                            <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Ends
-                                                <InfoTooltip text="End condition specification" />
-                                            </label>
-                                            <input
-                                                type="text"
-                                                name="ends"
-                                                value={inputs.ends}
-                                                onChange={handleInputChange}
-                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
-                                                placeholder="e.g., Closed and Ground"
-                                            />
-                                        </div>
-
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
                                                 Other Notes
@@ -1147,65 +2744,591 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                     </div>
                                 </div>
 
-                                {/* Pricing Section */}
+                                {/* Stress Analysis Section */}
+                                {inputs.springType !== 'torsion' && (
+                                    <div>
+                                        <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                            Stress Analysis
+                                            <InfoTooltip text="Correction for the higher shear stress at the inside of the coil, and presetting" />
+                                        </h3>
+
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Stress Correction
+                                                    <InfoTooltip text="Wahl and Bergsträsser add the coil curvature and direct shear; uncorrected is the plain torsion stress" />
+                                                </label>
+                                                <select
+                                                    name="stressCorrection"
+                                                    value={inputs.stressCorrection}
+                                                    onChange={handleInputChange}
+                                                    className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                >
+                                                    {Object.entries(STRESS_CORRECTIONS).map(([method, props]) => (
+                                                        <option key={method} value={method}>{props.label}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+
+                                            {inputs.springType === 'compression' && (
+                                                <div className="flex items-center">
+                                                    <input
+                                                        type="checkbox"
+                                                        name="preset"
+                                                        checked={inputs.preset}
+                                                        onChange={handleInputChange}
+                                                        className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                    />
+                                                    <label className="ml-2 text-sm font-medium text-gray-700">
+                                                        Preset (set removal)
+                                                        <InfoTooltip text={`Coiled long and pressed solid; allows ${((PRESET.allowableFactor - 1) * 100).toFixed(0)}% more static stress and halves relaxation`} />
+                                                    </label>
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Tolerance Analysis Section */}
                                 <div>
                                     <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                                        Pricing & Overrides
-                                        <InfoTooltip text="Configure pricing parameters and overrides" />
+                                        Tolerance Analysis
+                                        <InfoTooltip text="Spread of rate, load and stress from the wire diameter, OD and free length tolerances" />
                                     </h3>
-                                    
+
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                        {/* Margin Ratio */}
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                Margin Ratio (0-1)
-                                                <InfoTooltip text="Profit margin ratio" />
+                                                Monte Carlo Samples
+                                                <InfoTooltip text="Number of randomly toleranced springs simulated; each tolerance is taken as ±3σ" />
                                             </label>
                                             <input
                                                 type="number"
-                                                name="marginRatio"
-                                                value={inputs.marginRatio}
+                                                name="toleranceSamples"
+                                                step="1000"
+                                                value={inputs.toleranceSamples}
                                                 onChange={handleInputChange}
-                                                min="0"
-                                                max="1"
-                                                step="0.01"
-                                                disabled={inputs.overrideMargin}
-                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300 disabled:bg-gray-100"
+                                                className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                    validationErrors.toleranceSamples ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                }`}
                                             />
+                                            {validationErrors.toleranceSamples && (
+                                                <p className="mt-1 text-sm text-red-600">{validationErrors.toleranceSamples}</p>
+                                            )}
                                         </div>
 
-                                        {/* Override Margin Checkbox */}
-                                        <div className="flex items-center">
+                                        {inputs.springType === 'compression' && (
+                                            <>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Tolerance Class
+                                                        <InfoTooltip text="DIN EN 15800 / IS 7906 quality grade; choosing one fills in the diameter, free length and load tolerances" />
+                                                    </label>
+                                                    <select
+                                                        name="toleranceGrade"
+                                                        value={inputs.toleranceGrade}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        <option value="">Not specified</option>
+                                                        {Object.entries(TOLERANCE_GRADES).map(([grade, props]) => (
+                                                            <option key={grade} value={grade}>{props.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Load Tolerance at L1 (±{units.unit('force')})
+                                                        <InfoTooltip text="Allowable variation in the load at the load height" />
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        name="loadTolerance"
+                                                        step="0.1"
+                                                        value={fieldValue('loadTolerance')}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    />
+                                                </div>
+
+                                                {results.gradeTolerances && (
+                                                    <div className="col-span-2 bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+                                                        <p className="text-gray-700">
+                                                            {TOLERANCE_GRADES[inputs.toleranceGrade].label} allows coil diameter ±{units.format('length', results.gradeTolerances.coilDiameter)} {units.unit('length')},
+                                                            free length ±{units.format('length', results.gradeTolerances.freeLength)} {units.unit('length')}, load ±{units.format('force', results.gradeTolerances.load)} {units.unit('force')},
+                                                            perpendicularity {units.format('length', results.gradeTolerances.perpendicularity)} {units.unit('length')} and parallelism {units.format('length', results.gradeTolerances.parallelism)} {units.unit('length')}
+                                                        </p>
+                                                        {[
+                                                            { name: 'odTolerance', label: 'Coil diameter', limit: results.gradeTolerances.coilDiameter, quantity: 'length' },
+                                                            { name: 'flTolerance', label: 'Free length', limit: results.gradeTolerances.freeLength, quantity: 'length' },
+                                                            { name: 'loadTolerance', label: 'Load', limit: results.gradeTolerances.load, quantity: 'force' }
+                                                        ].filter(({ name, limit }) => inputs[name] > 0 && inputs[name] < limit - 0.005).map(({ name, label, limit, quantity }) => (
+                                                            <p key={name} className="text-amber-600">
+                                                                {label} tolerance ±{fieldValue(name)} {units.unit(quantity)} is tighter than the grade allows (±{units.format(quantity, limit)} {units.unit(quantity)}) and carries a price premium
+                                                            </p>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {/* Fit & Envelope Section */}
+                                {inputs.springType === 'compression' && (
+                                    <div>
+                                        <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                            Fit & Envelope
+                                            <InfoTooltip text="Bore and rod the spring works in or over, checked against the OD growth under load and the coil clearance" />
+                                        </h3>
+
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Bore Diameter ({units.unit('length')})
+                                                    <InfoTooltip text="Diameter of the hole the spring works in (0 if none); checked against the OD as it grows under load" />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name="boreDiameter"
+                                                    value={fieldValue('boreDiameter')}
+                                                    onChange={handleInputChange}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                        validationErrors.boreDiameter ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {validationErrors.boreDiameter && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.boreDiameter}</p>
+                                                )}
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    Rod Diameter ({units.unit('length')})
+                                                    <InfoTooltip text="Diameter of the rod or pin the spring works over (0 if none); checked against the free ID" />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name="rodDiameter"
+                                                    value={fieldValue('rodDiameter')}
+                                                    onChange={handleInputChange}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                        validationErrors.rodDiameter ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {validationErrors.rodDiameter && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.rodDiameter}</p>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Nested Set Section */}
+                                {inputs.springType === 'compression' && (
+                                    <div>
+                                        <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                            Nested Set
+                                            <InfoTooltip text="Design inner springs that nest inside this one, for high loads in a tight envelope" />
+                                        </h3>
+
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                            <div className="flex items-center col-span-2">
+                                                <input
+                                                    type="checkbox"
+                                                    name="nestedSet"
+                                                    checked={inputs.nestedSet}
+                                                    onChange={handleInputChange}
+                                                    className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                />
+                                                <label className="ml-2 text-sm font-medium text-gray-700">
+                                                    Spring-in-spring set
+                                                    <InfoTooltip text="This spring becomes the outer spring; the inner springs are sized from its ID" />
+                                                </label>
+                                            </div>
+                                            {validationErrors.nestedSet && (
+                                                <p className="col-span-2 text-sm text-red-600">{validationErrors.nestedSet}</p>
+                                            )}
+
+                                            {inputs.nestedSet && (
+                                                <>
+                                                    <div>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            Springs in Set
+                                                            <InfoTooltip text="Number of springs including the outer one" />
+                                                        </label>
+                                                        <select
+                                                            name="nestedCount"
+                                                            value={inputs.nestedCount}
+                                                            onChange={handleInputChange}
+                                                            className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                        >
+                                                            {NESTED_SPRING_COUNTS.map(count => (
+                                                                <option key={count} value={count}>{count}</option>
+                                                            ))}
+                                                        </select>
+                                                    </div>
+
+                                                    <div>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            Radial Clearance ({units.unit('length')})
+                                                            <InfoTooltip text="Minimum gap between each spring's ID and the OD of the spring inside it" />
+                                                        </label>
+                                                        <input
+                                                            type="number"
+                                                            name="nestedClearance"
+                                                            step="0.1"
+                                                            value={fieldValue('nestedClearance')}
+                                                            onChange={handleInputChange}
+                                                            className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                validationErrors.nestedClearance ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        {validationErrors.nestedClearance && (
+                                                            <p className="mt-1 text-sm text-red-600">{validationErrors.nestedClearance}</p>
+                                                        )}
+                                                    </div>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Operating Conditions Section */}
+                                <div>
+                                    <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                        Operating Conditions
+                                        <InfoTooltip text="Temperature and time in service, used for modulus reduction and relaxation" />
+                                    </h3>
+
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        {[
+                                            { name: 'operatingTemperature', label: `Operating Temperature (${units.unit('temperature')})`, tooltip: 'Temperature the spring works at' },
+                                            { name: 'serviceHours', label: 'Service Time (h)', tooltip: 'Time under load, used to estimate relaxation' }
+                                        ].map(({ name, label, tooltip }) => (
+                                            <div key={name}>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    {label}
+                                                    <InfoTooltip text={tooltip} />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name={name}
+                                                    value={fieldValue(name)}
+                                                    onChange={handleInputChange}
+                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                        validationErrors[name] ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                    }`}
+                                                />
+                                                {validationErrors[name] && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors[name]}</p>
+                                                )}
+                                            </div>
+                                        ))}
+                                        {inputs.operatingTemperature > MATERIALS[inputs.material].temperature.maxService && (
+                                            <p className="col-span-2 text-sm text-red-600">
+                                                Above the maximum service temperature of this material ({units.format('temperature', MATERIALS[inputs.material].temperature.maxService, 0)} {units.unit('temperature')})
+                                            </p>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {/* Dynamic Loading Section */}
+                                <div>
+                                    <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                        Dynamic Loading
+                                        <InfoTooltip text="Check fatigue life for springs that cycle between two working positions" />
+                                    </h3>
+
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        <div className="flex items-center col-span-2">
                                             <input
                                                 type="checkbox"
-                                                name="overrideMargin"
-                                                checked={inputs.overrideMargin}
+                                                name="dynamicLoading"
+                                                checked={inputs.dynamicLoading}
                                                 onChange={handleInputChange}
                                                 className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
                                             />
                                             <label className="ml-2 text-sm font-medium text-gray-700">
-                                                Override Price
-                                                <InfoTooltip text="Enable manual price override" />
+                                                Spring is cyclically loaded
+                                                <InfoTooltip text="Enable fatigue analysis between a minimum and maximum working position" />
+                                            </label>
+                                        </div>
+
+                                        {inputs.dynamicLoading && (
+                                            <>
+                                                {['minWorkingHeight', 'maxWorkingHeight'].map((name) => (
+                                                    <div key={name}>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            {name === 'minWorkingHeight' ? 'Minimum' : 'Maximum'}{' '}
+                                                            {inputs.springType === 'torsion' ? 'Working Angle (°)' :
+                                                                `${inputs.springType === 'extension' ? 'Extended Length' : 'Working Height'} (${units.unit('length')})`}
+                                                            <InfoTooltip text={inputs.springType === 'torsion' ?
+                                                                'Leg angle at one end of the working stroke' :
+                                                                'Spring length at one end of the working stroke'} />
+                                                        </label>
+                                                        <input
+                                                            type="number"
+                                                            name={name}
+                                                            value={fieldValue(name)}
+                                                            onChange={handleInputChange}
+                                                            className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                validationErrors[name] ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        {validationErrors[name] && (
+                                                            <p className="mt-1 text-sm text-red-600">{validationErrors[name]}</p>
+                                                        )}
+                                                    </div>
+                                                ))}
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Fatigue Criterion
+                                                        <InfoTooltip text="Goodman is the usual design choice; Gerber is less conservative and Soderberg more conservative" />
+                                                    </label>
+                                                    <select
+                                                        name="fatigueCriterion"
+                                                        value={inputs.fatigueCriterion}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        {Object.entries(FATIGUE_CRITERIA).map(([criterion, props]) => (
+                                                            <option key={criterion} value={criterion}>{props.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+
+                                                <div className="flex items-center">
+                                                    <input
+                                                        type="checkbox"
+                                                        name="shotPeened"
+                                                        checked={inputs.shotPeened}
+                                                        onChange={handleInputChange}
+                                                        className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                    />
+                                                    <label className="ml-2 text-sm font-medium text-gray-700">
+                                                        Shot Peened
+                                                        <InfoTooltip text="Shot peening leaves compressive surface stress and raises the endurance strength of the wire" />
+                                                    </label>
+                                                </div>
+
+                                                {inputs.springType !== 'torsion' && (
+                                                    <>
+                                                        <div>
+                                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                                Operating Speed
+                                                                <InfoTooltip text={`Cycling rate of the spring (0 to skip); the fundamental surge frequency should be at least ${SURGE_LIMITS.minRatio}× this`} />
+                                                            </label>
+                                                            <div className="flex space-x-2">
+                                                                <input
+                                                                    type="number"
+                                                                    name="operatingSpeed"
+                                                                    value={inputs.operatingSpeed}
+                                                                    onChange={handleInputChange}
+                                                                    className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                        validationErrors.operatingSpeed ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                                    }`}
+                                                                />
+                                                                <select
+                                                                    name="operatingSpeedUnit"
+                                                                    value={inputs.operatingSpeedUnit}
+                                                                    onChange={handleInputChange}
+                                                                    className="w-28 rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                                >
+                                                                    {Object.entries(OPERATING_SPEED_UNITS).map(([unit, props]) => (
+                                                                        <option key={unit} value={unit}>{props.label}</option>
+                                                                    ))}
+                                                                </select>
+                                                            </div>
+                                                            {validationErrors.operatingSpeed && (
+                                                                <p className="mt-1 text-sm text-red-600">{validationErrors.operatingSpeed}</p>
+                                                            )}
+                                                        </div>
+
+                                                        <div>
+                                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                                Surge End Condition
+                                                                <InfoTooltip text="A spring held at both ends surges at twice the frequency of one with a free end, which only has the odd modes" />
+                                                            </label>
+                                                            <select
+                                                                name="surgeEnds"
+                                                                value={inputs.surgeEnds}
+                                                                onChange={handleInputChange}
+                                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                            >
+                                                                {Object.entries(SURGE_ENDS).map(([ends, props]) => (
+                                                                    <option key={ends} value={ends}>{props.label}</option>
+                                                                ))}
+                                                            </select>
+                                                        </div>
+                                                    </>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {/* Pricing Section */}
+                                <div>
+                                    <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                        Pricing & Overrides
+                                        <InfoTooltip text="Configure pricing parameters and overrides" />
+                                    </h3>
+                                    
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        {/* Pricing Mode */}
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Pricing Mode
+                                                <InfoTooltip text="Gross margin is the profit as a share of the price, markup the profit as a share of the cost: a 60% margin is a 150% markup" />
                                             </label>
+                                            <select
+                                                name="pricingMode"
+                                                value={inputs.pricingMode}
+                                                onChange={handleInputChange}
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            >
+                                                {Object.entries(PRICING_MODES).map(([mode, props]) => (
+                                                    <option key={mode} value={mode}>{props.label}</option>
+                                                ))}
+                                            </select>
                                         </div>
 
-                                        {/* Manual Price */}
-                                        {inputs.overrideMargin && (
+                                        {/* Margin, Markup or Fixed Price */}
+                                        {inputs.pricingMode === 'fixed' ? (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Manual Price (₹)
-                                                    <InfoTooltip text="Set a custom selling price" />
+                                                    Fixed Price per Piece ({units.symbol})
+                                                    <InfoTooltip text="List price per spring whatever it costs; discount tiers still apply" />
                                                 </label>
                                                 <input
                                                     type="number"
-                                                    name="manualPrice"
-                                                    value={inputs.manualPrice}
+                                                    name="fixedPrice"
+                                                    value={fieldValue('fixedPrice')}
                                                     onChange={handleInputChange}
                                                     className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
                                                 />
+                                                {validationErrors.fixedPrice && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.fixedPrice}</p>
+                                                )}
+                                            </div>
+                                        ) : (
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                    {inputs.pricingMode === 'markup' ? 'Markup on Cost (%)' : 'Gross Margin (%)'}
+                                                    <InfoTooltip text={inputs.pricingMode === 'markup' ? 'Price = cost × (1 + markup)' : 'Price = cost / (1 - margin)'} />
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    name={inputs.pricingMode === 'markup' ? 'markupPercent' : 'marginPercent'}
+                                                    value={inputs.pricingMode === 'markup' ? inputs.markupPercent : inputs.marginPercent}
+                                                    onChange={handleInputChange}
+                                                    min="0"
+                                                    max={inputs.pricingMode === 'markup' ? undefined : '99'}
+                                                    step="1"
+                                                    className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                />
+                                                {(validationErrors.marginPercent || validationErrors.markupPercent) && (
+                                                    <p className="mt-1 text-sm text-red-600">{validationErrors.marginPercent || validationErrors.markupPercent}</p>
+                                                )}
                                             </div>
                                         )}
 
+                                        {/* Margin Floor */}
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Margin Floor (%)
+                                                <InfoTooltip text="Lowest gross margin an order may be quoted at; the results warn below it" />
+                                            </label>
+                                            <input
+                                                type="number"
+                                                name="marginFloorPercent"
+                                                value={inputs.marginFloorPercent}
+                                                onChange={handleInputChange}
+                                                min="0"
+                                                max="99"
+                                                step="1"
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            />
+                                            {validationErrors.marginFloorPercent && (
+                                                <p className="mt-1 text-sm text-red-600">{validationErrors.marginFloorPercent}</p>
+                                            )}
+                                        </div>
+
+                                        {/* Target Price */}
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Customer Target Price ({units.symbol})
+                                                <InfoTooltip text="Price per spring the customer is asking for; the results show the margin it earns and the smallest profitable order. Leave at 0 to skip" />
+                                            </label>
+                                            <input
+                                                type="number"
+                                                name="targetPrice"
+                                                value={fieldValue('targetPrice')}
+                                                onChange={handleInputChange}
+                                                min="0"
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            />
+                                            {validationErrors.targetPrice && (
+                                                <p className="mt-1 text-sm text-red-600">{validationErrors.targetPrice}</p>
+                                            )}
+                                        </div>
+
+                                        {/* Customer */}
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Customer
+                                                <InfoTooltip text="Customer being quoted; a customer with a default tier set is quoted on it" />
+                                            </label>
+                                            <input
+                                                type="text"
+                                                name="customer"
+                                                value={inputs.customer}
+                                                onChange={handleInputChange}
+                                                list="tier-customers"
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            />
+                                            <datalist id="tier-customers">
+                                                {Object.keys(tierLibrary.customerDefaults).map(customer => (
+                                                    <option key={customer} value={customer} />
+                                                ))}
+                                            </datalist>
+                                        </div>
+
+                                        {/* Price Tier Set */}
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Price Tiers
+                                                <InfoTooltip text="Quantity price breaks quoted in the price table and every export" />
+                                            </label>
+                                            <select
+                                                name="priceTierSet"
+                                                value={findTierSet(tierLibrary, inputs.priceTierSet)?.id || ''}
+                                                onChange={handleInputChange}
+                                                className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                            >
+                                                {tierLibrary.tierSets.map(set => (
+                                                    <option key={set.id} value={set.id}>{set.name}</option>
+                                                ))}
+                                            </select>
+                                            {inputs.customer.trim() && (
+                                                tierLibrary.customerDefaults[inputs.customer] === inputs.priceTierSet ? (
+                                                    <p className="mt-1 text-sm text-gray-500">Default for {inputs.customer}</p>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => setTierLibrary(prev => ({
+                                                            ...prev,
+                                                            customerDefaults: { ...prev.customerDefaults, [inputs.customer]: inputs.priceTierSet }
+                                                        }))}
+                                                        className="mt-1 text-sm text-blue-600 hover:text-blue-800"
+                                                    >
+                                                        Make default for {inputs.customer}
+                                                    </button>
+                                                )
+                                            )}
+                                        </div>
+
                                         {/* Override Rate Checkbox */}
                                         <div className="flex items-center">
                                             <input
@@ -1225,13 +3348,13 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                         {inputs.overrideRate && (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                    Manual Spring Rate (N/mm)
+                                                    Manual Spring Rate ({units.unit(getInputQuantity('manualRate', inputs.springType))})
                                                     <InfoTooltip text="Set a custom spring rate" />
                                                 </label>
                                                 <input
                                                     type="number"
                                                     name="manualRate"
-                                                    value={inputs.manualRate}
+                                                    value={fieldValue('manualRate')}
                                                     onChange={handleInputChange}
                                                     className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
                                                 />
@@ -1250,19 +3373,60 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                             </h3>
                                             
                                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                                {/* Coiling Machine */}
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        Coiling Machine
+                                                        <InfoTooltip text="Machine the coiling time, labour and setup are estimated on; Automatic picks the eligible machine with the lowest batch cost" />
+                                                    </label>
+                                                    <select
+                                                        name="coilingMachine"
+                                                        value={inputs.coilingMachine}
+                                                        onChange={handleInputChange}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                    >
+                                                        <option value={AUTO_MACHINE}>Automatic</option>
+                                                        {coilingMachines.map(machine => (
+                                                            <option key={machine.id} value={machine.id}>
+                                                                {machine.name}{isMachineEligible(machine, inputs.wireD, results.od) ? '' : ' (not eligible)'}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    {inputs.coilingMachine !== AUTO_MACHINE && results.coiling?.runs.some(run => run.machine.id !== inputs.coilingMachine) && (
+                                                        <p className="mt-1 text-sm text-amber-600">The chosen machine cannot coil this spring; the cheapest eligible machine is used instead</p>
+                                                    )}
+                                                    {results.meanD > 0 && !results.coiling && (
+                                                        <p className="mt-1 text-sm text-red-600">No machine in the library can coil this spring; coiling labour is left out and the entered setup cost is used</p>
+                                                    )}
+                                                </div>
+
                                                 {/* Setup Cost */}
                                                 <div>
                                                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                                                        Setup Cost (₹)
-                                                        <InfoTooltip text="Initial setup cost for production" />
+                                                        Setup Cost ({units.symbol})
+                                                        <InfoTooltip text="Setup cost per batch; estimated from the machine changeover time and hourly rate unless overridden" />
                                                     </label>
                                                     <input
                                                         type="number"
                                                         name="setupCost"
-                                                        value={inputs.setupCost}
+                                                        value={inputs.overrideSetupCost || !results.coiling ? fieldValue('setupCost') : units.field('price', results.totalSetupCost)}
                                                         onChange={handleInputChange}
-                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300"
+                                                        disabled={!inputs.overrideSetupCost && !!results.coiling}
+                                                        className="block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300 disabled:bg-gray-100"
                                                     />
+                                                    <div className="flex items-center mt-2">
+                                                        <input
+                                                            type="checkbox"
+                                                            name="overrideSetupCost"
+                                                            checked={inputs.overrideSetupCost}
+                                                            onChange={handleInputChange}
+                                                            className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                                        />
+                                                        <label className="ml-2 text-sm font-medium text-gray-700">
+                                                            Override Setup Cost
+                                                            <InfoTooltip text="Enter the setup cost by hand instead of the machine estimate" />
+                                                        </label>
+                                                    </div>
                                                 </div>
 
                                                 {/* Production Quantity */}
@@ -1281,6 +3445,37 @@ ${inputs.quantity},${results.overallSellingPrice.toFixed(2)},${(inputs.setupCost
                                                 </div>
                                             </div>
                                         </div>
+
+                                        <div>
+                                            <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                                                Manufacturing Cost Rates
+                                                <InfoTooltip text="Shop rates of the cost build-up; the margin is applied on top of the full cost" />
+                                            </h3>
+
+                                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                                {COST_RATE_FIELDS.map(({ name, label, quantity, unit, suffix = '', tooltip }) => (
+                                                    <div key={name}>
+                                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                            {label} ({quantity ? `${units.unit(quantity)}${suffix}` : unit})
+                                                            <InfoTooltip text={tooltip} />
+                                                        </label>
+                                                        <input
+                                                            type="number"
+                                                            name={name}
+                                                            value={fieldValue(name)}
+                                                            onChange={handleInputChange}
+                                                            min="0"
+                                                            className={`block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                                                validationErrors[name] ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                                                            }`}
+                                                        />
+                                                        {validationErrors[name] && (
+                                                            <p className="mt-1 text-sm text-red-600">{validationErrors[name]}</p>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
                                     </div>
                                 </div>
 
@@ -1362,57 +3557,225 @@ Values outside these ranges may cause:
                                     {/* Result Cards */}
                                     <div className="bg-gray-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-gray-500">Mean Diameter</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.meanD.toFixed(2)} <span className="text-sm font-normal text-gray-500">mm</span></p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.meanD, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
                                     </div>
 
-                                    <div className="bg-gray-50 rounded-lg p-4">
-                                        <p className="text-sm font-medium text-gray-500">Solid Length</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.solidLength?.toFixed(2)} <span className="text-sm font-normal text-gray-500">mm</span></p>
-                                    </div>
+                                    {inputs.springType === 'torsion' ? (
+                                        <>
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Body Length</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.bodyLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                            </div>
 
-                                    <div className="bg-gray-50 rounded-lg p-4">
-                                        <p className="text-sm font-medium text-gray-500">Pitch</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.pitch?.toFixed(2)} <span className="text-sm font-normal text-gray-500">mm</span></p>
-                                    </div>
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Angular Deflection</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{results.angularDeflection?.toFixed(1)} <span className="text-sm font-normal text-gray-500">°</span></p>
+                                            </div>
+                                        </>
+                                    ) : inputs.springType === 'extension' ? (
+                                        <>
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Body Length</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.bodyLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                            </div>
+
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Hook Length (each end)</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.hookLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Solid Length</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.solidLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                            </div>
+
+                                            <div className="bg-gray-50 rounded-lg p-4">
+                                                <p className="text-sm font-medium text-gray-500">Pitch</p>
+                                                <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('length', results.pitch, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                            </div>
+                                        </>
+                                    )}
 
                                     <div className="bg-gray-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-gray-500">Wire Volume</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.wireVolume.toFixed(2)} <span className="text-sm font-normal text-gray-500">mm³</span></p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('volume', results.wireVolume, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('volume')}</span></p>
                                     </div>
 
                                     <div className="bg-gray-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-gray-500">Spring Weight</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.springWeight.toFixed(2)} <span className="text-sm font-normal text-gray-500">g</span></p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('mass', results.springWeight, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('mass')}</span></p>
+                                        {results.materialYield && (
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                Net {units.format('mass', results.materialYield.netWeight, 2)} {units.unit('mass')} after grinding, gross {units.format('mass', results.materialYield.grossWeight, 2)} {units.unit('mass')} with allowances
+                                            </p>
+                                        )}
                                     </div>
 
                                     <div className="bg-gray-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-gray-500">Raw Material Cost</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">₹{results.rawMaterialCost.toFixed(2)}</p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.money(results.rawMaterialCost)}</p>
                                     </div>
 
                                     <div className="bg-gray-50 rounded-lg p-4">
-                                        <p className="text-sm font-medium text-gray-500">Spring Rate (K)</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.springRate.toFixed(2)} <span className="text-sm font-normal text-gray-500">N/mm</span></p>
+                                        <p className="text-sm font-medium text-gray-500">{inputs.springType === 'torsion' ? 'Torque Rate' : 'Spring Rate (K)'}</p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format(rateQuantity, results.springRate)} <span className="text-sm font-normal text-gray-500">{units.unit(rateQuantity)}</span></p>
                                     </div>
 
                                     <div className="bg-gray-50 rounded-lg p-4">
-                                        <p className="text-sm font-medium text-gray-500">Load at Load Height</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.loadAtL1.toFixed(2)} <span className="text-sm font-normal text-gray-500">N</span></p>
+                                        <p className="text-sm font-medium text-gray-500">
+                                            {inputs.springType === 'torsion' ? 'Torque at Working Angle' :
+                                                inputs.springType === 'extension' ? 'Load at Extended Length' : 'Load at Load Height'}
+                                        </p>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format(loadQuantity, results.loadAtL1)} <span className="text-sm font-normal text-gray-500">{units.unit(loadQuantity)}</span></p>
                                     </div>
 
+                                    {results.costBreakdown && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <h3 className="text-base font-medium text-gray-900 mb-3 flex items-center">
+                                                Manufacturing Cost {results.nested ? 'per Set' : 'per Spring'}
+                                                <InfoTooltip text="Full cost built up from the material and each process step; the margin is applied on top of the total" />
+                                            </h3>
+                                            <div className="h-24">
+                                                <ResponsiveContainer width="100%" height="100%">
+                                                    <BarChart
+                                                        layout="vertical"
+                                                        data={[Object.fromEntries(results.costBreakdown.buckets.map(({ bucket, cost }) => [bucket, units.toDisplay('price', cost)]))]}
+                                                        margin={{ top: 0, right: 10, left: 10, bottom: 0 }}
+                                                    >
+                                                        <XAxis type="number" hide />
+                                                        <YAxis type="category" hide />
+                                                        <Tooltip formatter={(value) => `${units.symbol}${value.toFixed(2)}`} />
+                                                        {results.costBreakdown.buckets.filter(({ cost }) => cost > 0).map(({ bucket }) => (
+                                                            <Bar key={bucket} dataKey={bucket} stackId="cost" name={COST_BUCKETS[bucket].label} fill={COST_BUCKETS[bucket].color} />
+                                                        ))}
+                                                    </BarChart>
+                                                </ResponsiveContainer>
+                                            </div>
+                                            <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+                                                <tbody className="divide-y divide-gray-200">
+                                                    {results.costBreakdown.buckets.map(({ bucket, cost, share }) => (
+                                                        <tr key={bucket}>
+                                                            <td className="py-1.5">
+                                                                <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: COST_BUCKETS[bucket].color }} />
+                                                                {COST_BUCKETS[bucket].label}
+                                                            </td>
+                                                            <td className="py-1.5 text-right text-gray-900">{units.money(cost, 3)}</td>
+                                                            <td className="py-1.5 text-right text-gray-500 w-16">{(share * 100).toFixed(1)}%</td>
+                                                        </tr>
+                                                    ))}
+                                                    <tr className="font-medium">
+                                                        <td className="py-1.5">Total Cost</td>
+                                                        <td className="py-1.5 text-right text-gray-900">{units.money(results.costBreakdown.totalCost, 3)}</td>
+                                                        <td className="py-1.5 text-right text-gray-500 w-16">100%</td>
+                                                    </tr>
+                                                </tbody>
+                                            </table>
+                                            {results.coiling && (
+                                                <div className="mt-4">
+                                                    <p className="text-sm font-medium text-gray-700 mb-2">Coiling</p>
+                                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+                                                        {results.coiling.runs.map((run, i) => (
+                                                            <div key={i} className="sm:col-span-2 text-gray-600">
+                                                                {results.nested ? `${results.nested.springs[i].role}: ` : ''}
+                                                                <span className="font-medium text-gray-900">{run.machine.name}</span>
+                                                                {' '}at {run.feedRate.toFixed(0)} m/min, {run.cycleTime.toFixed(1)} s per spring, {Math.floor(run.piecesPerHour).toLocaleString()} pcs/h
+                                                            </div>
+                                                        ))}
+                                                        <div>
+                                                            <span className="text-gray-500">Labour per {results.nested ? 'set' : 'piece'}: </span>
+                                                            <span className="font-medium text-gray-900">{units.money(results.coiling.labourPerPiece, 3)}</span>
+                                                        </div>
+                                                        <div>
+                                                            <span className="text-gray-500">Setup: </span>
+                                                            <span className="font-medium text-gray-900">{results.coiling.setupTime.toFixed(1)} h, {units.money(results.coiling.setupCost)}</span>
+                                                        </div>
+                                                        <div>
+                                                            <span className="text-gray-500">Batch time: </span>
+                                                            <span className="font-medium text-gray-900">{results.coiling.batchHours.toFixed(1)} h</span>
+                                                        </div>
+                                                        <div>
+                                                            <span className="text-gray-500">Batch labour: </span>
+                                                            <span className="font-medium text-gray-900">{units.money(results.coiling.batchLabourCost)}</span>
+                                                        </div>
+                                                    </div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
                                     <div className="col-span-2 bg-blue-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-blue-600">Price per Spring</p>
-                                        <p className="text-xl md:text-2xl font-bold text-blue-900">₹{results.pricePerSpring.toFixed(2)}</p>
+                                        <p className="text-xl md:text-2xl font-bold text-blue-900">{units.money(results.pricePerSpring)}</p>
                                     </div>
 
                                     <div className="col-span-2 bg-green-50 rounded-lg p-4">
                                         <p className="text-sm font-medium text-green-600">Overall Selling Price</p>
-                                        <p className="text-3xl font-bold text-green-900">₹{results.overallSellingPrice.toFixed(2)}</p>
+                                        <p className="text-3xl font-bold text-green-900">{units.money(results.overallSellingPrice)}</p>
+                                        <p className="text-xs text-green-700 mt-1">
+                                            {findTierSet(tierLibrary, inputs.priceTierSet)?.name || 'No tier set'}: {describeTier(results.orderTier)}
+                                            {results.orderTier ? ` from ${results.orderTier.quantity.toLocaleString()} pcs` : ''}
+                                        </p>
+                                        {results.achievedMargin && (
+                                            <>
+                                                <p className="text-sm text-green-800 mt-2">
+                                                    {results.achievedMargin.marginPercent.toFixed(1)}% gross margin, {results.achievedMargin.markupPercent.toFixed(1)}% markup on the full cost with setup
+                                                </p>
+                                                {results.achievedMargin.belowFloor && (
+                                                    <p className="mt-1 text-sm font-medium text-red-600">
+                                                        Below the {inputs.marginFloorPercent}% margin floor
+                                                    </p>
+                                                )}
+                                            </>
+                                        )}
                                     </div>
 
+                                    {results.targetPricing && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <div className="text-sm font-medium text-gray-500 flex items-center">
+                                                Target Price {units.money(results.targetPricing.targetPrice)}
+                                                <InfoTooltip text="Margin and markup the customer's target price earns on the full cost per piece, and with the setup spread over the order quantity" />
+                                            </div>
+                                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-2">
+                                                <div>
+                                                    <p className="text-sm text-gray-500">On unit cost</p>
+                                                    <p className="text-lg font-bold text-gray-900">{results.targetPricing.marginPercent.toFixed(1)}% <span className="text-sm font-normal text-gray-500">margin, {results.targetPricing.markupPercent.toFixed(1)}% markup</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm text-gray-500">At {inputs.quantity.toLocaleString()} pcs with setup</p>
+                                                    <p className={`text-lg font-bold ${results.targetPricing.orderMarginPercent < inputs.marginFloorPercent ? 'text-red-600' : 'text-gray-900'}`}>
+                                                        {results.targetPricing.orderMarginPercent.toFixed(1)}% <span className="text-sm font-normal text-gray-500">margin, {results.targetPricing.orderMarkupPercent.toFixed(1)}% markup</span>
+                                                    </p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm text-gray-500">Profitable from</p>
+                                                    <p className={`text-lg font-bold ${Number.isFinite(results.targetPricing.breakEvenQuantity) ? 'text-gray-900' : 'text-red-600'}`}>
+                                                        {Number.isFinite(results.targetPricing.breakEvenQuantity)
+                                                            ? <>{results.targetPricing.breakEvenQuantity.toLocaleString()} <span className="text-sm font-normal text-gray-500">pcs</span></>
+                                                            : 'Never: below unit cost'}
+                                                    </p>
+                                                </div>
+                                            </div>
+                                            {results.targetPricing.orderMarginPercent < inputs.marginFloorPercent && (
+                                                <p className="mt-2 text-sm font-medium text-red-600">
+                                                    Below the {inputs.marginFloorPercent}% margin floor at this quantity
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+
                                     <div className="bg-gray-50 rounded-lg p-4">
-                                        <p className="text-sm font-medium text-gray-500">Total Wire Weight</p>
-                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{results.totalWireWeight.toFixed(2)} <span className="text-sm font-normal text-gray-500">kg</span></p>
+                                        <div className="text-sm font-medium text-gray-500 flex items-center">
+                                            Total Wire Weight
+                                            <InfoTooltip text="Gross wire to order, with the cut-off, rejects, grind stock and setup scrap; the net weight is what ships" />
+                                        </div>
+                                        <p className="text-xl md:text-2xl font-bold text-gray-900">{units.format('bulkMass', results.totalWireWeight, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('bulkMass')} gross</span></p>
+                                        {results.materialYield && (
+                                            <p className="text-sm text-gray-600">
+                                                {units.format('bulkMass', results.materialYield.netBatchWeight, 2)} {units.unit('bulkMass')} net, {results.materialYield.yieldPercent.toFixed(1)}% yield
+                                            </p>
+                                        )}
                                         <p className="text-xs text-gray-500 mt-1">For {inputs.quantity.toLocaleString()} springs</p>
                                     </div>
 
@@ -1422,61 +3785,384 @@ Values outside these ranges may cause:
                                         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                                             <div>
                                                 <p className="text-sm font-medium text-gray-500">Elastic Modulus (E)</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.elasticModulus} <span className="text-sm font-normal text-gray-500">MPa</span></p>
+                                                <p className="text-lg font-bold text-gray-900">{units.format('stress', results.elasticModulus, 0)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
                                             </div>
+                                            {inputs.springType === 'torsion' ? (
+                                                <>
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-500">Curvature Factor (Ki)</p>
+                                                        <p className="text-lg font-bold text-gray-900">{results.curvatureFactor?.toFixed(3)}</p>
+                                                    </div>
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-500">Bending Stress (σ)</p>
+                                                        <p className="text-lg font-bold text-gray-900">{units.format('stress', results.bendingStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                    </div>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-500">{STRESS_CORRECTIONS[inputs.stressCorrection].label} Factor ({STRESS_CORRECTIONS[inputs.stressCorrection].symbol})</p>
+                                                        <p className="text-lg font-bold text-gray-900">{results.wahlFactor?.toFixed(3)}</p>
+                                                    </div>
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-500">Shear Stress (τ)</p>
+                                                        <p className="text-lg font-bold text-gray-900">{units.format('stress', results.shearStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                    </div>
+                                                </>
+                                            )}
+                                            {inputs.springType === 'compression' && (
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Stress at Solid Length</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('stress', results.stressAtSolidLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                </div>
+                                            )}
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Wahl Factor (Kw)</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.wahlFactor?.toFixed(3)}</p>
+                                                <p className="text-sm font-medium text-gray-500">Stress Ratio</p>
+                                                <p className="text-lg font-bold text-gray-900">{(results.stressRatio * 100)?.toFixed(1)}%</p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Shear Stress (τ)</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.shearStress?.toFixed(2)} <span className="text-sm font-normal text-gray-500">MPa</span></p>
+                                                <p className="text-sm font-medium text-gray-500">Tensile Strength (Sut)</p>
+                                                <p className="text-lg font-bold text-gray-900">{units.format('stress', results.tensileStrength, 0)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')} at Ø{fieldValue('wireD')} {units.unit('length')}</span></p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Stress at Solid Length</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.stressAtSolidLength?.toFixed(2)} <span className="text-sm font-normal text-gray-500">MPa</span></p>
+                                                <p className="text-sm font-medium text-gray-500">Allowable Stress ({inputs.dynamicLoading ? 'dynamic' : 'static'})</p>
+                                                <p className="text-lg font-bold text-gray-900">{units.format('stress', results.allowableStress, 0)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')} ({(results.allowableFraction * 100).toFixed(0)}% of Sut)</span></p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Stress Ratio</p>
-                                                <p className="text-lg font-bold text-gray-900">{(results.stressRatio * 100)?.toFixed(1)}%</p>
+                                                <p className="text-sm font-medium text-gray-500">Stress Utilization</p>
+                                                <p className={`text-lg font-bold ${results.stressUtilization <= 1 ? 'text-green-600' : 'text-red-600'}`}>
+                                                    {(results.stressUtilization * 100)?.toFixed(1)}% — {results.stressUtilization <= 1 ? 'Pass' : 'Fail'}
+                                                </p>
                                             </div>
+                                            {inputs.springType === 'compression' && inputs.preset && (
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Coiled Free Length (before preset)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', inputs.freeLength + results.presetAllowance)} <span className="text-sm font-normal text-gray-500">{units.unit('length')} (+{units.format('length', results.presetAllowance)} set)</span></p>
+                                                </div>
+                                            )}
+                                            {results.surge && (
+                                                <div>
+                                                    <div className="text-sm font-medium text-gray-500 flex items-center">
+                                                        Surge Frequency
+                                                        <InfoTooltip text={`${SURGE_ENDS[results.surge.ends].label}; modes ${results.surge.modes.map(mode => `f${mode.order} = ${mode.frequency.toFixed(0)} Hz`).join(', ')}`} />
+                                                    </div>
+                                                    <p className="text-lg font-bold text-gray-900">{results.surge.modes[0].frequency.toFixed(1)} <span className="text-sm font-normal text-gray-500">Hz ({units.format('mass', results.surge.activeMass)} {units.unit('mass')} active mass)</span></p>
+                                                </div>
+                                            )}
+                                            {results.surge?.resonance && (
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Surge / Operating Frequency</p>
+                                                    <p className={`text-lg font-bold ${results.surge.resonance.ratioOk ? 'text-green-600' : 'text-red-600'}`}>
+                                                        {results.surge.resonance.ratio.toFixed(1)}× — {results.surge.resonance.ratioOk ? 'OK' : `Below ${SURGE_LIMITS.minRatio}×`}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500 mt-1">Operating at {results.surge.operatingFrequency.toFixed(2)} Hz</p>
+                                                </div>
+                                            )}
                                         </div>
+
+                                        {results.surge?.resonance?.nearHarmonics.length > 0 && (
+                                            <div className="mt-4">
+                                                <p className="text-sm font-medium text-red-600 mb-2">
+                                                    Harmonics of the operating frequency within ±{SURGE_LIMITS.nearBand * 100}% of a surge mode
+                                                </p>
+                                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                                    <thead className="bg-gray-100">
+                                                        <tr>
+                                                            {['Surge Mode', 'Mode Frequency (Hz)', 'Operating Harmonic', 'Harmonic Frequency (Hz)', 'Offset'].map(heading => (
+                                                                <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                                            ))}
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody className="divide-y divide-gray-200">
+                                                        {results.surge.resonance.nearHarmonics.map(near => (
+                                                            <tr key={near.mode}>
+                                                                <td className="px-3 py-2">f{near.mode}</td>
+                                                                <td className="px-3 py-2">{near.modeFrequency.toFixed(1)}</td>
+                                                                <td className="px-3 py-2">{near.harmonic}×</td>
+                                                                <td className="px-3 py-2">{near.forcingFrequency.toFixed(1)}</td>
+                                                                <td className="px-3 py-2">{(near.offset * 100).toFixed(1)}%</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </div>
+                                        )}
+
+                                        {results.stressByCorrection && (
+                                            <div className="overflow-x-auto mt-4">
+                                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                                    <thead className="bg-gray-100">
+                                                        <tr>
+                                                            {['Correction', `Stress at L1 (${units.unit('stress')})`, ...(inputs.springType === 'compression' ? [`Stress at Solid (${units.unit('stress')})`] : [])].map(heading => (
+                                                                <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                                            ))}
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody className="divide-y divide-gray-200">
+                                                        {Object.entries(results.stressByCorrection).map(([method, stress]) => (
+                                                            <tr key={method} className={method === inputs.stressCorrection ? 'font-semibold text-gray-900' : 'text-gray-700'}>
+                                                                <td className="px-3 py-2">{STRESS_CORRECTIONS[method].label}</td>
+                                                                <td className="px-3 py-2">{units.format('stress', stress.atL1, 1)}</td>
+                                                                {stress.atSolid !== null && <td className="px-3 py-2">{units.format('stress', stress.atSolid, 1)}</td>}
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </div>
+                                        )}
                                     </div>
 
-                                    {/* Performance Characteristics Section */}
+                                    {/* Extension Spring Section */}
+                                    {inputs.springType === 'extension' && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <h3 className="text-base font-medium text-gray-900 mb-3">Extension Spring Properties</h3>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Active Coils (Na)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{results.activeCoils?.toFixed(2)}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Initial Tension (Fi)</p>
+                                                    <p className={`text-lg font-bold ${
+                                                        results.initialTension >= results.initialTensionMin && results.initialTension <= results.initialTensionMax
+                                                            ? 'text-gray-900'
+                                                            : 'text-red-600'
+                                                    }`}>
+                                                        {units.format('force', results.initialTension, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('force')}</span>
+                                                    </p>
+                                                    <p className="text-xs text-gray-500 mt-1">
+                                                        Recommended {units.format('force', results.initialTensionMin)} - {units.format('force', results.initialTensionMax)} {units.unit('force')}
+                                                        {inputs.initialTension > 0 ? '' : ' (nominal used)'}
+                                                    </p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Initial Stress (τi)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('stress', results.initialStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Hook Bending Stress (σA)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('stress', results.hookBendingStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Hook Torsional Stress (τB)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('stress', results.hookTorsionalStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Wire Length (incl. hooks)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.wireLength, 1)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Conical / Variable Pitch Section */}
+                                    {inputs.springType === 'compression' && (inputs.coilShape === 'conical' || inputs.pitchType === 'variable') && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <h3 className="text-base font-medium text-gray-900 mb-3">Progressive Rate Properties</h3>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                                {inputs.coilShape === 'conical' && (
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-500">Small End Mean Diameter</p>
+                                                        <p className="text-lg font-bold text-gray-900">{units.format('length', results.smallMeanD, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                    </div>
+                                                )}
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Solid Height</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.solidLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                    {results.telescoping && (
+                                                        <p className="text-xs text-gray-500 mt-1">Fully telescoping - coils nest inside each other</p>
+                                                    )}
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Initial Rate</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('rate', results.springRate, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('rate')}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Rate at Load Height</p>
+                                                    <p className="text-lg font-bold text-gray-900">
+                                                        {Number.isFinite(results.rateAtL1) ? units.format('rate', results.rateAtL1) : 'Solid'} <span className="text-sm font-normal text-gray-500">{units.unit('rate')}</span>
+                                                    </p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Coils Bottomed at Load Height</p>
+                                                    <p className="text-lg font-bold text-gray-900">{results.bottomedCoils?.toFixed(1)} <span className="text-sm font-normal text-gray-500">of {inputs.coilsActive}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Stress in Largest Active Coil</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('stress', results.largestActiveCoilStress, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('stress')}</span></p>
+                                                    <p className="text-xs text-gray-500 mt-1">Peak stress over all coils: {units.format('stress', results.shearStress)} {units.unit('stress')}</p>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Fit & Envelope Section */}
+                                    {results.fit && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <h3 className="text-base font-medium text-gray-900 mb-3">Fit & Envelope</h3>
+                                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                                                {[
+                                                    results.fit.bore && {
+                                                        label: 'Bore Clearance',
+                                                        tooltip: `Bore less the OD at the deepest working height and the OD tolerance; below ${FIT_LIMITS.minClearanceRatio * 100}% of the bore, or binding at solid, is a warning`,
+                                                        value: `${units.format('length', results.fit.bore.clearance)} ${units.unit('length')}`,
+                                                        note: `At solid: ${units.format('length', results.fit.bore.solidClearance)} ${units.unit('length')}`,
+                                                        status: results.fit.bore.status
+                                                    },
+                                                    results.fit.rod && {
+                                                        label: 'Rod Clearance',
+                                                        tooltip: `Free ID less the OD tolerance and the rod; below ${FIT_LIMITS.minClearanceRatio * 100}% of the rod is a warning`,
+                                                        value: `${units.format('length', results.fit.rod.clearance)} ${units.unit('length')}`,
+                                                        note: 'The ID only opens out under load',
+                                                        status: results.fit.rod.status
+                                                    },
+                                                    {
+                                                        label: 'Coil Clash',
+                                                        tooltip: `Gap between active coils at the deepest working height; below ${FIT_LIMITS.minCoilGapRatio * 100}% of the wire diameter the coils may clash`,
+                                                        value: `${results.fit.coilGapPercent.toFixed(1)}% of d`,
+                                                        note: `Gap ${units.format('length', results.fit.coilGap, 3)} ${units.unit('length')} at ${units.format('length', results.fit.minHeight)} ${units.unit('length')}`,
+                                                        status: results.fit.coilClashStatus
+                                                    }
+                                                ].filter(Boolean).map(check => (
+                                                    <div key={check.label} className={`rounded-lg p-3 ${FIT_STATUS_CLASSES[check.status].card}`}>
+                                                        <div className="flex items-center justify-between">
+                                                            <div className="text-sm font-medium text-gray-500 flex items-center">
+                                                                {check.label}
+                                                                <InfoTooltip text={check.tooltip} />
+                                                            </div>
+                                                            <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${FIT_STATUS_CLASSES[check.status].badge}`}>
+                                                                {FIT_STATUS[check.status].label}
+                                                            </span>
+                                                        </div>
+                                                        <p className={`text-lg font-bold ${FIT_STATUS_CLASSES[check.status].text}`}>{check.value}</p>
+                                                        <p className="text-xs text-gray-500 mt-1">{check.note}</p>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">OD at Solid</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.fit.solidOD)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                    <p className="text-xs text-gray-500 mt-1">Grows by {units.format('length', results.fit.odGrowthAtSolid, 3)} {units.unit('length')}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">ID at Solid</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.fit.solidID)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                </div>
+                                                {results.fit.points.map(point => (
+                                                    <div key={point.label}>
+                                                        <p className="text-sm font-medium text-gray-500">OD at {point.label} ({units.format('length', point.height)} {units.unit('length')})</p>
+                                                        <p className="text-lg font-bold text-gray-900">{units.format('length', point.od)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                        <p className="text-xs text-gray-500 mt-1">Grows by {units.format('length', point.odGrowth, 3)} {units.unit('length')}</p>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Torsion Spring Section */}
+                                    {inputs.springType === 'torsion' && (
+                                        <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                            <h3 className="text-base font-medium text-gray-900 mb-3">Torsion Spring Properties</h3>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Active Turns (Na)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{results.activeCoils?.toFixed(2)}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Torque Rate per Turn</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('torque', results.springRate * 360, 1)} <span className="text-sm font-normal text-gray-500">{units.unit('torque')}/turn</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Body ID Under Load</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.loadedID, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                    <p className="text-xs text-gray-500 mt-1">Reduced by {units.format('length', results.idReduction)} {units.unit('length')} - check against the arbor</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Body Length Under Load</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.loadedBodyLength, 2)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Winding Direction</p>
+                                                    <p className="text-lg font-bold text-gray-900">{inputs.coilDirection || 'Not specified'}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Wire Length (incl. legs)</p>
+                                                    <p className="text-lg font-bold text-gray-900">{units.format('length', results.wireLength, 1)} <span className="text-sm font-normal text-gray-500">{units.unit('length')}</span></p>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Temperature Effects Section */}
                                     <div className="col-span-2 bg-gray-50 rounded-lg p-4">
-                                        <h3 className="text-base font-medium text-gray-900 mb-3">Performance Characteristics</h3>
+                                        <h3 className="text-base font-medium text-gray-900 mb-3">Temperature Effects at {units.format('temperature', inputs.operatingTemperature, 0)} {units.unit('temperature')}</h3>
                                         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Maximum Deflection</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.maxDeflection?.toFixed(2)} <span className="text-sm font-normal text-gray-500">mm</span></p>
+                                                <p className="text-sm font-medium text-gray-500">{inputs.springType === 'torsion' ? 'Elastic Modulus (E)' : 'Shear Modulus (G)'}</p>
+                                                <p className="text-lg font-bold text-gray-900">{units.imperial ? (units.toDisplay('stress', results.hotModulus) / 1e6).toFixed(2) : (results.hotModulus / 1000).toFixed(1)} <span className="text-sm font-normal text-gray-500">{units.imperial ? 'Mpsi' : 'GPa'}</span></p>
+                                            </div>
+                                            <div>
+                                                <p className="text-sm font-medium text-gray-500">{inputs.springType === 'torsion' ? 'Torque Rate' : 'Spring Rate'}</p>
+                                                <p className="text-lg font-bold text-gray-900">
+                                                    {units.format(rateQuantity, results.hotSpringRate)}{' '}
+                                                    <span className="text-sm font-normal text-gray-500">
+                                                        {units.unit(rateQuantity)} ({units.format('temperature', 20, 0)} {units.unit('temperature')}: {units.format(rateQuantity, results.springRate)})
+                                                    </span>
+                                                </p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Natural Frequency</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.naturalFrequency?.toFixed(1)} <span className="text-sm font-normal text-gray-500">Hz</span></p>
+                                                <p className="text-sm font-medium text-gray-500">{inputs.springType === 'torsion' ? 'Torque at Working Angle' : 'Load at L1'}</p>
+                                                <p className="text-lg font-bold text-gray-900">
+                                                    {units.format(loadQuantity, results.hotLoadAtL1)}{' '}
+                                                    <span className="text-sm font-normal text-gray-500">
+                                                        {units.unit(loadQuantity)} ({units.format('temperature', 20, 0)} {units.unit('temperature')}: {units.format(loadQuantity, results.loadAtL1)})
+                                                    </span>
+                                                </p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Resonant Frequency</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.resonantFrequency?.toFixed(1)} <span className="text-sm font-normal text-gray-500">Hz</span></p>
+                                                <p className="text-sm font-medium text-gray-500">After Relaxation ({inputs.serviceHours} h)</p>
+                                                <p className="text-lg font-bold text-gray-900">{units.format(loadQuantity, results.relaxedLoadAtL1)} <span className="text-sm font-normal text-gray-500">{units.unit(loadQuantity)}</span></p>
                                             </div>
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Energy Stored</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.energyStored?.toFixed(3)} <span className="text-sm font-normal text-gray-500">N⋅mm</span></p>
+                                                <p className="text-sm font-medium text-gray-500">Max Service Temperature</p>
+                                                <p className={`text-lg font-bold ${results.overMaxServiceTemperature ? 'text-red-600' : 'text-green-600'}`}>
+                                                    {units.format('temperature', results.maxServiceTemperature, 0)} {units.unit('temperature')} {results.overMaxServiceTemperature ? '— Exceeded' : '— OK'}
+                                                </p>
                                             </div>
+                                        </div>
+                                    </div>
+
+                                    {/* Performance Characteristics Section */}
+                                    <div className="col-span-2 bg-gray-50 rounded-lg p-4">
+                                        <h3 className="text-base font-medium text-gray-900 mb-3">Performance Characteristics</h3>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                                             <div>
-                                                <p className="text-sm font-medium text-gray-500">Buckling Risk</p>
-                                                <div className="flex items-center">
-                                                    <p className={`text-lg font-bold ${results.bucklingRisk ? 'text-red-600' : 'text-green-600'}`}>
-                                                        {results.bucklingRisk ? 'High' : 'Low'}
-                                                    </p>
-                                                    <p className="text-sm text-gray-500 ml-2">
-                                                        ({(results.bucklingRiskRatio * 100).toFixed(1)}% of critical)
-                                                    </p>
-                                                </div>
+                                                <p className="text-sm font-medium text-gray-500">Maximum Deflection</p>
+                                                <p className="text-lg font-bold text-gray-900">{toDisplayDeflection(results.maxDeflection).toFixed(inputs.springType === 'torsion' || !units.imperial ? 2 : 4)} <span className="text-sm font-normal text-gray-500">{deflectionUnit}</span></p>
                                             </div>
+                                            <div>
+                                                <p className="text-sm font-medium text-gray-500">Energy Stored</p>
+                                                <p className="text-lg font-bold text-gray-900">{units.format('energy', results.energyStored, 3)} <span className="text-sm font-normal text-gray-500">{units.unit('energy')}</span></p>
+                                            </div>
+                                            {inputs.springType === 'compression' && (
+                                                <div>
+                                                    <p className="text-sm font-medium text-gray-500">Buckling</p>
+                                                    <div className="flex items-center">
+                                                        <p className={`text-lg font-bold ${results.bucklingStatus === 'Buckles' ? 'text-red-600' : 'text-green-600'}`}>
+                                                            {results.bucklingStatus}
+                                                        </p>
+                                                        <p className="text-sm text-gray-500 ml-2">
+                                                            {results.criticalDeflection === Infinity ?
+                                                                '(stable at any deflection)' :
+                                                                `(${(results.bucklingRiskRatio * 100).toFixed(1)}% of critical deflection)`}
+                                                        </p>
+                                                    </div>
+                                                </div>
+                                            )}
                                             <div>
                                                 <p className="text-sm font-medium text-gray-500">Estimated Relaxation</p>
-                                                <p className="text-lg font-bold text-gray-900">{results.relaxationEstimate?.toFixed(1)}% <span className="text-sm font-normal text-gray-500">at constant load</span></p>
+                                                <p className="text-lg font-bold text-gray-900">{results.relaxationEstimate?.toFixed(1)}% <span className="text-sm font-normal text-gray-500">load loss after {inputs.serviceHours} h</span></p>
                                             </div>
                                         </div>
                                     </div>
@@ -1488,47 +4174,64 @@ Values outside these ranges may cause:
                         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
                             <div className="bg-gradient-to-r from-purple-500 to-purple-600 px-4 md:px-6 py-3 md:py-4">
                                 <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
-                                    Load vs Deflection Curve
+                                    {inputs.springType === 'torsion' ? 'Torque vs Angular Deflection Curve' :
+                                        inputs.springType === 'extension' ? 'Load vs Extension Curve' : 'Load vs Deflection Curve'}
                                     <InfoTooltip text="Visual representation of spring behavior under load" />
                                 </h2>
                             </div>
 
                             <div className="p-4 md:p-6">
-                                <div className="h-60 md:h-80">
-                                    <ResponsiveContainer width="100%" height="100%">
-                                        <LineChart
-                                            data={graphData}
-                                            margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
-                                        >
-                                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
-                                            <XAxis
-                                                dataKey="deflection"
-                                                label={{ value: 'Deflection (mm)', position: 'insideBottom', offset: -5 }}
-                                                stroke="#6B7280"
-                                            />
-                                            <YAxis
-                                                label={{ value: 'Load (N)', angle: -90, position: 'insideLeft' }}
-                                                stroke="#6B7280"
-                                            />
-                                            <Tooltip
-                                                contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
-                                                formatter={(value) => [`${value.toFixed(2)} N`, 'Load']}
-                                            />
-                                            <Legend />
-                                            <Line
-                                                type="monotone"
-                                                dataKey="load"
-                                                stroke="#6366F1"
-                                                name="Spring Load"
-                                                dot={false}
-                                                strokeWidth={3}
-                                            />
-                                        </LineChart>
-                                    </ResponsiveContainer>
-                                </div>
+                                <LoadDeflectionChart
+                                    graphData={graphData}
+                                    results={results}
+                                    springType={inputs.springType}
+                                    guided={inputs.guideType !== 'none'}
+                                    units={units}
+                                />
+
+                                {results.workingPoints.length > 1 && (
+                                    <div className="overflow-x-auto mt-4">
+                                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                            <thead className="bg-gray-50">
+                                                <tr>
+                                                    {workingPointHeader.map(heading => (
+                                                        <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {workingPointRows.map((row, index) => (
+                                                    <tr key={row[0]} className={results.workingPoints[index].error ? 'text-red-600' : ''}>
+                                                        {row.map((cell, i) => <td key={i} className="px-3 py-2">{cell}</td>)}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
                             </div>
                         </div>
 
+                        {/* Buckling Stability Card */}
+                        {inputs.springType === 'compression' && results.slenderness > 0 && (
+                            <BucklingAnalysis results={results} freeLength={inputs.freeLength} guideType={inputs.guideType} units={units} />
+                        )}
+
+                        {/* Nested Set Card */}
+                        {results.nested && (
+                            <NestedSetAnalysis nested={results.nested} units={units} />
+                        )}
+
+                        {/* Tolerance Analysis Card */}
+                        {results.tolerance && (
+                            <ToleranceAnalysis tolerance={results.tolerance} springType={inputs.springType} units={units} />
+                        )}
+
+                        {/* Fatigue Analysis Card */}
+                        {inputs.dynamicLoading && results.fatigue && (
+                            <FatigueAnalysis fatigue={results.fatigue} springType={inputs.springType} units={units} />
+                        )}
+
                         {/* Price vs Quantity Analysis Card */}
                         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
                             <div className="bg-gradient-to-r from-orange-500 to-orange-600 px-4 md:px-6 py-3 md:py-4">
@@ -1542,7 +4245,7 @@ Values outside these ranges may cause:
                                 <div className="h-60 md:h-80">
                                     <ResponsiveContainer width="100%" height="100%">
                                         <LineChart
-                                            data={quantityAnalysisData}
+                                            data={quantityAnalysisData.map(point => ({ ...point, price: units.toDisplay('price', point.price) }))}
                                             margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
                                         >
                                             <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -1555,12 +4258,12 @@ Values outside these ranges may cause:
                                                 domain={['dataMin', 'dataMax']}
                                             />
                                             <YAxis
-                                                label={{ value: 'Price per Spring (₹)', angle: -90, position: 'insideLeft' }}
+                                                label={{ value: `Price per Spring (${units.symbol})`, angle: -90, position: 'insideLeft' }}
                                                 stroke="#6B7280"
                                             />
                                             <Tooltip
                                                 contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
-                                                formatter={(value) => [`₹${value.toFixed(2)}`, 'Price']}
+                                                formatter={(value) => [`${units.symbol}${value.toFixed(2)}`, 'Price']}
                                             />
                                             <Legend />
                                             <Line
@@ -1592,29 +4295,33 @@ Values outside these ranges may cause:
                                     <div className="bg-gray-50 rounded-lg p-4 md:p-6">
                                         <h3 className="text-base md:text-lg font-medium text-gray-900 mb-4">Technical Specifications</h3>
                                         <div className="space-y-2 font-mono text-sm overflow-x-auto">
+                                            <div className="flex justify-between border-b border-gray-200 py-2">
+                                                <span className="text-gray-600">Spring Type:</span>
+                                                <span className="text-gray-900">{SPRING_TYPES[inputs.springType].label}</span>
+                                            </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Spring Wire Diameter:</span>
-                                                <span className="text-gray-900">{inputs.wireD} ± {inputs.wireDTolerance} mm</span>
+                                                <span className="text-gray-900">{fieldValue('wireD')} ± {fieldValue('wireDTolerance')} {units.unit('length')}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Spring Outer Diameter:</span>
-                                                <span className="text-gray-900">{results.od} ± {inputs.odTolerance} mm</span>
+                                                <span className="text-gray-900">{units.field('length', results.od)} ± {fieldValue('odTolerance')} {units.unit('length')}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Spring Inner Diameter:</span>
-                                                <span className="text-gray-900">{results.id} mm</span>
+                                                <span className="text-gray-900">{units.field('length', results.id)} {units.unit('length')}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Spring Mean Diameter:</span>
-                                                <span className="text-gray-900">{results.meanD} mm</span>
+                                                <span className="text-gray-900">{units.field('length', results.meanD)} {units.unit('length')}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
-                                                <span className="text-gray-600">Total Coils:</span>
+                                                <span className="text-gray-600">{inputs.springType === 'compression' ? 'Total Coils:' : 'Body Coils:'}</span>
                                                 <span className="text-gray-900">{inputs.coilsTotal}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Active Coils:</span>
-                                                <span className="text-gray-900">{inputs.coilsActive}</span>
+                                                <span className="text-gray-900">{inputs.springType === 'compression' ? inputs.coilsActive : results.activeCoils?.toFixed(2)}</span>
                                             </div>
                                             <div className="flex justify-between border-b border-gray-200 py-2">
                                                 <span className="text-gray-600">Material:</span>
@@ -1635,24 +4342,76 @@ Values outside these ranges may cause:
                                                 <span className="text-gray-600">Finish:</span>
                                                 <span className="text-gray-900">{inputs.finish || "Not specified"}</span>
                                             </div>
-                                            <div className="flex justify-between border-b border-gray-200 py-2">
-                                                <span className="text-gray-600">Ends:</span>
-                                                <span className="text-gray-900">{inputs.ends || "Not specified"}</span>
-                                            </div>
+                                            {inputs.springType === 'torsion' ? (
+                                                <div className="flex justify-between border-b border-gray-200 py-2">
+                                                    <span className="text-gray-600">Leg Lengths:</span>
+                                                    <span className="text-gray-900">{fieldValue('legLength1')} / {fieldValue('legLength2')} {units.unit('length')}</span>
+                                                </div>
+                                            ) : inputs.springType === 'extension' ? (
+                                                <div className="flex justify-between border-b border-gray-200 py-2">
+                                                    <span className="text-gray-600">Hook Type:</span>
+                                                    <span className="text-gray-900">{HOOK_TYPES[inputs.hookType].label}</span>
+                                                </div>
+                                            ) : (
+                                                <>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Coil Shape:</span>
+                                                        <span className="text-gray-900">{describeCoilShape(inputs, units)}</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Ends:</span>
+                                                        <span className="text-gray-900">{END_TYPES[inputs.endType].designation}</span>
+                                                    </div>
+                                                </>
+                                            )}
                                             {inputs.otherNotes && (
                                                 <div className="flex justify-between border-b border-gray-200 py-2">
                                                     <span className="text-gray-600">Additional Notes:</span>
                                                     <span className="text-gray-900">{inputs.otherNotes}</span>
                                                 </div>
                                             )}
-                                            <div className="flex justify-between border-b border-gray-200 py-2">
-                                                <span className="text-gray-600">Solid Length:</span>
-                                                <span className="text-gray-900">{results.solidLength?.toFixed(2)} mm</span>
-                                            </div>
-                                            <div className="flex justify-between border-b border-gray-200 py-2">
-                                                <span className="text-gray-600">Pitch:</span>
-                                                <span className="text-gray-900">{results.pitch?.toFixed(2)} mm</span>
-                                            </div>
+                                            {inputs.springType === 'torsion' ? (
+                                                <>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Body Length:</span>
+                                                        <span className="text-gray-900">{units.format('length', results.bodyLength)} {units.unit('length')}</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Free / Working Angle:</span>
+                                                        <span className="text-gray-900">{inputs.freeAngle}° / {inputs.workingAngle}°</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Torque at Working Angle:</span>
+                                                        <span className="text-gray-900">{units.format('torque', results.loadAtL1)} {units.unit('torque')}</span>
+                                                    </div>
+                                                </>
+                                            ) : inputs.springType === 'extension' ? (
+                                                <>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Body Length:</span>
+                                                        <span className="text-gray-900">{units.format('length', results.bodyLength)} {units.unit('length')}</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Length Inside Hooks:</span>
+                                                        <span className="text-gray-900">{fieldValue('freeLength')} ± {fieldValue('flTolerance')} {units.unit('length')}</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Initial Tension:</span>
+                                                        <span className="text-gray-900">{units.format('force', results.initialTension)} {units.unit('force')}</span>
+                                                    </div>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Solid Length:</span>
+                                                        <span className="text-gray-900">{units.format('length', results.solidLength)} {units.unit('length')}</span>
+                                                    </div>
+                                                    <div className="flex justify-between border-b border-gray-200 py-2">
+                                                        <span className="text-gray-600">Pitch:</span>
+                                                        <span className="text-gray-900">{units.format('length', results.pitch)} {units.unit('length')}</span>
+                                                    </div>
+                                                </>
+                                            )}
                                         </div>
                                     </div>
 
@@ -1663,22 +4422,22 @@ Values outside these ranges may cause:
                                             <table className="min-w-full divide-y divide-gray-200">
                                                 <thead>
                                                     <tr className="bg-gray-100">
-                                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
-                                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price per Spring</th>
-                                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Price</th>
+                                                        {['Quantity', 'Price Break', 'Price per Spring', 'Total Price'].map(heading => (
+                                                            <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                                                        ))}
                                                     </tr>
                                                 </thead>
                                                 <tbody className="divide-y divide-gray-200 bg-white">
-                                                    <tr>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">10</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">₹{((inputs.setupCost + (results.pricePerSpring * 10)) / 10).toFixed(2)}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">₹{(inputs.setupCost + (results.pricePerSpring * 10)).toFixed(2)}</td>
-                                                    </tr>
-                                                    <tr className="bg-gray-50">
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{inputs.quantity.toLocaleString()}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">₹{results.overallSellingPrice.toFixed(2)}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">₹{(inputs.setupCost + (results.pricePerSpring * inputs.quantity)).toFixed(2)}</td>
-                                                    </tr>
+                                                    {results.priceTiers.map(row => (
+                                                        <tr key={row.quantity} className={row.isOrder ? 'bg-green-50' : ''}>
+                                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                                {row.quantity.toLocaleString()}{row.isOrder ? ' (order)' : ''}
+                                                            </td>
+                                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeTier(row.tier)}</td>
+                                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{units.money(row.pricePerSpring)}</td>
+                                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{units.money(row.total)}</td>
+                                                        </tr>
+                                                    ))}
                                                 </tbody>
                                             </table>
                                         </div>
@@ -1713,6 +4472,7 @@ Values outside these ranges may cause:
                 <QuotationGenerator 
                     springData={inputs} 
                     results={results}
+                    units={units}
                 />
             )}
         </div>
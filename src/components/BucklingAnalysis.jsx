@@ -0,0 +1,97 @@
+import React from 'react';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import InfoTooltip from './InfoTooltip';
+import { GUIDE_TYPES, getCriticalDeflectionRatio, getStableSlenderness } from '../utils/buckling';
+
+const BucklingAnalysis = ({ results, freeLength, guideType, units }) => {
+    const { slenderness, seatingCoefficient, modulusRatio, criticalDeflection, workingDeflection, bucklingStatus } = results;
+
+    // Stability curve: critical relative deflection against slenderness, stable below the curve
+    const stableSlenderness = getStableSlenderness(modulusRatio);
+    const maxSlenderness = Math.max(10, slenderness * 1.2);
+    const stabilityCurve = Array.from({ length: 41 }, (_, i) => {
+        const lambda = stableSlenderness + (maxSlenderness - stableSlenderness) * i / 40;
+        return { slenderness: lambda, ratio: Math.min(1, getCriticalDeflectionRatio(lambda, modulusRatio)) };
+    });
+    const operatingPoint = [{ slenderness, ratio: workingDeflection / freeLength }];
+
+    const stats = [
+        { label: 'Seating Coefficient (ν)', value: seatingCoefficient.toFixed(2), unit: '' },
+        { label: 'Slenderness (νL0/D)', value: slenderness.toFixed(2), unit: '' },
+        { label: 'Critical Deflection', value: criticalDeflection === Infinity ? '∞' : units.format('length', criticalDeflection), unit: units.unit('length') },
+        { label: 'Working Deflection', value: units.format('length', workingDeflection), unit: units.unit('length') },
+        { label: 'Guidance', value: GUIDE_TYPES[guideType].label, unit: '' }
+    ];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-rose-500 to-rose-600 px-4 md:px-6 py-3 md:py-4">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Buckling Stability
+                    <InfoTooltip text="Critical deflection from the slenderness curve (EN 13906-1). Operating points above the curve buckle unless the spring is guided." />
+                </h2>
+            </div>
+
+            <div className="p-4 md:p-6 space-y-4">
+                <div className={`rounded-lg p-4 ${bucklingStatus === 'Buckles' ? 'bg-red-50' : 'bg-green-50'}`}>
+                    <p className="text-sm font-medium text-gray-500">Buckling Check</p>
+                    <p className={`text-lg font-bold ${bucklingStatus === 'Buckles' ? 'text-red-600' : 'text-green-600'}`}>{bucklingStatus}</p>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                    {stats.map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+                            <p className="text-lg font-bold text-gray-900">{stat.value} <span className="text-sm font-normal text-gray-500">{stat.unit}</span></p>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="h-60 md:h-80">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis
+                                dataKey="slenderness"
+                                type="number"
+                                domain={[0, 'dataMax']}
+                                tickFormatter={(value) => value.toFixed(1)}
+                                label={{ value: 'Slenderness νL0/D', position: 'insideBottom', offset: -5 }}
+                                stroke="#6B7280"
+                            />
+                            <YAxis
+                                type="number"
+                                domain={[0, 1]}
+                                label={{ value: 'Relative Deflection s/L0', angle: -90, position: 'insideLeft' }}
+                                stroke="#6B7280"
+                            />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
+                                labelFormatter={(value) => `λ = ${Number(value).toFixed(2)}`}
+                                formatter={(value, name) => [Number(value).toFixed(3), name]}
+                            />
+                            <Legend />
+                            <Line
+                                data={stabilityCurve}
+                                type="monotone"
+                                dataKey="ratio"
+                                stroke="#E11D48"
+                                name="Buckling Limit"
+                                dot={false}
+                                strokeWidth={3}
+                            />
+                            <Scatter
+                                data={operatingPoint}
+                                dataKey="ratio"
+                                fill="#1F2937"
+                                name="Operating Point"
+                            />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BucklingAnalysis;
@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, TrendingDown } from 'lucide-react';
+import InfoTooltip from './InfoTooltip';
+import OptimizerResults from './OptimizerResults';
+import { MATERIALS } from '../constants/materials';
+import { solveCompressionSpring } from '../utils/solver';
+import { getCostRates } from '../utils/costing';
+import { getPricing } from '../utils/pricing';
+
+const inputClassName = "block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300";
+
+// Unit quantity of each target and envelope field
+const FIELD_QUANTITIES = {
+    load1: 'force',
+    height1: 'length',
+    load2: 'force',
+    height2: 'length',
+    maxOD: 'length',
+    minID: 'length',
+    maxSolidLength: 'length'
+};
+
+const DesignSolver = ({ inputs, coilingMachines, onApply, units }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [solverInputs, setSolverInputs] = useState({
+        load1: 0,
+        height1: 0,
+        useSecondPoint: false,
+        load2: 0,
+        height2: 0,
+        maxOD: 0,
+        minID: 0,
+        maxSolidLength: 0,
+        // Empty follows the main form's material until a material is picked here
+        material: ''
+    });
+    const [candidates, setCandidates] = useState(null);
+    const [optimization, setOptimization] = useState(null);
+    const [isOptimizing, setIsOptimizing] = useState(false);
+    const [error, setError] = useState('');
+    const workerRef = useRef(null);
+    const material = solverInputs.material || inputs.material;
+
+    // Stop a running search when the solver unmounts
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    const handleInputChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        let newValue = type === 'checkbox' ? checked : parseFloat(value) || (value === '0' ? 0 : value);
+        // Targets are kept in the canonical units
+        if (FIELD_QUANTITIES[name] && typeof newValue === 'number') newValue = units.fromDisplay(FIELD_QUANTITIES[name], newValue);
+        setSolverInputs(prev => ({ ...prev, [name]: newValue }));
+    };
+
+    // Candidates are priced with the same shop rates, coiling machines and finishing steps as the main calculator
+    const costOptions = {
+        costRates: getCostRates(inputs),
+        coilingMachines,
+        coilingMachine: inputs.coilingMachine,
+        quantity: inputs.quantity,
+        grindStockPercent: inputs.grindStockPercent,
+        shotPeened: inputs.dynamicLoading && inputs.shotPeened,
+        finished: inputs.finish.trim() !== ''
+    };
+
+    // Validated targets and envelope, or null after reporting the problem
+    const readTargets = () => {
+        const { load1, height1, useSecondPoint, load2, height2, maxOD, minID, maxSolidLength } = solverInputs;
+        const targets = [{ load: load1, height: height1 }];
+        if (useSecondPoint) targets.push({ load: load2, height: height2 });
+
+        if (targets.some(target => !(target.load > 0) || !(target.height > 0))) {
+            setError('Target loads and heights must be positive');
+            return null;
+        }
+        if (useSecondPoint && (height1 === height2 || (load2 - load1) / (height1 - height2) <= 0)) {
+            setError('The shorter height must carry the higher load');
+            return null;
+        }
+        if (maxOD > 0 && minID > 0 && minID >= maxOD) {
+            setError('Minimum ID must be less than the maximum OD');
+            return null;
+        }
+        setError('');
+        return { targets, envelope: { maxOD, minID, maxSolidLength } };
+    };
+
+    const handleSolve = () => {
+        const request = readTargets();
+        if (!request) return;
+
+        setOptimization(null);
+        setCandidates(solveCompressionSpring(request.targets, request.envelope, {
+            material,
+            endType: inputs.endType,
+            materialCost: material === inputs.material ? inputs.materialCost : MATERIALS[material].cost,
+            rejectPercent: material === inputs.material ? inputs.rejectPercent : MATERIALS[material].rejectRate,
+            pricing: getPricing(inputs),
+            dynamic: inputs.dynamicLoading,
+            stressCorrection: inputs.stressCorrection,
+            ...costOptions
+        }));
+    };
+
+    // Search every material off the main thread so the form stays responsive
+    const handleOptimize = async () => {
+        const request = readTargets();
+        if (!request) return;
+
+        workerRef.current?.terminate();
+        setCandidates(null);
+        setOptimization(null);
+        setIsOptimizing(true);
+
+        const { createOptimizerWorker } = await import('../workers/createOptimizerWorker');
+        const worker = createOptimizerWorker();
+        workerRef.current = worker;
+        worker.onmessage = (event) => {
+            setOptimization(event.data);
+            setIsOptimizing(false);
+            worker.terminate();
+            workerRef.current = null;
+        };
+        worker.onerror = () => {
+            setError('Design search failed');
+            setIsOptimizing(false);
+            worker.terminate();
+            workerRef.current = null;
+        };
+        worker.postMessage({
+            ...request,
+            options: {
+                endType: inputs.endType,
+                endFixity: inputs.endFixity,
+                guided: inputs.guideType !== 'none',
+                pricing: getPricing(inputs),
+                dynamic: inputs.dynamicLoading,
+                stressCorrection: inputs.stressCorrection,
+                ...costOptions
+            }
+        });
+    };
+
+    // Each candidate carries the material it was solved in, which the main form may have moved on from
+    const handleApply = (candidate) => {
+        const { height1, useSecondPoint, height2 } = solverInputs;
+        onApply(candidate, candidate.material, useSecondPoint ? Math.min(height1, height2) : height1);
+    };
+
+    const fields = [
+        { name: 'load1', label: `Target Load 1 (${units.unit('force')})`, tooltip: 'Load the spring must give at height 1' },
+        { name: 'height1', label: `At Height 1 (${units.unit('length')})`, tooltip: 'Spring length at target load 1' },
+        ...(solverInputs.useSecondPoint ? [
+            { name: 'load2', label: `Target Load 2 (${units.unit('force')})`, tooltip: 'Load the spring must give at height 2' },
+            { name: 'height2', label: `At Height 2 (${units.unit('length')})`, tooltip: 'Spring length at target load 2' }
+        ] : []),
+        { name: 'maxOD', label: `Max Outer Diameter (${units.unit('length')})`, tooltip: 'Bore the spring must fit in (0 for no limit)' },
+        { name: 'minID', label: `Min Inner Diameter (${units.unit('length')})`, tooltip: 'Rod the spring must pass over (0 for no limit)' },
+        { name: 'maxSolidLength', label: `Max Solid Height (${units.unit('length')})`, tooltip: 'Largest allowed solid height (0 for no limit)' }
+    ];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4 md:mb-8">
+            <div className="bg-gradient-to-r from-cyan-500 to-cyan-600 px-4 md:px-6 py-3 md:py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Design Solver
+                    <InfoTooltip text="Find compression spring geometry from the required loads and the space available" />
+                </h2>
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="w-full sm:w-auto bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                >
+                    {isOpen ? 'Hide' : 'Show'}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 md:p-6 space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4">
+                        {fields.map(({ name, label, tooltip }) => (
+                            <div key={name}>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    {label}
+                                    <InfoTooltip text={tooltip} />
+                                </label>
+                                <input
+                                    type="number"
+                                    name={name}
+                                    value={units.field(FIELD_QUANTITIES[name], solverInputs[name])}
+                                    onChange={handleInputChange}
+                                    className={inputClassName}
+                                />
+                            </div>
+                        ))}
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Material
+                                <InfoTooltip text="Wire material to search standard sizes in" />
+                            </label>
+                            <select
+                                name="material"
+                                value={material}
+                                onChange={handleInputChange}
+                                className={inputClassName}
+                            >
+                                {Object.keys(MATERIALS).map(material => (
+                                    <option key={material} value={material}>{material}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="flex items-center">
+                            <input
+                                type="checkbox"
+                                name="useSecondPoint"
+                                checked={solverInputs.useSecondPoint}
+                                onChange={handleInputChange}
+                                className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                            />
+                            <label className="ml-2 text-sm font-medium text-gray-700">
+                                Second target point
+                                <InfoTooltip text="A second load and height fixes the spring rate" />
+                            </label>
+                        </div>
+                    </div>
+
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+
+                    <button
+                        onClick={handleSolve}
+                        className="w-full bg-cyan-600 hover:bg-cyan-700 text-white font-medium py-3 px-4 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+                    >
+                        <Search size={20} />
+                        <span>Find Designs</span>
+                    </button>
+
+                    <button
+                        onClick={handleOptimize}
+                        disabled={isOptimizing}
+                        className="w-full bg-white hover:bg-cyan-50 disabled:opacity-60 text-cyan-700 border border-cyan-600 font-medium py-3 px-4 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+                    >
+                        <TrendingDown size={20} />
+                        <span>{isOptimizing ? 'Searching All Materials…' : 'Optimize Cost Across Materials'}</span>
+                    </button>
+
+                    {candidates && candidates.length === 0 && (
+                        <p className="text-sm text-gray-600">
+                            No standard wire size and coil count meets these targets. Relax the envelope or choose a stronger material.
+                        </p>
+                    )}
+
+                    {candidates && candidates.length > 0 && (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        {['#', 'Wire Ø', 'OD', 'Active / Total Coils', 'Free Length', 'Solid Height', 'Rate', 'Index', 'Stress Utilization', 'Price / Spring', ''].map(heading => (
+                                            <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {candidates.map((candidate, index) => (
+                                        <tr key={`${candidate.wireD}-${candidate.coilsActive}-${candidate.meanD}`}>
+                                            <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                                            <td className="px-3 py-2">{units.field('length', candidate.wireD)} {units.unit('length')}</td>
+                                            <td className="px-3 py-2">{units.format('length', candidate.outerD)} {units.unit('length')}</td>
+                                            <td className="px-3 py-2">{candidate.coilsActive} / {candidate.coilsTotal}</td>
+                                            <td className="px-3 py-2">{units.format('length', candidate.freeLength)} {units.unit('length')}</td>
+                                            <td className="px-3 py-2">{units.format('length', candidate.solidLength)} {units.unit('length')}</td>
+                                            <td className="px-3 py-2">{units.format('rate', candidate.springRate, 3)} {units.unit('rate')}</td>
+                                            <td className="px-3 py-2">{candidate.springIndex.toFixed(1)}</td>
+                                            <td className="px-3 py-2">{(candidate.stressUtilization * 100).toFixed(1)}%</td>
+                                            <td className="px-3 py-2">{units.money(candidate.pricePerSpring)}</td>
+                                            <td className="px-3 py-2">
+                                                <button
+                                                    onClick={() => handleApply(candidate)}
+                                                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md transition-colors duration-200"
+                                                >
+                                                    Load
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {optimization && (
+                        <OptimizerResults
+                            optimization={optimization}
+                            units={units}
+                            onApply={handleApply}
+                        />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DesignSolver;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import InfoTooltip from './InfoTooltip';
+import { FATIGUE_CRITERIA, getFailureAmplitude, formatCycles } from '../utils/fatigue';
+
+const FatigueAnalysis = ({ fatigue, springType, units }) => {
+    const isTorsion = springType === 'torsion';
+    const stressSymbol = isTorsion ? 'σ' : 'τ';
+    const loadQuantity = isTorsion ? 'torque' : 'force';
+    const stressUnit = units.unit('stress');
+    const toStress = (stress) => units.toDisplay('stress', stress);
+
+    // Failure line of the selected criterion, from the endurance limit down to the mean-stress intercept
+    const meanIntercept = fatigue.criterion === 'soderberg' ? fatigue.yieldStrength : fatigue.ultimateStrength;
+    const failureLine = Array.from({ length: 21 }, (_, i) => {
+        const mean = meanIntercept * i / 20;
+        return { mean: toStress(mean), alternating: toStress(getFailureAmplitude(fatigue, mean)) };
+    });
+
+    // Langer (first-cycle yield) line: τa + τm = Ssy
+    const yieldLine = [
+        { mean: 0, alternating: toStress(fatigue.yieldStrength) },
+        { mean: toStress(fatigue.yieldStrength), alternating: 0 }
+    ];
+
+    // Operating point of the working stroke
+    const operatingPoint = [{ mean: toStress(fatigue.meanStress), alternating: toStress(fatigue.alternatingStress) }];
+
+    const stats = [
+        { label: isTorsion ? 'Torque Range' : 'Load Range', value: `${units.format(loadQuantity, fatigue.minLoad)} – ${units.format(loadQuantity, fatigue.maxLoad)}`, unit: units.unit(loadQuantity) },
+        { label: 'Stress Range', value: `${units.format('stress', fatigue.minStress, 1)} – ${units.format('stress', fatigue.maxStress, 1)}`, unit: stressUnit },
+        { label: `Mean Stress (${stressSymbol}m)`, value: units.format('stress', fatigue.meanStress, 1), unit: stressUnit },
+        { label: `Alternating Stress (${stressSymbol}a)`, value: units.format('stress', fatigue.alternatingStress, 1), unit: stressUnit },
+        { label: 'Endurance Limit (fully reversed)', value: units.format('stress', fatigue.enduranceLimit, 1), unit: stressUnit },
+        { label: `${FATIGUE_CRITERIA[fatigue.criterion].label} Safety Factor`, value: fatigue.safetyFactor.toFixed(2), unit: '' },
+        { label: 'Yield Safety Factor', value: fatigue.yieldSafetyFactor.toFixed(2), unit: '' },
+        { label: 'Estimated Cycles to Failure', value: formatCycles(fatigue.cyclesToFailure), unit: 'cycles' }
+    ];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-teal-500 to-teal-600 px-4 md:px-6 py-3 md:py-4">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Fatigue Analysis
+                    <InfoTooltip text={`Mean and alternating stress between the two working positions, checked with the ${FATIGUE_CRITERIA[fatigue.criterion].label} criterion${fatigue.shotPeened ? ' (shot peened)' : ''}`} />
+                </h2>
+            </div>
+
+            <div className="p-4 md:p-6 space-y-4">
+                <div className={`rounded-lg p-4 ${fatigue.passes ? 'bg-green-50' : 'bg-red-50'}`}>
+                    <p className="text-sm font-medium text-gray-500">Fatigue Verdict</p>
+                    <p className={`text-lg font-bold ${fatigue.passes ? 'text-green-600' : 'text-red-600'}`}>{fatigue.verdict}</p>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                    {stats.map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+                            <p className="text-lg font-bold text-gray-900">{stat.value} <span className="text-sm font-normal text-gray-500">{stat.unit}</span></p>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="h-60 md:h-80">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis
+                                dataKey="mean"
+                                type="number"
+                                domain={[0, 'dataMax']}
+                                tickFormatter={(value) => value.toFixed(0)}
+                                label={{ value: `Mean Stress ${stressSymbol}m (${stressUnit})`, position: 'insideBottom', offset: -5 }}
+                                stroke="#6B7280"
+                            />
+                            <YAxis
+                                type="number"
+                                label={{ value: `Alternating Stress ${stressSymbol}a (${stressUnit})`, angle: -90, position: 'insideLeft' }}
+                                stroke="#6B7280"
+                            />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
+                                labelFormatter={(value) => `${stressSymbol}m = ${Number(value).toFixed(units.imperial ? 0 : 1)} ${stressUnit}`}
+                                formatter={(value, name) => [`${Number(value).toFixed(units.imperial ? 0 : 1)} ${stressUnit}`, name]}
+                            />
+                            <Legend />
+                            <Line
+                                data={failureLine}
+                                type="monotone"
+                                dataKey="alternating"
+                                stroke="#EF4444"
+                                name={`${FATIGUE_CRITERIA[fatigue.criterion].label} Line`}
+                                dot={false}
+                                strokeWidth={3}
+                            />
+                            <Line
+                                data={yieldLine}
+                                type="linear"
+                                dataKey="alternating"
+                                stroke="#F59E0B"
+                                strokeDasharray="5 5"
+                                name="Yield (Langer) Line"
+                                dot={false}
+                                strokeWidth={2}
+                            />
+                            <Scatter
+                                data={operatingPoint}
+                                dataKey="alternating"
+                                fill="#0D9488"
+                                name="Operating Point"
+                            />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FatigueAnalysis;
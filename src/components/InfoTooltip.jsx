@@ -0,0 +1,21 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+
+// Hover tooltip shown next to labels and headings
+const InfoTooltip = ({ text }) => (
+  <div className="group relative inline-block ml-1">
+    <Info size={16} className="text-gray-400 inline cursor-help" />
+    <div className="invisible group-hover:visible opacity-0 group-hover:opacity-100 transition-opacity duration-200
+                    absolute z-50 w-64 p-4 mt-2 text-sm text-left
+                    bg-gray-900 text-white rounded-lg shadow-lg
+                    -translate-x-1/2 left-1/2
+                    whitespace-pre-wrap break-words">
+      {text}
+      <div className="tooltip-arrow absolute h-2 w-2 bg-gray-900 rotate-45 
+                      left-1/2 -translate-x-1/2 -top-1">
+      </div>
+    </div>
+  </div>
+);
+
+export default InfoTooltip;
@@ -0,0 +1,188 @@
+import React, { useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceDot, ReferenceLine, ReferenceArea } from 'recharts';
+import { Image as ImageIcon, FileImage } from 'lucide-react';
+import { exportChartAsPng, exportChartAsSvg } from '../utils/chartExport';
+
+// Deflection at which a sampled curve first reaches a stress, or null if it never does
+const getDeflectionAtStress = (points, stress) => {
+    const i = points.findIndex(point => point.stress >= stress);
+    if (i < 0) return null;
+    if (i === 0) return points[0].deflection;
+    const [before, after] = [points[i - 1], points[i]];
+    return before.deflection + (after.deflection - before.deflection) * (stress - before.stress) / (after.stress - before.stress);
+};
+
+// Load (or torque) and stress against deflection, with the working points, solid, allowable-stress
+// and buckling limits marked and the region beyond the first limit shaded as unsafe
+// graphData: [{ deflection, load, stress, position }] in the canonical units
+const LoadDeflectionChart = ({ graphData, results, springType, guided, units }) => {
+    const chartRef = useRef(null);
+    const isTorsion = springType === 'torsion';
+    const isCompression = springType === 'compression';
+
+    const loadQuantity = isTorsion ? 'torque' : 'force';
+    const loadLabel = isTorsion ? 'Torque' : 'Load';
+    const stressLabel = isTorsion ? 'Bending Stress' : 'Shear Stress';
+    const positionLabel = isTorsion ? 'Leg Angle' : springType === 'extension' ? 'Extended Length' : 'Height';
+    const deflectionUnit = isTorsion ? '°' : units.unit('length');
+    const toDeflection = (deflection) => (isTorsion ? deflection : units.toDisplay('length', deflection));
+    const deflectionDecimals = units.imperial && !isTorsion ? 3 : 1;
+
+    const chartData = graphData.map(point => ({
+        deflection: toDeflection(point.deflection),
+        load: units.toDisplay(loadQuantity, point.load),
+        stress: units.toDisplay('stress', point.stress),
+        position: isTorsion ? point.position : units.toDisplay('length', point.position)
+    }));
+
+    // Limits along the deflection axis (canonical units); buckling is only a hazard for an unguided spring
+    const maxDeflection = graphData.length > 0 ? graphData[graphData.length - 1].deflection : 0;
+    const allowableDeflection = getDeflectionAtStress(graphData, results.allowableStress);
+    const bucklingDeflection = isCompression && results.criticalDeflection < maxDeflection ? results.criticalDeflection : null;
+    const unsafeLimits = [allowableDeflection, guided ? null : bucklingDeflection].filter(limit => limit !== null);
+    const unsafeFrom = unsafeLimits.length > 0 ? Math.min(...unsafeLimits) : null;
+
+    const markers = [
+        ...(isTorsion
+            ? [{ label: 'Working', deflection: results.angularDeflection, color: '#F97316' }]
+            : results.workingPoints.filter(point => !point.error).map(point => ({ label: point.label, deflection: point.deflection, color: '#F97316' }))),
+        ...(isCompression && maxDeflection > 0 ? [{ label: 'Solid', deflection: maxDeflection, color: '#111827' }] : []),
+        ...(allowableDeflection !== null ? [{ label: 'Allowable stress', deflection: allowableDeflection, color: '#DC2626' }] : []),
+        ...(bucklingDeflection !== null ? [{ label: guided ? 'Buckling (guided)' : 'Buckling', deflection: bucklingDeflection, color: '#7C3AED' }] : [])
+    ];
+
+    const handleExport = (format) => {
+        const svg = chartRef.current?.querySelector('svg.recharts-surface');
+        if (!svg) return;
+        const fileName = `${springType}_spring_load_deflection`;
+        if (format === 'png') exportChartAsPng(svg, fileName);
+        else exportChartAsSvg(svg, fileName);
+    };
+
+    // Hover readout of the spring height, load and stress at the pointer
+    const renderReadout = ({ active, payload }) => {
+        if (!active || !payload?.length) return null;
+        const point = payload[0].payload;
+        return (
+            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-2 text-sm space-y-0.5">
+                <p className="text-gray-500">
+                    Deflection {point.deflection.toFixed(deflectionDecimals + 1)} {deflectionUnit}
+                </p>
+                <p>{positionLabel}: <span className="font-medium">
+                    {isTorsion ? `${point.position.toFixed(1)}°` : `${point.position.toFixed(deflectionDecimals + 1)} ${units.unit('length')}`}
+                </span></p>
+                <p>{loadLabel}: <span className="font-medium">{point.load.toFixed(units.imperial ? 3 : 2)} {units.unit(loadQuantity)}</span></p>
+                <p>{stressLabel}: <span className="font-medium">{point.stress.toFixed(units.imperial ? 0 : 1)} {units.unit('stress')}</span></p>
+            </div>
+        );
+    };
+
+    return (
+        <div>
+            <div className="flex justify-end gap-2 mb-2">
+                <button
+                    onClick={() => handleExport('png')}
+                    className="flex items-center space-x-1 text-sm text-purple-700 hover:bg-purple-50 border border-purple-300 px-2 py-1 rounded-md transition-colors duration-200"
+                >
+                    <ImageIcon size={14} />
+                    <span>PNG</span>
+                </button>
+                <button
+                    onClick={() => handleExport('svg')}
+                    className="flex items-center space-x-1 text-sm text-purple-700 hover:bg-purple-50 border border-purple-300 px-2 py-1 rounded-md transition-colors duration-200"
+                >
+                    <FileImage size={14} />
+                    <span>SVG</span>
+                </button>
+            </div>
+
+            <div ref={chartRef} className="h-72 md:h-96">
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                        data={chartData}
+                        margin={{ top: 20, right: 30, left: 10, bottom: 5 }}
+                    >
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis
+                            dataKey="deflection"
+                            type="number"
+                            domain={[0, 'dataMax']}
+                            tickFormatter={(value) => value.toFixed(deflectionDecimals)}
+                            label={{
+                                value: `${isTorsion ? 'Angular Deflection' : springType === 'extension' ? 'Extension' : 'Deflection'} (${deflectionUnit})`,
+                                position: 'insideBottom',
+                                offset: -5
+                            }}
+                            stroke="#6B7280"
+                        />
+                        <YAxis
+                            yAxisId="load"
+                            label={{ value: `${loadLabel} (${units.unit(loadQuantity)})`, angle: -90, position: 'insideLeft' }}
+                            stroke="#6B7280"
+                        />
+                        <YAxis
+                            yAxisId="stress"
+                            orientation="right"
+                            label={{ value: `${stressLabel} (${units.unit('stress')})`, angle: 90, position: 'insideRight' }}
+                            stroke="#9CA3AF"
+                        />
+                        <Tooltip content={renderReadout} />
+                        <Legend />
+                        {unsafeFrom !== null && (
+                            <ReferenceArea
+                                yAxisId="load"
+                                x1={toDeflection(unsafeFrom)}
+                                x2={toDeflection(maxDeflection)}
+                                fill="#EF4444"
+                                fillOpacity={0.08}
+                                label={{ value: 'Unsafe', position: 'insideTopRight', fill: '#B91C1C', fontSize: 12 }}
+                            />
+                        )}
+                        <Line
+                            yAxisId="load"
+                            type="monotone"
+                            dataKey="load"
+                            stroke="#6366F1"
+                            name={isTorsion ? 'Spring Torque' : 'Spring Load'}
+                            dot={false}
+                            strokeWidth={3}
+                        />
+                        <Line
+                            yAxisId="stress"
+                            type="monotone"
+                            dataKey="stress"
+                            stroke="#10B981"
+                            name={stressLabel}
+                            dot={false}
+                            strokeWidth={2}
+                            strokeDasharray="6 3"
+                        />
+                        {markers.map(marker => (
+                            <ReferenceLine
+                                key={marker.label}
+                                yAxisId="load"
+                                x={toDeflection(marker.deflection)}
+                                stroke={marker.color}
+                                strokeDasharray="4 4"
+                                label={{ value: marker.label, position: 'top', fill: marker.color, fontSize: 11 }}
+                            />
+                        ))}
+                        {!isTorsion && results.workingPoints.filter(point => !point.error).map(point => (
+                            <ReferenceDot
+                                key={point.label}
+                                yAxisId="load"
+                                x={toDeflection(point.deflection)}
+                                y={units.toDisplay('force', point.load)}
+                                r={5}
+                                fill="#F97316"
+                                stroke="#FFF"
+                            />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+export default LoadDeflectionChart;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import InfoTooltip from './InfoTooltip';
+
+const inputClassName = "block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300";
+
+// Editable machine columns; quantity converts length and currency units, unit labels the rest
+const MACHINE_FIELDS = [
+    { name: 'minWireD', label: 'Min Wire Ø', quantity: 'length' },
+    { name: 'maxWireD', label: 'Max Wire Ø', quantity: 'length' },
+    { name: 'minOD', label: 'Min OD', quantity: 'length' },
+    { name: 'maxOD', label: 'Max OD', quantity: 'length' },
+    { name: 'feedRateSmall', label: 'Feed at Min Wire', unit: 'm/min' },
+    { name: 'feedRateLarge', label: 'Feed at Max Wire', unit: 'm/min' },
+    { name: 'cutOffTime', label: 'Cut-off', unit: 's' },
+    { name: 'setupTime', label: 'Setup', unit: 'h' },
+    { name: 'cutOffLength', label: 'Cut-off Wire', quantity: 'length' },
+    { name: 'setupScrapPieces', label: 'Setup Scrap', unit: 'pcs' },
+    { name: 'hourlyRate', label: 'Hourly Rate', quantity: 'price', suffix: '/h' }
+];
+
+// Coiling machines the labour and setup cost are estimated from; edits are saved in this browser
+const MachineLibrary = ({ machines, onChange, onReset, units }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const updateMachine = (id, name, value) => {
+        const field = MACHINE_FIELDS.find(column => column.name === name);
+        const entered = field ? parseFloat(value) : value;
+        const newValue = field && field.quantity && !Number.isNaN(entered) ? units.fromDisplay(field.quantity, entered) : entered;
+        onChange(machines.map(machine => (machine.id === id ? { ...machine, [name]: Number.isNaN(newValue) ? 0 : newValue } : machine)));
+    };
+
+    const handleAdd = () => {
+        onChange([...machines, {
+            id: `machine-${Date.now()}`,
+            name: 'New Machine',
+            ...Object.fromEntries(MACHINE_FIELDS.map(({ name }) => [name, 0]))
+        }]);
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4 md:mb-8">
+            <div className="bg-gradient-to-r from-slate-500 to-slate-600 px-4 md:px-6 py-3 md:py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Coiling Machines
+                    <InfoTooltip text="Wire and diameter range, feed speed, setup time, scrap and hourly rate of each coiling machine" />
+                </h2>
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="w-full sm:w-auto bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                >
+                    {isOpen ? 'Hide' : 'Show'}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 md:p-6 space-y-4">
+                    <p className="text-sm text-gray-600">
+                        A spring can go on any machine whose wire and OD ranges cover it. The feed speed falls linearly from the smallest to the largest wire. Changes are saved in this browser.
+                    </p>
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-2 py-2 text-left font-medium text-gray-500">Machine</th>
+                                    {MACHINE_FIELDS.map(({ name, label, quantity, unit, suffix = '' }) => (
+                                        <th key={name} className="px-2 py-2 text-left font-medium text-gray-500 whitespace-nowrap">
+                                            {label} ({quantity ? `${units.unit(quantity)}${suffix}` : unit})
+                                        </th>
+                                    ))}
+                                    <th className="px-2 py-2" />
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {machines.map(machine => (
+                                    <tr key={machine.id}>
+                                        <td className="px-2 py-2 min-w-[10rem]">
+                                            <input
+                                                type="text"
+                                                value={machine.name}
+                                                onChange={(e) => updateMachine(machine.id, 'name', e.target.value)}
+                                                className={inputClassName}
+                                            />
+                                        </td>
+                                        {MACHINE_FIELDS.map(({ name, quantity }) => (
+                                            <td key={name} className="px-2 py-2 min-w-[6rem]">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={quantity ? units.field(quantity, machine[name]) : machine[name]}
+                                                    onChange={(e) => updateMachine(machine.id, name, e.target.value)}
+                                                    className={inputClassName}
+                                                />
+                                            </td>
+                                        ))}
+                                        <td className="px-2 py-2">
+                                            <button
+                                                onClick={() => onChange(machines.filter(other => other.id !== machine.id))}
+                                                className="text-red-500 hover:text-red-700"
+                                                aria-label={`Remove ${machine.name}`}
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <button
+                            onClick={handleAdd}
+                            className="flex items-center justify-center space-x-1 bg-slate-600 hover:bg-slate-700 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            <Plus className="w-4 h-4" />
+                            <span>Add Machine</span>
+                        </button>
+                        <button
+                            onClick={onReset}
+                            className="bg-white hover:bg-slate-50 text-slate-700 border border-slate-600 px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            Reset to Standard Machines
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MachineLibrary;
@@ -0,0 +1,82 @@
+import React from 'react';
+import InfoTooltip from './InfoTooltip';
+
+const NestedSetAnalysis = ({ nested, units }) => {
+    const { springs, combinedRate, combinedLoad, solidMismatch, errors } = nested;
+    const overstressed = springs.filter(spring => spring.stressUtilization > 1);
+
+    const stats = [
+        { label: 'Combined Rate', value: units.format('rate', combinedRate), unit: units.unit('rate') },
+        { label: 'Combined Load at L1', value: units.format('force', combinedLoad), unit: units.unit('force') },
+        { label: 'Solid Height Mismatch', value: units.format('length', solidMismatch), unit: units.unit('length') }
+    ];
+
+    const columns = [
+        { heading: 'Spring', render: spring => spring.role },
+        { heading: 'Wire Ø', render: spring => `${units.field('length', spring.wireD)} ${units.unit('length')}` },
+        { heading: 'OD / ID', render: spring => `${units.format('length', spring.od)} / ${units.format('length', spring.id)} ${units.unit('length')}` },
+        { heading: 'Total / Active Coils', render: spring => `${spring.coilsTotal} / ${spring.coilsActive}` },
+        { heading: 'Solid Height', render: spring => `${units.format('length', spring.solidLength)} ${units.unit('length')}` },
+        { heading: 'Winding', render: spring => spring.winding },
+        { heading: 'Radial Clearance', render: spring => (spring.clearance === null ? '—' : `${units.format('length', spring.clearance)} ${units.unit('length')}`) },
+        { heading: 'Rate', render: spring => `${units.format('rate', spring.springRate)} ${units.unit('rate')}` },
+        { heading: 'Load at L1', render: spring => `${units.format('force', spring.load)} ${units.unit('force')}` },
+        { heading: 'Load Share', render: spring => `${(spring.loadShare * 100).toFixed(1)}%` },
+        { heading: 'Stress', render: spring => `${units.format('stress', spring.stress, 1)} ${units.unit('stress')}` },
+        { heading: 'Utilization', render: spring => `${(spring.stressUtilization * 100).toFixed(1)}%` }
+    ];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-teal-500 to-teal-600 px-4 md:px-6 py-3 md:py-4">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Nested Set
+                    <InfoTooltip text="Springs nested inside each other, wound in opposite directions and sized to go solid together" />
+                </h2>
+            </div>
+
+            <div className="p-4 md:p-6 space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                    {stats.map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+                            <p className="text-lg font-bold text-gray-900">{stat.value} <span className="text-sm font-normal text-gray-500">{stat.unit}</span></p>
+                        </div>
+                    ))}
+                </div>
+
+                {errors.map(error => (
+                    <p key={error} className="text-sm text-red-600">{error}</p>
+                ))}
+                {overstressed.length > 0 && (
+                    <p className="text-sm text-red-600">
+                        {overstressed.map(spring => spring.role).join(' and ')} spring{overstressed.length > 1 ? 's are' : ' is'} over the allowable stress
+                    </p>
+                )}
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {columns.map(({ heading }) => (
+                                    <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {springs.map(spring => (
+                                <tr key={spring.role}>
+                                    {columns.map(({ heading, render }) => (
+                                        <td key={heading} className="px-3 py-2 whitespace-nowrap">{render(spring)}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NestedSetAnalysis;
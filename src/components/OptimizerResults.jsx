@@ -0,0 +1,97 @@
+import React from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import InfoTooltip from './InfoTooltip';
+
+const OptimizerResults = ({ optimization, onApply, units }) => {
+    const { front, cloud, feasibleCount, costKey = 'pricePerSpring' } = optimization;
+    // Under a fixed price every design has the same price, so they are compared on the unit cost
+    const costLabel = costKey === 'unitCost' ? 'Unit Cost' : 'Price';
+    // Prices in the display currency
+    const toPricePoint = (design) => ({ ...design, [costKey]: units.toDisplay('price', design[costKey]) });
+
+    if (front.length === 0) {
+        return (
+            <p className="text-sm text-gray-600">
+                No material, standard wire size and coil count meets these targets. Relax the envelope or add guidance against buckling.
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                {costLabel} vs. Safety Factor
+                <InfoTooltip text={`${feasibleCount} feasible designs across all materials. The Pareto front holds the designs no other design beats on both ${costLabel.toLowerCase()} and safety factor.`} />
+            </h3>
+
+            <div className="h-60 md:h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                    <ScatterChart margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis
+                            dataKey={costKey}
+                            type="number"
+                            domain={['auto', 'auto']}
+                            tickFormatter={(value) => value.toFixed(2)}
+                            label={{ value: `${costLabel} per Spring (${units.symbol})`, position: 'insideBottom', offset: -5 }}
+                            stroke="#6B7280"
+                        />
+                        <YAxis
+                            dataKey="safetyFactor"
+                            type="number"
+                            domain={[1, 'auto']}
+                            tickFormatter={(value) => value.toFixed(1)}
+                            label={{ value: 'Safety Factor', angle: -90, position: 'insideLeft' }}
+                            stroke="#6B7280"
+                        />
+                        <Tooltip
+                            contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
+                            formatter={(value, name) => [Number(value).toFixed(2), name]}
+                        />
+                        <Legend />
+                        <Scatter data={cloud.map(toPricePoint)} fill="#CBD5E1" name="Feasible Designs" />
+                        <Scatter data={front.map(toPricePoint)} fill="#0891B2" line={{ stroke: '#0891B2', strokeWidth: 2 }} name="Pareto Front" />
+                    </ScatterChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Material', 'Wire Ø', 'OD', 'Active / Total Coils', 'Free Length', 'Rate', 'Index', 'Safety Factor', 'Unit Cost', 'Price / Spring', ''].map(heading => (
+                                <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {front.map(design => (
+                            <tr key={`${design.material}-${design.wireD}-${design.coilsActive}-${design.meanD}`}>
+                                <td className="px-3 py-2">{design.material}</td>
+                                <td className="px-3 py-2">{units.field('length', design.wireD)} {units.unit('length')}</td>
+                                <td className="px-3 py-2">{units.format('length', design.outerD)} {units.unit('length')}</td>
+                                <td className="px-3 py-2">{design.coilsActive} / {design.coilsTotal}</td>
+                                <td className="px-3 py-2">{units.format('length', design.freeLength)} {units.unit('length')}</td>
+                                <td className="px-3 py-2">{units.format('rate', design.springRate, 3)} {units.unit('rate')}</td>
+                                <td className="px-3 py-2">{design.springIndex.toFixed(1)}</td>
+                                <td className="px-3 py-2">{design.safetyFactor.toFixed(2)}</td>
+                                <td className="px-3 py-2">{units.money(design.unitCost)}</td>
+                                <td className="px-3 py-2">{units.money(design.pricePerSpring)}</td>
+                                <td className="px-3 py-2">
+                                    <button
+                                        onClick={() => onApply(design)}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md transition-colors duration-200"
+                                    >
+                                        Load
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default OptimizerResults;
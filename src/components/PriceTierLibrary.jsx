@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import InfoTooltip from './InfoTooltip';
+import { TIER_TYPES } from '../constants/priceTiers';
+import { findTierSet, clampTierValue } from '../utils/priceTiers';
+
+const inputClassName = "block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300";
+
+// Named quantity price-break sets and the set each customer is quoted on; edits are saved in this browser
+const PriceTierLibrary = ({ library, onChange, onReset }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [editingId, setEditingId] = useState('');
+    const tierSet = findTierSet(library, editingId);
+
+    const updateTierSet = (changes) => {
+        onChange({ ...library, tierSets: library.tierSets.map(set => (set.id === tierSet.id ? { ...set, ...changes } : set)) });
+    };
+
+    // Quantities start at one piece; values stay within their type's range, also when the type changes
+    const updateTier = (index, name, value) => {
+        updateTierSet({
+            tiers: tierSet.tiers.map((tier, i) => {
+                if (i !== index) return tier;
+                if (name === 'quantity') return { ...tier, quantity: Math.max(1, Math.round(parseFloat(value) || 0)) };
+                if (name === 'type') return { ...tier, type: value, value: clampTierValue(value, tier.value) };
+                return { ...tier, value: clampTierValue(tier.type, parseFloat(value)) };
+            })
+        });
+    };
+
+    // Keep the tiers in quantity order once an edit is finished
+    const sortTiers = () => updateTierSet({ tiers: [...tierSet.tiers].sort((a, b) => a.quantity - b.quantity) });
+
+    const addTier = () => {
+        const last = tierSet.tiers[tierSet.tiers.length - 1];
+        updateTierSet({ tiers: [...tierSet.tiers, { quantity: last ? last.quantity * 2 : 100, type: 'discount', value: 0 }] });
+    };
+
+    const addTierSet = () => {
+        const id = `tiers-${Date.now()}`;
+        onChange({ ...library, tierSets: [...library.tierSets, { id, name: 'New Tier Set', tiers: [{ quantity: 100, type: 'discount', value: 0 }] }] });
+        setEditingId(id);
+    };
+
+    // Removing a set also drops it as a customer default
+    const removeTierSet = () => {
+        onChange({
+            tierSets: library.tierSets.filter(set => set.id !== tierSet.id),
+            customerDefaults: Object.fromEntries(Object.entries(library.customerDefaults).filter(([, id]) => id !== tierSet.id))
+        });
+        setEditingId('');
+    };
+
+    const removeCustomerDefault = (customer) => {
+        onChange({ ...library, customerDefaults: Object.fromEntries(Object.entries(library.customerDefaults).filter(([name]) => name !== customer)) });
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4 md:mb-8">
+            <div className="bg-gradient-to-r from-slate-500 to-slate-600 px-4 md:px-6 py-3 md:py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Price Tiers
+                    <InfoTooltip text="Named quantity price-break sets, each tier with its own discount or margin, and the default set of each customer" />
+                </h2>
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="w-full sm:w-auto bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                >
+                    {isOpen ? 'Hide' : 'Show'}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 md:p-6 space-y-4">
+                    <p className="text-sm text-gray-600">
+                        A tier applies from its quantity up to the next tier. Discount tiers take a share off the list price; margin tiers are priced from the full manufacturing cost. Changes are saved in this browser.
+                    </p>
+
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <select
+                            value={tierSet?.id || ''}
+                            onChange={(e) => setEditingId(e.target.value)}
+                            className={`${inputClassName} sm:w-56`}
+                        >
+                            {library.tierSets.map(set => (
+                                <option key={set.id} value={set.id}>{set.name}</option>
+                            ))}
+                        </select>
+                        {tierSet && (
+                            <input
+                                type="text"
+                                value={tierSet.name}
+                                onChange={(e) => updateTierSet({ name: e.target.value })}
+                                className={`${inputClassName} sm:w-56`}
+                                aria-label="Tier set name"
+                            />
+                        )}
+                        <button
+                            onClick={addTierSet}
+                            className="flex items-center justify-center space-x-1 bg-slate-600 hover:bg-slate-700 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            <Plus className="w-4 h-4" />
+                            <span>New Set</span>
+                        </button>
+                        {tierSet && library.tierSets.length > 1 && (
+                            <button
+                                onClick={removeTierSet}
+                                className="flex items-center justify-center space-x-1 text-red-600 hover:bg-red-50 border border-red-300 px-4 py-2 rounded-md transition-colors duration-200"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                <span>Remove Set</span>
+                            </button>
+                        )}
+                    </div>
+
+                    {tierSet && (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        {['From Quantity', 'Pricing', 'Value (%)', ''].map(heading => (
+                                            <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {tierSet.tiers.map((tier, i) => (
+                                        <tr key={i}>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={tier.quantity}
+                                                    onChange={(e) => updateTier(i, 'quantity', e.target.value)}
+                                                    onBlur={sortTiers}
+                                                    className={inputClassName}
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <select
+                                                    value={tier.type}
+                                                    onChange={(e) => updateTier(i, 'type', e.target.value)}
+                                                    className={inputClassName}
+                                                >
+                                                    {Object.entries(TIER_TYPES).map(([type, props]) => (
+                                                        <option key={type} value={type}>{props.label}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max={TIER_TYPES[tier.type].maxValue}
+                                                    value={tier.value}
+                                                    onChange={(e) => updateTier(i, 'value', e.target.value)}
+                                                    className={inputClassName}
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <button
+                                                    onClick={() => updateTierSet({ tiers: tierSet.tiers.filter((_, j) => j !== i) })}
+                                                    className="text-red-500 hover:text-red-700"
+                                                    aria-label={`Remove the ${tier.quantity} tier`}
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {Object.keys(library.customerDefaults).length > 0 && (
+                        <div>
+                            <p className="text-sm font-medium text-gray-700 mb-2">Customer Defaults</p>
+                            <ul className="divide-y divide-gray-200 text-sm">
+                                {Object.entries(library.customerDefaults).map(([customer, id]) => (
+                                    <li key={customer} className="flex justify-between items-center py-1.5">
+                                        <span>{customer}: <span className="text-gray-500">{findTierSet(library, id)?.name}</span></span>
+                                        <button
+                                            onClick={() => removeCustomerDefault(customer)}
+                                            className="text-red-500 hover:text-red-700"
+                                            aria-label={`Remove the default of ${customer}`}
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        {tierSet && (
+                            <button
+                                onClick={addTier}
+                                className="flex items-center justify-center space-x-1 bg-slate-600 hover:bg-slate-700 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                            >
+                                <Plus className="w-4 h-4" />
+                                <span>Add Tier</span>
+                            </button>
+                        )}
+                        <button
+                            onClick={onReset}
+                            className="bg-white hover:bg-slate-50 text-slate-700 border border-slate-600 px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            Reset to Standard Tiers
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PriceTierLibrary;
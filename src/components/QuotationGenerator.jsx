@@ -4,6 +4,10 @@ import autoTable from 'jspdf-autotable';
 import { Document, Packer, Paragraph, Table, TableRow, TableCell, TextRun, AlignmentType, HeadingLevel, BorderStyle } from 'docx';
 import { saveAs } from 'file-saver';
 import * as XLSX from 'xlsx';
+import { SPRING_TYPES, HOOK_TYPES, END_TYPES, describeCoilShape } from '../constants/springTypes';
+import { formatWorkingPointRows } from '../utils/workingPoints';
+import { formatNestedSetRows } from '../utils/nested';
+import { formatTierRows } from '../utils/priceTiers';
 
 // Company constants
 const COMPANY_INFO = {
@@ -15,9 +19,30 @@ const COMPANY_INFO = {
     gst: '24ACGFA3396M1Z2'
 };
 
-const QuotationGenerator = ({ springData, results }) => {
+const QuotationGenerator = ({ springData, results, units }) => {
+    const rateQuantity = springData.springType === 'torsion' ? 'torqueRate' : 'rate';
+
+    // Quoted values in the selected unit system: computed results, entered values and spreadsheet cells
+    const withUnit = (quantity, value, decimals) => `${units.format(quantity, value, decimals)} ${units.unit(quantity)}`;
+    const inputWithUnit = (quantity, value) => `${units.field(quantity, value)} ${units.unit(quantity)}`;
+    const sheetValue = (quantity, value) => (typeof value === 'number' ? units.toDisplay(quantity, value) : value);
+    const label = (text, quantity) => `${text} (${quantity === 'price' ? units.pdfSymbol.trim() : units.unit(quantity)})`;
+
+    // Working point table (header row first), empty for torsion springs
+    const workingPointTable = results.workingPoints?.length > 0
+        ? formatWorkingPointRows(results.workingPoints, springData.springType, units)
+        : [];
+
+    // Nested sets are quoted as one line item with each spring as a sub-item
+    const nestedSetTable = results.nested
+        ? formatNestedSetRows(results.nested, springData.quantity, results.orderUnitPrice, units)
+        : [];
+
+    // Price breaks of the quoted tier set (header row first), the order quantity marked
+    const tierTable = results.priceTiers?.length > 0 ? formatTierRows(results.priceTiers, units) : [];
+
     const [companyInfo, setCompanyInfo] = useState({
-        companyName: '',
+        companyName: springData.customer || '',
         contactPerson: '',
         email: '',
         phone: '',
@@ -95,12 +120,33 @@ const QuotationGenerator = ({ springData, results }) => {
         doc.setFontSize(12);
         doc.text('Spring Specifications', 15, 115);
         
-        const specRows = [
-            ['Wire Diameter', `${springData.wireD} mm`, 'Outer Diameter', `${results.od?.toFixed(2)} mm`],
-            ['Free Length', `${springData.freeLength} mm`, 'Total Coils', springData.coilsTotal],
-            ['Material', `${springData.material}${springData.materialRemark ? ` (${springData.materialRemark})` : ''}`, 'Finish', springData.finish || 'Standard'],
-            ['End Type', springData.ends || 'Standard', 'Coil Direction', springData.coilDirection || 'Not specified']
+        const materialDisplay = `${springData.material}${springData.materialRemark ? ` (${springData.materialRemark})` : ''}`;
+        let specRows = [
+            ['Wire Diameter', inputWithUnit('length', springData.wireD), 'Outer Diameter', withUnit('length', results.od)],
+            ['Free Length', inputWithUnit('length', springData.freeLength), 'Total Coils', springData.coilsTotal],
+            ['Material', materialDisplay, 'Finish', springData.finish || 'Standard'],
+            ['End Type', END_TYPES[springData.endType].designation, 'Coil Direction', springData.coilDirection || 'Not specified'],
+            ['Coil Shape', describeCoilShape(springData, units), 'Solid Length', withUnit('length', results.solidLength)]
         ];
+        if (springData.springType === 'torsion') {
+            specRows = [
+                ['Spring Type', SPRING_TYPES.torsion.label, 'Winding Direction', springData.coilDirection || 'Not specified'],
+                ['Wire Diameter', inputWithUnit('length', springData.wireD), 'Outer Diameter', withUnit('length', results.od)],
+                ['Body Coils', springData.coilsTotal, 'Leg Lengths', `${units.field('length', springData.legLength1)} / ${inputWithUnit('length', springData.legLength2)}`],
+                ['Free Angle', `${springData.freeAngle}°`, 'Working Angle', `${springData.workingAngle}°`],
+                ['Torque at Working Angle', withUnit('torque', results.loadAtL1), 'Torque Rate', withUnit('torqueRate', results.springRate, 3)],
+                ['Material', materialDisplay, 'Finish', springData.finish || 'Standard']
+            ];
+        } else if (springData.springType === 'extension') {
+            specRows = [
+                ['Spring Type', SPRING_TYPES.extension.label, 'Hook Type', HOOK_TYPES[springData.hookType].label],
+                ['Wire Diameter', inputWithUnit('length', springData.wireD), 'Outer Diameter', withUnit('length', results.od)],
+                ['Length Inside Hooks', inputWithUnit('length', springData.freeLength), 'Body Length', withUnit('length', results.bodyLength)],
+                ['Body Coils', springData.coilsTotal, 'Initial Tension', withUnit('force', results.initialTension)],
+                ['Material', materialDisplay, 'Finish', springData.finish || 'Standard'],
+                ['Spring Rate', withUnit('rate', results.springRate), 'Coil Direction', springData.coilDirection || 'Not specified']
+            ];
+        }
         
         autoTable(doc, {
             startY: 120,
@@ -116,14 +162,49 @@ const QuotationGenerator = ({ springData, results }) => {
             },
             headStyles: { fillColor: [70, 70, 70] }
         });
+
+        // Add working points
+        if (workingPointTable.length > 0) {
+            doc.setFontSize(12);
+            doc.text('Working Points', 15, doc.lastAutoTable.finalY + 10);
+
+            autoTable(doc, {
+                startY: doc.lastAutoTable.finalY + 15,
+                head: [workingPointTable[0]],
+                body: workingPointTable.slice(1),
+                theme: 'grid',
+                styles: { fontSize: 9, cellPadding: 2 },
+                headStyles: { fillColor: [70, 70, 70] }
+            });
+        }
         
+        // Add nested set line items
+        if (nestedSetTable.length > 0) {
+            doc.setFontSize(12);
+            doc.text('Line Items', 15, doc.lastAutoTable.finalY + 10);
+
+            autoTable(doc, {
+                startY: doc.lastAutoTable.finalY + 15,
+                head: [nestedSetTable[0]],
+                body: nestedSetTable.slice(1),
+                theme: 'grid',
+                styles: { fontSize: 9, cellPadding: 2 },
+                columnStyles: { 1: { cellWidth: 100 } },
+                headStyles: { fillColor: [70, 70, 70] },
+                didParseCell: (data) => {
+                    // The set itself is the line item; its springs are indented sub-items
+                    if (data.section === 'body' && data.row.index === 0) data.cell.styles.fontStyle = 'bold';
+                }
+            });
+        }
+
         // Add pricing details
         doc.setFontSize(12);
         doc.text('Pricing Details', 15, doc.lastAutoTable.finalY + 10);
         
         const priceRows = [
             ['Quantity', springData.quantity.toString()],
-            ['Overall Selling Price', `Rs. ${results.overallSellingPrice?.toFixed(2)}`]
+            ['Overall Selling Price', units.pdfMoney(results.overallSellingPrice)]
         ];
         
         autoTable(doc, {
@@ -138,6 +219,21 @@ const QuotationGenerator = ({ springData, results }) => {
             },
             headStyles: { fillColor: [70, 70, 70] }
         });
+
+        // Add price breaks
+        if (tierTable.length > 0) {
+            autoTable(doc, {
+                startY: doc.lastAutoTable.finalY + 5,
+                head: [tierTable[0]],
+                body: tierTable.slice(1),
+                theme: 'grid',
+                styles: { fontSize: 9, cellPadding: 2 },
+                headStyles: { fillColor: [70, 70, 70] },
+                didParseCell: (data) => {
+                    if (data.section === 'body' && results.priceTiers[data.row.index]?.isOrder) data.cell.styles.fontStyle = 'bold';
+                }
+            });
+        }
         
         // Add terms and conditions
         doc.setFontSize(12);
@@ -199,20 +295,44 @@ const QuotationGenerator = ({ springData, results }) => {
             ['Address', companyInfo.address],
             [],
             ['Spring Specifications'],
-            ['Wire Diameter', `${springData.wireD} mm`],
-            ['Outer Diameter', `${results.od?.toFixed(2)} mm`],
-            ['Free Length', `${springData.freeLength} mm`],
-            ['Total Coils', springData.coilsTotal],
+            ['Spring Type', SPRING_TYPES[springData.springType].label],
+            ['Wire Diameter', inputWithUnit('length', springData.wireD)],
+            ['Outer Diameter', withUnit('length', results.od)],
+            ...(springData.springType === 'torsion' ? [
+                ['Body Coils', springData.coilsTotal],
+                ['Leg Lengths', `${units.field('length', springData.legLength1)} / ${inputWithUnit('length', springData.legLength2)}`],
+                ['Free Angle', `${springData.freeAngle}°`],
+                ['Working Angle', `${springData.workingAngle}°`],
+                ['Torque at Working Angle', withUnit('torque', results.loadAtL1)]
+            ] : springData.springType === 'extension' ? [
+                ['Length Inside Hooks', inputWithUnit('length', springData.freeLength)],
+                ['Body Length', withUnit('length', results.bodyLength)],
+                ['Body Coils', springData.coilsTotal],
+                ['Initial Tension', withUnit('force', results.initialTension)]
+            ] : [
+                ['Free Length', inputWithUnit('length', springData.freeLength)],
+                ['Total Coils', springData.coilsTotal],
+                ['Coil Shape', `"${describeCoilShape(springData, units)}"`]
+            ]),
             ['Material', springData.material],
-            ['Spring Rate', `${results.springRate?.toFixed(2)} N/mm`],
+            springData.springType === 'torsion' ?
+                ['Torque Rate', withUnit('torqueRate', results.springRate, 3)] :
+                ['Spring Rate', withUnit('rate', results.springRate)],
             ['Finish', springData.finish || 'Standard'],
-            ['End Type', springData.ends || 'Standard'],
+            springData.springType === 'torsion' ?
+                ['Winding Direction', springData.coilDirection || 'Not specified'] :
+            springData.springType === 'extension' ?
+                ['Hook Type', HOOK_TYPES[springData.hookType].label] :
+                ['End Type', END_TYPES[springData.endType].designation],
+            ...(workingPointTable.length > 0 ? [[], ['Working Points'], ...workingPointTable] : []),
+            ...(nestedSetTable.length > 0 ? [[], ['Line Items'], ...nestedSetTable.map(row => row.map(cell => `"${cell}"`))] : []),
             [],
             ['Pricing Details'],
             ['Quantity', springData.quantity],
-            ['Price per Spring', `Rs. ${results.pricePerSpring?.toFixed(2)}`],
-            ['Overall Selling Price', `Rs. ${results.overallSellingPrice?.toFixed(2)}`],
-            ['Total Amount', `Rs. ${(results.overallSellingPrice * springData.quantity)?.toFixed(2)}`],
+            ['Price per Spring', units.pdfMoney(results.pricePerSpring)],
+            ['Overall Selling Price', units.pdfMoney(results.overallSellingPrice)],
+            ['Total Amount', units.pdfMoney(results.overallSellingPrice * springData.quantity)],
+            ...(tierTable.length > 0 ? [[], ['Price Breaks'], ...tierTable] : []),
             [],
             ['Terms & Conditions'],
             ['Validity', companyInfo.validityPeriod],
@@ -299,16 +419,76 @@ const QuotationGenerator = ({ springData, results }) => {
                             new TableRow({
                                 children: [
                                     new TableCell({ children: [new Paragraph({ text: 'Wire Diameter' })] }),
-                                    new TableCell({ children: [new Paragraph({ text: `${springData.wireD} mm` })] }),
+                                    new TableCell({ children: [new Paragraph({ text: inputWithUnit('length', springData.wireD) })] }),
                                     new TableCell({ children: [new Paragraph({ text: 'Outer Diameter' })] }),
-                                    new TableCell({ children: [new Paragraph({ text: `${results.od?.toFixed(2)} mm` })] }),
+                                    new TableCell({ children: [new Paragraph({ text: withUnit('length', results.od) })] }),
                                 ],
                             }),
+                            springData.springType === 'torsion' ? new TableRow({
+                                children: [
+                                    new TableCell({ children: [new Paragraph({ text: 'Free / Working Angle' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: `${springData.freeAngle}° / ${springData.workingAngle}°` })] }),
+                                    new TableCell({ children: [new Paragraph({ text: 'Torque at Working Angle' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: withUnit('torque', results.loadAtL1) })] }),
+                                ],
+                            }) : springData.springType === 'extension' ? new TableRow({
+                                children: [
+                                    new TableCell({ children: [new Paragraph({ text: 'Hook Type' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: HOOK_TYPES[springData.hookType].label })] }),
+                                    new TableCell({ children: [new Paragraph({ text: 'Initial Tension' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: withUnit('force', results.initialTension) })] }),
+                                ],
+                            }) : new TableRow({
+                                children: [
+                                    new TableCell({ children: [new Paragraph({ text: 'Coil Shape' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: describeCoilShape(springData, units) })] }),
+                                    new TableCell({ children: [new Paragraph({ text: 'Solid Length' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: withUnit('length', results.solidLength) })] }),
+                                ],
+                            }),
+                            ...(springData.springType === 'compression' ? [new TableRow({
+                                children: [
+                                    new TableCell({ children: [new Paragraph({ text: 'Free Length' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: inputWithUnit('length', springData.freeLength) })] }),
+                                    new TableCell({ children: [new Paragraph({ text: 'End Type' })] }),
+                                    new TableCell({ children: [new Paragraph({ text: END_TYPES[springData.endType].designation })] }),
+                                ],
+                            })] : []),
                             // Add more specification rows...
                         ],
                     }),
                     new Paragraph({ text: '' }),
 
+                    // Working Points
+                    ...(workingPointTable.length > 0 ? [
+                        new Paragraph({
+                            text: 'Working Points',
+                            heading: HeadingLevel.HEADING_2,
+                        }),
+                        new Table({
+                            rows: workingPointTable.map(row => new TableRow({
+                                children: row.map(cell => new TableCell({ children: [new Paragraph({ text: cell })] })),
+                            })),
+                        }),
+                        new Paragraph({ text: '' }),
+                    ] : []),
+
+                    // Nested Set Line Items
+                    ...(nestedSetTable.length > 0 ? [
+                        new Paragraph({
+                            text: 'Line Items',
+                            heading: HeadingLevel.HEADING_2,
+                        }),
+                        new Table({
+                            rows: nestedSetTable.map((row, rowIndex) => new TableRow({
+                                children: row.map(cell => new TableCell({
+                                    children: [new Paragraph({ children: [new TextRun({ text: cell, bold: rowIndex === 1 })] })],
+                                })),
+                            })),
+                        }),
+                        new Paragraph({ text: '' }),
+                    ] : []),
+
                     // Pricing Details
                     new Paragraph({
                         text: 'Pricing Details',
@@ -331,13 +511,29 @@ const QuotationGenerator = ({ springData, results }) => {
                             new TableRow({
                                 children: [
                                     new TableCell({ children: [new Paragraph({ text: 'Price per Spring' })] }),
-                                    new TableCell({ children: [new Paragraph({ text: `Rs. ${results.pricePerSpring?.toFixed(2)}` })] }),
+                                    new TableCell({ children: [new Paragraph({ text: units.pdfMoney(results.pricePerSpring) })] }),
                                 ],
                             }),
                         ],
                     }),
                     new Paragraph({ text: '' }),
 
+                    // Price Breaks
+                    ...(tierTable.length > 0 ? [
+                        new Paragraph({
+                            text: 'Price Breaks',
+                            heading: HeadingLevel.HEADING_2,
+                        }),
+                        new Table({
+                            rows: tierTable.map((row, rowIndex) => new TableRow({
+                                children: row.map(cell => new TableCell({
+                                    children: [new Paragraph({ children: [new TextRun({ text: cell, bold: rowIndex > 0 && results.priceTiers[rowIndex - 1].isOrder })] })],
+                                })),
+                            })),
+                        }),
+                        new Paragraph({ text: '' }),
+                    ] : []),
+
                     // Terms and Conditions
                     new Paragraph({
                         text: 'Terms & Conditions',
@@ -369,18 +565,30 @@ const QuotationGenerator = ({ springData, results }) => {
         // Input parameters
         const inputData = [
             ['Parameter', 'Value', 'Parameter', 'Value', 'Parameter', 'Value', 'Parameter', 'Value'],
-            ['Wire Diameter (mm)', springData.wireD, 'Mean Diameter (mm)', results.meanD, 'Material', springData.material, 'Spring Rate (N/mm)', results.springRate],
-            ['Outer Diameter (mm)', results.od, 'Inner Diameter (mm)', results.id, 'Density (g/cm³)', springData.density, 'Natural Frequency (Hz)', results.naturalFrequency],
-            ['Free Length (mm)', springData.freeLength, 'Solid Length (mm)', results.solidLength, 'Shear Modulus (MPa)', springData.G, 'Maximum Deflection (mm)', results.maxDeflection],
-            ['Total Coils', springData.coilsTotal, 'Spring Index', results.springIndex, 'Elastic Modulus (MPa)', results.elasticModulus, 'Energy Stored (N·mm)', results.energyStored],
-            ['Active Coils', springData.coilsActive, 'Wire Volume (mm³)', results.wireVolume, 'Ultimate Tensile Strength (MPa)', springData.UTS, 'Buckling Risk Ratio', results.bucklingRiskRatio],
-            ['Load Height (mm)', springData.loadHeight, 'Spring Weight (g)', results.springWeight, '', '', 'Stress Ratio (%)', results.stressRatio * 100],
-            ['Setup Cost (Rs.)', springData.setupCost, 'Raw Material Cost (Rs.)', results.rawMaterialCost, '', '', '', ''],
-            ['Quantity', springData.quantity, 'Price per Spring (Rs.)', results.pricePerSpring, '', '', '', ''],
-            ['', '', 'Overall Price (Rs.)', results.overallSellingPrice, '', '', '', ''],
-            ['', '', 'Total Wire Weight (kg)', results.totalWireWeight, '', '', '', '']
+            [label('Wire Diameter', 'length'), sheetValue('length', springData.wireD), label('Mean Diameter', 'length'), sheetValue('length', results.meanD), 'Material', springData.material, label('Spring Rate', rateQuantity), sheetValue(rateQuantity, results.springRate)],
+            [label('Outer Diameter', 'length'), sheetValue('length', results.od), label('Inner Diameter', 'length'), sheetValue('length', results.id), label('Density', 'density'), sheetValue('density', springData.density), 'Surge Frequency (Hz)', results.surge ? results.surge.modes[0].frequency : ''],
+            [label('Free Length', 'length'), sheetValue('length', springData.freeLength), label('Solid Length', 'length'), sheetValue('length', results.solidLength), label('Shear Modulus', 'stress'), sheetValue('stress', springData.G), label('Maximum Deflection', 'length'), sheetValue('length', results.maxDeflection)],
+            ['Total Coils', springData.coilsTotal, 'Spring Index', results.springIndex, label('Elastic Modulus', 'stress'), sheetValue('stress', results.elasticModulus), label('Energy Stored', 'energy'), sheetValue('energy', results.energyStored)],
+            ['Active Coils', springData.coilsActive, label('Wire Volume', 'volume'), sheetValue('volume', results.wireVolume), label('Ultimate Tensile Strength', 'stress'), sheetValue('stress', results.tensileStrength), 'Buckling Risk Ratio', results.bucklingRiskRatio],
+            [label('Load Height', 'length'), sheetValue('length', springData.loadHeight), label('Spring Weight', 'mass'), sheetValue('mass', results.springWeight), '', '', 'Stress Ratio (%)', results.stressRatio * 100],
+            [label('Setup Cost', 'price'), sheetValue('price', results.totalSetupCost), label('Raw Material Cost', 'price'), sheetValue('price', results.rawMaterialCost), '', '', '', ''],
+            ['Quantity', springData.quantity, label('Price per Spring', 'price'), sheetValue('price', results.pricePerSpring), '', '', '', ''],
+            ['', '', label('Overall Price', 'price'), sheetValue('price', results.overallSellingPrice), '', '', '', ''],
+            ['', '', label('Total Wire Weight (gross)', 'bulkMass'), sheetValue('bulkMass', results.totalWireWeight), '', '', '', '']
         ];
 
+        if (springData.springType === 'torsion') {
+            inputData.push(
+                [label('Leg Length 1', 'length'), sheetValue('length', springData.legLength1), 'Angular Deflection (°)', results.angularDeflection, 'Winding Direction', springData.coilDirection, label('Bending Stress', 'stress'), sheetValue('stress', results.bendingStress)],
+                [label('Leg Length 2', 'length'), sheetValue('length', springData.legLength2), label('Body ID Under Load', 'length'), sheetValue('length', results.loadedID), 'Active Turns (incl. legs)', results.activeCoils, label('Torque at Working Angle', 'torque'), sheetValue('torque', results.loadAtL1)]
+            );
+        } else if (springData.springType === 'extension') {
+            inputData.push(
+                ['Hook Type', HOOK_TYPES[springData.hookType].label, label('Body Length', 'length'), sheetValue('length', results.bodyLength), label('Initial Tension', 'force'), sheetValue('force', results.initialTension), label('Hook Bending Stress', 'stress'), sheetValue('stress', results.hookBendingStress)],
+                [label('Length Inside Hooks', 'length'), sheetValue('length', springData.freeLength), label('Hook Length', 'length'), sheetValue('length', results.hookLength), 'Active Coils (incl. hooks)', results.activeCoils, label('Hook Torsional Stress', 'stress'), sheetValue('stress', results.hookTorsionalStress)]
+            );
+        }
+
         // Add formulas
         const formulaData = [
             ['Formulas and Calculations:', ''],
@@ -392,7 +600,8 @@ const QuotationGenerator = ({ springData, results }) => {
             ['Spring Rate (k)', '=Shear_Modulus*POW(Wire_Diameter,4)/(8*POW(Mean_Diameter,3)*Active_Coils)'],
             ['Load at L1', '=Spring_Rate*(Free_Length-Load_Height)'],
             ['Raw Material Cost', '=(Spring_Weight/1000)*Material_Cost'],
-            ['Price per Spring', '=IF(Override_Margin,Manual_Price,Raw_Material_Cost/Margin_Ratio)'],
+            ['Price per Spring', springData.pricingMode === 'fixed' ? '=Fixed_Price'
+                : springData.pricingMode === 'markup' ? '=Unit_Cost*(1+Markup_Percent/100)' : '=Unit_Cost/(1-Margin_Percent/100)'],
             ['Overall Price', '=(Setup_Cost + Price_per_Spring*Quantity)/Quantity']
         ];
 
@@ -402,6 +611,15 @@ const QuotationGenerator = ({ springData, results }) => {
         // Create the formulas worksheet
         const wsFormulas = XLSX.utils.aoa_to_sheet(formulaData);
 
+        // Create the working points worksheet
+        const wsWorkingPoints = workingPointTable.length > 0 ? XLSX.utils.aoa_to_sheet(workingPointTable) : null;
+
+        // Create the nested set worksheet
+        const wsNestedSet = nestedSetTable.length > 0 ? XLSX.utils.aoa_to_sheet(nestedSetTable) : null;
+
+        // Create the price breaks worksheet
+        const wsPriceBreaks = tierTable.length > 0 ? XLSX.utils.aoa_to_sheet(tierTable) : null;
+
         // Add styling
         ws['!cols'] = [
             {wch: 20}, {wch: 15}, {wch: 20}, {wch: 15},
@@ -411,6 +629,15 @@ const QuotationGenerator = ({ springData, results }) => {
         // Add the worksheets to the workbook
         XLSX.utils.book_append_sheet(wb, ws, "Spring Calculator");
         XLSX.utils.book_append_sheet(wb, wsFormulas, "Formulas");
+        if (wsWorkingPoints) {
+            XLSX.utils.book_append_sheet(wb, wsWorkingPoints, "Working Points");
+        }
+        if (wsNestedSet) {
+            XLSX.utils.book_append_sheet(wb, wsNestedSet, "Nested Set");
+        }
+        if (wsPriceBreaks) {
+            XLSX.utils.book_append_sheet(wb, wsPriceBreaks, "Price Breaks");
+        }
 
         // Generate Excel file
         const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
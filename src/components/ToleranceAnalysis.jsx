@@ -0,0 +1,96 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import InfoTooltip from './InfoTooltip';
+import { TOLERANCE_QUANTITIES } from '../utils/tolerance';
+
+const ToleranceAnalysis = ({ tolerance, springType, units }) => {
+    const { nominal, worstCase, monteCarlo, histogram, sampleCount } = tolerance;
+    const isTorsion = springType === 'torsion';
+    // Unit quantity and metric decimals of each reported quantity
+    const quantities = {
+        springRate: isTorsion ? 'torqueRate' : 'rate',
+        load: isTorsion ? 'torque' : 'force',
+        stress: 'stress'
+    };
+    const decimals = { springRate: 3, load: 2, stress: 1 };
+    const loadUnit = units.unit(quantities.load);
+
+    // Load tolerance the drawing can hold, as ± percent of nominal
+    const loadSpread = (low, high) => (nominal.load > 0 ? (high - low) / 2 / nominal.load * 100 : 0);
+    const { load } = monteCarlo;
+    const stats = [
+        { label: 'Worst-Case Load Tolerance', value: `± ${loadSpread(worstCase.load.min, worstCase.load.max).toFixed(1)}`, unit: '%' },
+        { label: 'Statistical Load Tolerance (±3σ)', value: `± ${loadSpread(load.mean - 3 * load.stdDev, load.mean + 3 * load.stdDev).toFixed(1)}`, unit: '%' },
+        { label: 'Monte Carlo Samples', value: sampleCount.toLocaleString(), unit: '' }
+    ];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-violet-500 to-violet-600 px-4 md:px-6 py-3 md:py-4">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Tolerance Analysis
+                    <InfoTooltip text="Rate, load and stress of springs made anywhere inside the wire diameter, OD and free length tolerances" />
+                </h2>
+            </div>
+
+            <div className="p-4 md:p-6 space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                    {stats.map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+                            <p className="text-lg font-bold text-gray-900">{stat.value} <span className="text-sm font-normal text-gray-500">{stat.unit}</span></p>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['', 'Worst-Case Min', 'Monte Carlo Min', 'Nominal', 'Monte Carlo Max', 'Worst-Case Max'].map(heading => (
+                                    <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {Object.entries(TOLERANCE_QUANTITIES).map(([quantity, { label }]) => (
+                                <tr key={quantity}>
+                                    <td className="px-3 py-2 font-medium text-gray-700">{label} ({units.unit(quantities[quantity])})</td>
+                                    {[worstCase[quantity].min, monteCarlo[quantity].min, nominal[quantity], monteCarlo[quantity].max, worstCase[quantity].max].map((value, i) => (
+                                        <td key={i} className="px-3 py-2">{units.format(quantities[quantity], value, decimals[quantity])}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="h-60 md:h-80">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={histogram.map(bin => ({ ...bin, load: units.toDisplay(quantities.load, bin.load) }))} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis
+                                dataKey="load"
+                                tickFormatter={(value) => value.toFixed(decimals.load + (units.imperial ? 1 : 0))}
+                                label={{ value: `${TOLERANCE_QUANTITIES.load.label} (${loadUnit})`, position: 'insideBottom', offset: -5 }}
+                                stroke="#6B7280"
+                            />
+                            <YAxis
+                                label={{ value: 'Springs', angle: -90, position: 'insideLeft' }}
+                                stroke="#6B7280"
+                            />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: '#FFF', borderRadius: '0.5rem', border: '1px solid #E5E7EB' }}
+                                labelFormatter={(value) => `${Number(value).toFixed(decimals.load + (units.imperial ? 1 : 0))} ${loadUnit}`}
+                                formatter={(value) => [value, 'Springs']}
+                            />
+                            <Bar dataKey="count" fill="#8B5CF6" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ToleranceAnalysis;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import InfoTooltip from './InfoTooltip';
+import { WIRE_TOLERANCE_CLASSES } from '../constants/wireSizes';
+import { DEFAULT_WIRE_TOLERANCE_CLASS, getWireTolerance, findWireSize } from '../utils/wireCatalogue';
+
+const inputClassName = "block w-full rounded-md shadow-sm p-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent border-gray-300";
+
+// Wire sizes that can be bought for the selected material; edits are saved in this browser
+const WireCatalogue = ({ material, sizes, onChange, onReset, units }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newSize, setNewSize] = useState('');
+    const [error, setError] = useState('');
+
+    const updateSize = (wireD, changes) => {
+        onChange(sizes.map(size => (size.wireD === wireD ? { ...size, ...changes } : size)));
+    };
+
+    const handleAdd = () => {
+        const wireD = units.fromDisplay('length', parseFloat(newSize));
+        if (!(wireD > 0)) {
+            setError('Wire diameter must be positive');
+            return;
+        }
+        if (findWireSize(sizes, wireD)) {
+            setError('This size is already in the catalogue');
+            return;
+        }
+        setError('');
+        setNewSize('');
+        onChange([...sizes, { wireD, toleranceClass: DEFAULT_WIRE_TOLERANCE_CLASS, stocked: false }].sort((a, b) => a.wireD - b.wireD));
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-4 md:mb-8">
+            <div className="bg-gradient-to-r from-slate-500 to-slate-600 px-4 md:px-6 py-3 md:py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+                <h2 className="text-lg md:text-xl font-semibold text-white flex items-center">
+                    Wire Catalogue
+                    <InfoTooltip text="Wire sizes that can be bought for each material, their tolerance class and whether they are stocked" />
+                </h2>
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="w-full sm:w-auto bg-white/20 hover:bg-white/30 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                >
+                    {isOpen ? 'Hide' : 'Show'}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 md:p-6 space-y-4">
+                    <p className="text-sm text-gray-600">
+                        {sizes.length} sizes for {material}, {sizes.filter(size => size.stocked).length} stocked. Changes are saved in this browser.
+                    </p>
+
+                    <div className="overflow-x-auto max-h-96">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Wire Ø', 'Tolerance Class', 'Tolerance', 'Stocked', ''].map(heading => (
+                                        <th key={heading} className="px-3 py-2 text-left font-medium text-gray-500">{heading}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {sizes.map(size => (
+                                    <tr key={size.wireD}>
+                                        <td className="px-3 py-2">{units.field('length', size.wireD)} {units.unit('length')}</td>
+                                        <td className="px-3 py-2">
+                                            <select
+                                                value={size.toleranceClass}
+                                                onChange={(e) => updateSize(size.wireD, { toleranceClass: e.target.value })}
+                                                className={inputClassName}
+                                            >
+                                                {Object.entries(WIRE_TOLERANCE_CLASSES).map(([toleranceClass, props]) => (
+                                                    <option key={toleranceClass} value={toleranceClass}>{props.label}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            ±{units.format('length', getWireTolerance(size.toleranceClass, size.wireD), 3)} {units.unit('length')}
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={size.stocked}
+                                                onChange={(e) => updateSize(size.wireD, { stocked: e.target.checked })}
+                                                className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                                            />
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <button
+                                                onClick={() => onChange(sizes.filter(other => other.wireD !== size.wireD))}
+                                                className="text-red-500 hover:text-red-700"
+                                                aria-label={`Remove ${size.wireD} mm`}
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <input
+                            type="number"
+                            value={newSize}
+                            onChange={(e) => setNewSize(e.target.value)}
+                            placeholder={`Ø ${units.unit('length')}`}
+                            className={`${inputClassName} sm:w-48`}
+                        />
+                        <button
+                            onClick={handleAdd}
+                            className="flex items-center justify-center space-x-1 bg-slate-600 hover:bg-slate-700 text-white px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            <Plus className="w-4 h-4" />
+                            <span>Add Size</span>
+                        </button>
+                        <button
+                            onClick={onReset}
+                            className="bg-white hover:bg-slate-50 text-slate-700 border border-slate-600 px-4 py-2 rounded-md transition-colors duration-200"
+                        >
+                            Reset to Standard Sizes
+                        </button>
+                    </div>
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WireCatalogue;
@@ -0,0 +1,68 @@
+// Coiling machines in the shop, as the library starts out before any edits
+// minWireD, maxWireD: wire diameters the machine feeds (mm); minOD, maxOD: spring outer diameters it coils (mm)
+// feedRateSmall, feedRateLarge: wire feed speed (m/min) at the smallest and largest wire, interpolated in between
+// cutOffTime: cut-off and eject time per spring (s); setupTime: tooling changeover per batch (h)
+// cutOffLength: wire lost at the cut-off per spring (mm); setupScrapPieces: springs scrapped setting up each batch
+// hourlyRate: machine and operator cost (₹/h)
+export const DEFAULT_COILING_MACHINES = [
+    {
+        id: 'cnc-small',
+        name: 'Small CNC Coiler',
+        minWireD: 0.1,
+        maxWireD: 2,
+        minOD: 0.8,
+        maxOD: 40,
+        feedRateSmall: 120,
+        feedRateLarge: 60,
+        cutOffTime: 0.4,
+        setupTime: 1,
+        hourlyRate: 700,
+        cutOffLength: 3,
+        setupScrapPieces: 10
+    },
+    {
+        id: 'cnc-medium',
+        name: 'Medium CNC Coiler',
+        minWireD: 1,
+        maxWireD: 6,
+        minOD: 5,
+        maxOD: 120,
+        feedRateSmall: 60,
+        feedRateLarge: 20,
+        cutOffTime: 0.8,
+        setupTime: 1.5,
+        hourlyRate: 1000,
+        cutOffLength: 5,
+        setupScrapPieces: 8
+    },
+    {
+        id: 'heavy',
+        name: 'Heavy Coiler',
+        minWireD: 5,
+        maxWireD: 16,
+        minOD: 25,
+        maxOD: 300,
+        feedRateSmall: 20,
+        feedRateLarge: 6,
+        cutOffTime: 2,
+        setupTime: 3,
+        hourlyRate: 1600,
+        cutOffLength: 15,
+        setupScrapPieces: 4
+    },
+    {
+        id: 'mandrel-lathe',
+        name: 'Mandrel Lathe',
+        minWireD: 0.5,
+        maxWireD: 25,
+        minOD: 3,
+        maxOD: 400,
+        feedRateSmall: 8,
+        feedRateLarge: 2,
+        cutOffTime: 10,
+        setupTime: 0.5,
+        hourlyRate: 500,
+        cutOffLength: 20,
+        setupScrapPieces: 2
+    }
+];
@@ -0,0 +1,246 @@
+// Material properties
+// endurance: unpeened torsional endurance point (MPa) for 10^7 cycles, Zimmerli data for steel wire
+// tensileStrength: minimum tensile strength Sut = A/d^m (MPa, d in mm), one entry per valid diameter range
+// allowableStress: allowable torsional stress as a fraction of Sut for static and dynamic service
+// temperature: maximum service temperature (°C) and fractional loss of G and E per 100 °C above 20 °C
+// rejectRate: typical share of springs scrapped in coiling and heat treatment (%)
+export const MATERIALS = {
+    // IS 4454 Materials
+    'IS 4454 Part 1 - Cold drawn unalloyed steel': { 
+        density: 7.85, 
+        G: 80000, 
+        E: 207000,
+        cost: 320, 
+        rejectRate: 2,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1783, m: 0.190, minD: 0.7, maxD: 12.7 }
+        ],
+        allowableStress: { static: 0.45, dynamic: 0.33 },
+        temperature: { maxService: 120, modulusLoss: 0.025 },
+        notes: 'Grade 1/2/3, Cold drawn unalloyed steel wire',
+        grade: 'Grade 1/2/3'
+    },
+    'IS 4454 Part 2 - Oil hardened and tempered': { 
+        density: 7.85, 
+        G: 80000, 
+        E: 207000,
+        cost: 350, 
+        rejectRate: 2,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1855, m: 0.187, minD: 0.5, maxD: 12.7 }
+        ],
+        allowableStress: { static: 0.5, dynamic: 0.36 },
+        temperature: { maxService: 150, modulusLoss: 0.025 },
+        notes: 'Class I/II, Oil hardened and tempered steel wire',
+        grade: 'Class I/II'
+    },
+    'IS 4454 Part 3 - Stainless steel': { 
+        density: 7.95, 
+        G: 70000, 
+        E: 193000,
+        cost: 550, 
+        rejectRate: 3,
+        endurance: { Ssa: 207, Ssm: 345 },
+        tensileStrength: [
+            { A: 1867, m: 0.146, minD: 0.3, maxD: 2.5 },
+            { A: 2065, m: 0.263, minD: 2.5, maxD: 5 },
+            { A: 2911, m: 0.478, minD: 5, maxD: 10 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 260, modulusLoss: 0.035 },
+        notes: 'Grade 302/304/316, Stainless steel wire for springs',
+        grade: '302/304/316'
+    },
+    'IS 4454 Part 4 - Patented and cold drawn': { 
+        density: 7.85, 
+        G: 80000, 
+        E: 207000,
+        cost: 380, 
+        rejectRate: 2,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1910, m: 0.190, minD: 0.3, maxD: 12.7 }
+        ],
+        allowableStress: { static: 0.45, dynamic: 0.33 },
+        temperature: { maxService: 120, modulusLoss: 0.025 },
+        notes: 'Class I/II, Patented and cold drawn unalloyed steel',
+        grade: 'Class I/II'
+    },
+    // Other Standard Materials
+    'Music Wire (High Carbon Steel, ASTM A228)': { 
+        density: 7.86, 
+        G: 80500, 
+        E: 207000,
+        cost: 350, 
+        rejectRate: 2,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 2211, m: 0.145, minD: 0.1, maxD: 6.5 }
+        ],
+        allowableStress: { static: 0.45, dynamic: 0.33 },
+        temperature: { maxService: 120, modulusLoss: 0.025 },
+        notes: 'High tensile strength; used in static applications'
+    },
+    'Oil Tempered Wire (ASTM A229 / A230)': { 
+        density: 7.85, 
+        G: 78500, 
+        E: 203400,
+        cost: 380, 
+        rejectRate: 2,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1855, m: 0.187, minD: 0.5, maxD: 12.7 }
+        ],
+        allowableStress: { static: 0.5, dynamic: 0.36 },
+        temperature: { maxService: 150, modulusLoss: 0.025 },
+        notes: 'Used in heavy-duty springs; more fatigue resistant'
+    },
+    'Stainless Steel 302/304 (ASTM A313)': { 
+        density: 7.90, 
+        G: 71500, 
+        E: 193000,
+        cost: 550, 
+        rejectRate: 3,
+        endurance: { Ssa: 207, Ssm: 345 },
+        tensileStrength: [
+            { A: 1867, m: 0.146, minD: 0.3, maxD: 2.5 },
+            { A: 2065, m: 0.263, minD: 2.5, maxD: 5 },
+            { A: 2911, m: 0.478, minD: 5, maxD: 10 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 260, modulusLoss: 0.035 },
+        notes: 'Corrosion-resistant; common in food, pharma, marine'
+    },
+    'Stainless Steel 316': { 
+        density: 7.99, 
+        G: 68500, 
+        E: 193000,
+        cost: 650, 
+        rejectRate: 3,
+        endurance: { Ssa: 193, Ssm: 330 },
+        tensileStrength: [
+            { A: 1720, m: 0.146, minD: 0.3, maxD: 2.5 },
+            { A: 1900, m: 0.263, minD: 2.5, maxD: 5 },
+            { A: 2680, m: 0.478, minD: 5, maxD: 10 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 260, modulusLoss: 0.035 },
+        notes: 'Better corrosion resistance than 304'
+    },
+    'Phosphor Bronze (ASTM B159)': { 
+        density: 8.80, 
+        G: 44500, 
+        E: 103400,
+        cost: 750, 
+        rejectRate: 3,
+        endurance: { Ssa: 103, Ssm: 172 },
+        tensileStrength: [
+            { A: 1000, m: 0, minD: 0.1, maxD: 0.6 },
+            { A: 913, m: 0.028, minD: 0.6, maxD: 2 },
+            { A: 932, m: 0.064, minD: 2, maxD: 7.5 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 95, modulusLoss: 0.04 },
+        notes: 'Good conductivity, corrosion resistance'
+    },
+    'Beryllium Copper (ASTM B197)': { 
+        density: 8.25, 
+        G: 49500, 
+        E: 117200,
+        cost: 950, 
+        rejectRate: 4,
+        endurance: { Ssa: 152, Ssm: 255 },
+        tensileStrength: [
+            { A: 1300, m: 0.070, minD: 0.1, maxD: 6 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 200, modulusLoss: 0.04 },
+        notes: 'Non-magnetic, good fatigue, electrical use'
+    },
+    'Chrome Silicon (ASTM A401)': { 
+        density: 7.85, 
+        G: 81000, 
+        E: 203400,
+        cost: 450, 
+        rejectRate: 3,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1974, m: 0.108, minD: 1.6, maxD: 9.5 }
+        ],
+        allowableStress: { static: 0.5, dynamic: 0.36 },
+        temperature: { maxService: 245, modulusLoss: 0.025 },
+        notes: 'High strength for high stress applications'
+    },
+    'Chrome Vanadium (ASTM A231)': { 
+        density: 7.85, 
+        G: 79000, 
+        E: 203400,
+        cost: 480, 
+        rejectRate: 3,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 2005, m: 0.168, minD: 0.8, maxD: 11.1 }
+        ],
+        allowableStress: { static: 0.5, dynamic: 0.36 },
+        temperature: { maxService: 220, modulusLoss: 0.025 },
+        notes: 'Shock-resistant; used in automotive springs'
+    },
+    'Inconel X-750': { 
+        density: 8.28, 
+        G: 74000, 
+        E: 213700,
+        cost: 1200, 
+        rejectRate: 5,
+        endurance: { Ssa: 186, Ssm: 310 },
+        tensileStrength: [
+            { A: 1500, m: 0.060, minD: 0.1, maxD: 6 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 650, modulusLoss: 0.025 },
+        notes: 'High temperature resistance; aerospace use'
+    },
+    'Monel 400': { 
+        density: 8.80, 
+        G: 65000, 
+        E: 179300,
+        cost: 900, 
+        rejectRate: 4,
+        endurance: { Ssa: 124, Ssm: 207 },
+        tensileStrength: [
+            { A: 1050, m: 0.070, minD: 0.1, maxD: 6 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 230, modulusLoss: 0.03 },
+        notes: 'High corrosion resistance; marine use'
+    },
+    'Titanium Alloy (Ti-6Al-4V)': { 
+        density: 4.43, 
+        G: 43500, 
+        E: 110000,
+        cost: 2500, 
+        rejectRate: 6,
+        endurance: { Ssa: 172, Ssm: 290 },
+        tensileStrength: [
+            { A: 1150, m: 0.040, minD: 0.5, maxD: 10 }
+        ],
+        allowableStress: { static: 0.35, dynamic: 0.28 },
+        temperature: { maxService: 315, modulusLoss: 0.05 },
+        notes: 'Lightweight; used in aerospace, medical springs'
+    },
+    'Custom': { 
+        density: 7.85, 
+        G: 79300, 
+        E: 200000,
+        cost: 300, 
+        rejectRate: 3,
+        endurance: { Ssa: 241, Ssm: 379 },
+        tensileStrength: [
+            { A: 1783, m: 0.190, minD: 0.7, maxD: 12.7 }
+        ],
+        allowableStress: { static: 0.45, dynamic: 0.33 },
+        temperature: { maxService: 120, modulusLoss: 0.025 },
+        notes: 'Custom material properties'
+    }
+};
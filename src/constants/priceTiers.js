@@ -0,0 +1,42 @@
+// Price-break tier sets the library starts out with
+// Each tier applies from its quantity up to the next one and either takes a discount off the list price per
+// spring (type 'discount', value in %) or is priced from the full cost at its own gross margin (type 'margin', value in %)
+export const DEFAULT_TIER_SETS = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        tiers: [
+            { quantity: 100, type: 'discount', value: 0 },
+            { quantity: 500, type: 'discount', value: 3 },
+            { quantity: 1000, type: 'discount', value: 5 },
+            { quantity: 5000, type: 'discount', value: 8 },
+            { quantity: 10000, type: 'discount', value: 10 }
+        ]
+    },
+    {
+        id: 'prototype',
+        name: 'Prototype',
+        tiers: [
+            { quantity: 10, type: 'discount', value: 0 },
+            { quantity: 25, type: 'discount', value: 0 },
+            { quantity: 50, type: 'discount', value: 0 },
+            { quantity: 100, type: 'discount', value: 0 }
+        ]
+    },
+    {
+        id: 'distributor',
+        name: 'Distributor',
+        tiers: [
+            { quantity: 1000, type: 'margin', value: 35 },
+            { quantity: 5000, type: 'margin', value: 30 },
+            { quantity: 10000, type: 'margin', value: 27 },
+            { quantity: 50000, type: 'margin', value: 25 }
+        ]
+    }
+];
+
+// maxValue: largest value a tier takes (%); a margin of 100% or more has no finite price
+export const TIER_TYPES = {
+    discount: { label: 'Discount off list (%)', maxValue: 100 },
+    margin: { label: 'Gross margin on cost (%)', maxValue: 99 }
+};
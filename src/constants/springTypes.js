@@ -0,0 +1,95 @@
+// Spring types supported by the calculator
+export const SPRING_TYPES = {
+    compression: { label: 'Compression Spring' },
+    extension: { label: 'Extension Spring' },
+    torsion: { label: 'Torsion Spring' }
+};
+
+// Extension spring end types
+// hookLengthFactor: standard distance from body to inside of hook, as a multiple of the spring ID
+// hookTurns: wire used to form one hook, as a fraction of one mean-diameter coil
+export const HOOK_TYPES = {
+    fullLoop: {
+        label: 'Full Loop (Machine Loop)',
+        hookLengthFactor: 1.0,
+        hookTurns: 1.0
+    },
+    halfLoop: {
+        label: 'Half Loop',
+        hookLengthFactor: 0.5,
+        hookTurns: 0.75
+    },
+    crossoverLoop: {
+        label: 'Crossover Center Loop',
+        hookLengthFactor: 1.0,
+        hookTurns: 1.25
+    },
+    sideLoop: {
+        label: 'Side Loop',
+        hookLengthFactor: 1.0,
+        hookTurns: 1.0
+    },
+    extendedHook: {
+        label: 'Extended Hook',
+        hookLengthFactor: 1.5,
+        hookTurns: 0.75
+    }
+};
+
+// Compression spring shape and pitch, as printed on specifications, with diameters in the units of createUnits
+export const describeCoilShape = ({ coilShape, diameter, smallDiameter, pitchType, pitchRatio }, units) => {
+    const shape = coilShape === 'conical'
+        ? `Conical (${units.format('length', diameter)} to ${units.format('length', smallDiameter)} ${units.unit('length')})`
+        : 'Cylindrical';
+    const pitch = pitchType === 'variable' ? `variable pitch (ratio ${pitchRatio})` : 'uniform pitch';
+    return `${shape}, ${pitch}`;
+};
+
+// Compression spring end conditions, with ISO 2162 style designations
+// endCoils: inactive end coils (Na = Nt - endCoils)
+// solidExtraCoils: extra wire diameters in the solid height of unground ends (Ls = d(Nt + 1))
+// pitchDeadWires, pitchExtraCoils: free length relation Lf = p(Na + pitchExtraCoils) + pitchDeadWires * d
+// bucklingEndFactor: end fixity constant α of the ends seated on flat plates
+// ground: whether the ends are ground flat, an extra operation in costing
+export const END_TYPES = {
+    open: {
+        label: 'Open',
+        designation: 'Open ends, not ground',
+        endCoils: 0,
+        solidExtraCoils: 1,
+        pitchDeadWires: 1,
+        pitchExtraCoils: 0,
+        bucklingEndFactor: 1.0,
+        ground: false
+    },
+    openGround: {
+        label: 'Open & Ground',
+        designation: 'Open ends, ground',
+        endCoils: 1,
+        solidExtraCoils: 0,
+        pitchDeadWires: 0,
+        pitchExtraCoils: 1,
+        bucklingEndFactor: 0.707,
+        ground: true
+    },
+    closed: {
+        label: 'Closed',
+        designation: 'Closed ends, not ground',
+        endCoils: 2,
+        solidExtraCoils: 1,
+        pitchDeadWires: 3,
+        pitchExtraCoils: 0,
+        bucklingEndFactor: 0.707,
+        ground: false
+    },
+    closedGround: {
+        label: 'Closed & Ground',
+        designation: 'Closed ends, ground',
+        endCoils: 2,
+        solidExtraCoils: 0,
+        pitchDeadWires: 2,
+        pitchExtraCoils: 0,
+        bucklingEndFactor: 0.5,
+        ground: true
+    }
+};
@@ -0,0 +1,23 @@
+// Preferred spring wire diameters (mm), EN 10270 / ISO R20 series
+export const STANDARD_WIRE_SIZES = [
+    0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95,
+    1.0, 1.1, 1.2, 1.25, 1.3, 1.4, 1.5, 1.6, 1.7, 1.8, 1.9, 2.0, 2.1, 2.2, 2.25, 2.4, 2.5,
+    2.6, 2.8, 3.0, 3.2, 3.4, 3.5, 3.6, 3.8, 4.0, 4.25, 4.5, 4.75, 5.0, 5.3, 5.6, 6.0, 6.3,
+    6.5, 7.0, 7.5, 8.0, 8.5, 9.0, 9.5, 10.0, 11.0, 12.0
+];
+
+// Sizes held in stock by default; the rest of the series is bought to order
+export const STOCKED_WIRE_SIZES = [
+    0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 1.0, 1.2, 1.5, 1.6, 2.0, 2.5, 3.0, 3.5, 4.0, 5.0, 6.0, 8.0, 10.0
+];
+
+// Wire diameter tolerance classes of EN 10218-2, from the widest to the tightest
+// bands: ± deviation (mm) up to each diameter
+export const WIRE_TOLERANCE_CLASSES = {
+    T3: { label: 'T3', bands: [0.01, 0.015, 0.02, 0.025, 0.03, 0.035, 0.045, 0.06] },
+    T4: { label: 'T4', bands: [0.008, 0.01, 0.015, 0.02, 0.025, 0.03, 0.035, 0.045] },
+    T5: { label: 'T5', bands: [0.005, 0.008, 0.01, 0.015, 0.02, 0.025, 0.03, 0.04] }
+};
+
+// Upper diameter (mm) of each tolerance band
+export const WIRE_TOLERANCE_BAND_LIMITS = [0.3, 0.6, 1, 1.6, 2.5, 4, 6, Infinity];
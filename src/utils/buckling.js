@@ -0,0 +1,30 @@
+// Compression spring mounting conditions and their seating coefficient ν (EN 13906-1)
+// endType uses the buckling end factor of the selected end type, for springs seated on flat plates
+export const END_FIXITY = {
+    endType: { label: 'Seated on flat plates (from end type)', seatingCoefficient: null },
+    bothFixed: { label: 'Both ends fixed and guided', seatingCoefficient: 0.5 },
+    fixedPivoted: { label: 'One end fixed, one pivoted', seatingCoefficient: 0.7 },
+    fixedGuided: { label: 'One end fixed, one guided and free to shift', seatingCoefficient: 1 },
+    bothPivoted: { label: 'Both ends pivoted', seatingCoefficient: 1 },
+    fixedFree: { label: 'One end fixed, one free', seatingCoefficient: 2 }
+};
+
+export const GUIDE_TYPES = {
+    none: { label: 'Unguided' },
+    rod: { label: 'Guide rod (inside)' },
+    bore: { label: 'Guide bore (outside)' }
+};
+
+// Critical deflection as a fraction of the free length, from the slenderness λ = νL0/D
+// sK/L0 = 1/(2(1 - G/E)) * [1 - √(1 - (1 - G/E)/(0.5 + G/E) * (π/λ)²)]
+// Returns Infinity when the spring cannot buckle at any deflection
+export const getCriticalDeflectionRatio = (slenderness, modulusRatio) => {
+    const radicand = 1 - (1 - modulusRatio) / (0.5 + modulusRatio) * Math.pow(Math.PI / slenderness, 2);
+    if (radicand < 0) return Infinity;
+    return (1 - Math.sqrt(radicand)) / (2 * (1 - modulusRatio));
+};
+
+// Slenderness below which a spring is stable at every deflection
+export const getStableSlenderness = (modulusRatio) => (
+    Math.PI * Math.sqrt((1 - modulusRatio) / (0.5 + modulusRatio))
+);
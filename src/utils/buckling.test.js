@@ -0,0 +1,29 @@
+import { getCriticalDeflectionRatio, getStableSlenderness } from './buckling';
+
+// G/E of spring steel
+const STEEL = 79300 / 206000;
+
+describe('getStableSlenderness', () => {
+    test('is about 2.6 for spring steel', () => {
+        expect(getStableSlenderness(STEEL)).toBeCloseTo(2.62, 2);
+    });
+});
+
+describe('getCriticalDeflectionRatio', () => {
+    const stable = getStableSlenderness(STEEL);
+
+    test('never buckles below the stable slenderness', () => {
+        expect(getCriticalDeflectionRatio(stable * 0.99, STEEL)).toBe(Infinity);
+        expect(getCriticalDeflectionRatio(1, STEEL)).toBe(Infinity);
+    });
+
+    test('buckles at the largest deflection just past the stable slenderness', () => {
+        expect(getCriticalDeflectionRatio(stable * (1 + 1e-9), STEEL)).toBeCloseTo(1 / (2 * (1 - STEEL)), 3);
+    });
+
+    test('buckles sooner the more slender the spring', () => {
+        const ratios = [3, 4, 6, 10].map(slenderness => getCriticalDeflectionRatio(slenderness, STEEL));
+        ratios.slice(1).forEach((ratio, i) => expect(ratio).toBeLessThan(ratios[i]));
+        expect(ratios[3]).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,45 @@
+import { saveAs } from 'file-saver';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Standalone SVG markup of a rendered chart: explicit size, namespace, font and a white background,
+// which the page supplies on screen but an image viewer does not
+const serializeChart = (svg) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NAMESPACE);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.style.fontFamily = window.getComputedStyle(svg).fontFamily;
+
+    const background = document.createElementNS(SVG_NAMESPACE, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#FFFFFF');
+    clone.insertBefore(background, clone.firstChild);
+
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+export const exportChartAsSvg = (svg, fileName) => {
+    const { markup } = serializeChart(svg);
+    saveAs(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+};
+
+// Raster copy at scale times the on-screen size, sharp enough to print in a report
+export const exportChartAsPng = (svg, fileName, scale = 2) => {
+    const { markup, width, height } = serializeChart(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => saveAs(blob, `${fileName}.png`));
+    };
+    image.src = url;
+};
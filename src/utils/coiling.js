@@ -0,0 +1,86 @@
+import { DEFAULT_COILING_MACHINES } from '../constants/coilingMachines';
+
+// Browser storage key of the edited machine library
+const STORAGE_KEY = 'springCalculator.coilingMachines';
+
+// Machine choice that lets the calculator pick the cheapest eligible machine
+export const AUTO_MACHINE = 'auto';
+
+export const createDefaultMachines = () => DEFAULT_COILING_MACHINES.map(machine => ({ ...machine }));
+
+// Machine library saved in this browser, or the default machines
+export const loadCoilingMachines = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        // Machines saved before the scrap allowances existed lose no wire
+        if (Array.isArray(saved)) return saved.map(machine => ({ cutOffLength: 0, setupScrapPieces: 0, ...machine }));
+    } catch (error) {
+        // Unreadable or blocked storage: start from the defaults
+    }
+    return createDefaultMachines();
+};
+
+export const saveCoilingMachines = (machines) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(machines));
+    } catch (error) {
+        // Full or blocked storage: the edits last for this session only
+    }
+};
+
+// Whether a machine takes the wire and coils the OD; a machine without a feed speed is left out
+export const isMachineEligible = (machine, wireD, od) => (
+    wireD >= machine.minWireD && wireD <= machine.maxWireD && od >= machine.minOD && od <= machine.maxOD
+    && machine.feedRateSmall > 0 && machine.feedRateLarge > 0
+);
+
+// Output of a machine coiling one spring from wireLength (mm) of wire
+// The feed speed falls linearly from the smallest to the largest wire; each spring also takes the cut-off time
+export const getCoilingRate = (machine, wireD, wireLength) => {
+    const span = machine.maxWireD - machine.minWireD;
+    const position = span > 0 ? (wireD - machine.minWireD) / span : 0;
+    const feedRate = machine.feedRateSmall + (machine.feedRateLarge - machine.feedRateSmall) * position;
+    const cycleTime = (wireLength / 1000) / feedRate * 60 + machine.cutOffTime;
+    const piecesPerHour = 3600 / cycleTime;
+    return {
+        machine,
+        feedRate,
+        cycleTime,
+        piecesPerHour,
+        labourPerPiece: machine.hourlyRate / piecesPerHour,
+        setupCost: machine.setupTime * machine.hourlyRate
+    };
+};
+
+// Machine run for one spring: the chosen machine if it can coil the spring, otherwise the eligible machine
+// with the lowest setup and labour cost for the batch; null when no machine in the library can coil it
+// spring: { wireD, od, wireLength } in mm
+export const selectCoilingMachine = (machines, spring, quantity, machineId = AUTO_MACHINE) => {
+    const runs = machines
+        .filter(machine => isMachineEligible(machine, spring.wireD, spring.od))
+        .map(machine => getCoilingRate(machine, spring.wireD, spring.wireLength));
+    const batchCost = (run) => run.setupCost + run.labourPerPiece * Math.max(1, quantity);
+    return runs.find(run => run.machine.id === machineId)
+        || runs.sort((a, b) => batchCost(a) - batchCost(b))[0]
+        || null;
+};
+
+// Coiling time and labour for a batch of springs, or of nested sets with one run per spring in the set
+// Returns the runs, the labour per piece and the setup, batch hours and batch labour cost, or null
+// when a spring cannot be coiled on any machine
+export const estimateCoiling = (machines, springs, quantity, machineId) => {
+    const runs = springs.map(spring => selectCoilingMachine(machines, spring, quantity, machineId));
+    if (runs.some(run => !run)) return null;
+
+    const labourPerPiece = runs.reduce((sum, run) => sum + run.labourPerPiece, 0);
+    const setupTime = runs.reduce((sum, run) => sum + run.machine.setupTime, 0);
+    const setupCost = runs.reduce((sum, run) => sum + run.setupCost, 0);
+    return {
+        runs,
+        labourPerPiece,
+        setupTime,
+        setupCost,
+        batchHours: setupTime + runs.reduce((sum, run) => sum + quantity / run.piecesPerHour, 0),
+        batchLabourCost: setupCost + labourPerPiece * quantity
+    };
+};
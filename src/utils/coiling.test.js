@@ -0,0 +1,106 @@
+import { AUTO_MACHINE, createDefaultMachines, loadCoilingMachines, isMachineEligible, getCoilingRate, selectCoilingMachine, estimateCoiling } from './coiling';
+
+const machine = {
+    id: 'test',
+    name: 'Test Coiler',
+    minWireD: 1,
+    maxWireD: 3,
+    minOD: 5,
+    maxOD: 50,
+    feedRateSmall: 60,
+    feedRateLarge: 20,
+    cutOffTime: 1,
+    setupTime: 2,
+    hourlyRate: 360,
+    cutOffLength: 3,
+    setupScrapPieces: 5
+};
+
+// Slower but with a short setup: cheaper for small batches
+const lathe = { ...machine, id: 'lathe', feedRateSmall: 6, feedRateLarge: 2, setupTime: 0.1 };
+
+const spring = { wireD: 2, od: 20, wireLength: 1000 };
+
+describe('isMachineEligible', () => {
+    test('takes wire and OD on the range limits', () => {
+        expect(isMachineEligible(machine, 1, 5)).toBe(true);
+        expect(isMachineEligible(machine, 3, 50)).toBe(true);
+        expect(isMachineEligible(machine, 3.01, 20)).toBe(false);
+        expect(isMachineEligible(machine, 2, 4.9)).toBe(false);
+    });
+
+    test('leaves out a machine without a feed speed', () => {
+        expect(isMachineEligible({ ...machine, feedRateLarge: 0 }, 2, 20)).toBe(false);
+    });
+});
+
+describe('getCoilingRate', () => {
+    test('interpolates the feed speed between the smallest and largest wire', () => {
+        expect(getCoilingRate(machine, 1, 1000).feedRate).toBe(60);
+        expect(getCoilingRate(machine, 2, 1000).feedRate).toBe(40);
+        expect(getCoilingRate(machine, 3, 1000).feedRate).toBe(20);
+    });
+
+    test('adds the cut-off time to the feed time of every spring', () => {
+        const rate = getCoilingRate(machine, 2, 1000);
+        expect(rate.cycleTime).toBeCloseTo(2.5, 9);
+        expect(rate.piecesPerHour).toBeCloseTo(1440, 9);
+        expect(rate.labourPerPiece).toBeCloseTo(0.25, 9);
+        expect(rate.setupCost).toBe(720);
+    });
+
+    test('feeds at the small-wire speed on a single-size machine', () => {
+        expect(getCoilingRate({ ...machine, maxWireD: 1 }, 1, 1000).feedRate).toBe(60);
+    });
+});
+
+describe('selectCoilingMachine', () => {
+    test('uses the chosen machine when it can coil the spring', () => {
+        expect(selectCoilingMachine([machine, lathe], spring, 100000, 'lathe').machine.id).toBe('lathe');
+    });
+
+    test('picks the cheapest machine for the batch otherwise', () => {
+        expect(selectCoilingMachine([machine, lathe], spring, 10, AUTO_MACHINE).machine.id).toBe('lathe');
+        expect(selectCoilingMachine([machine, lathe], spring, 100000, AUTO_MACHINE).machine.id).toBe('test');
+        expect(selectCoilingMachine([machine, lathe], spring, 100000, 'missing').machine.id).toBe('test');
+    });
+
+    test('is null when no machine can coil the spring', () => {
+        expect(selectCoilingMachine([machine], { ...spring, wireD: 5 }, 100)).toBeNull();
+    });
+});
+
+describe('estimateCoiling', () => {
+    test('adds up one run per spring of a nested set', () => {
+        const estimate = estimateCoiling([machine], [spring, spring], 1440, AUTO_MACHINE);
+        expect(estimate.runs).toHaveLength(2);
+        expect(estimate.labourPerPiece).toBeCloseTo(0.5, 9);
+        expect(estimate.setupTime).toBe(4);
+        expect(estimate.setupCost).toBe(1440);
+        expect(estimate.batchHours).toBeCloseTo(6, 9);
+        expect(estimate.batchLabourCost).toBeCloseTo(1440 + 720, 9);
+    });
+
+    test('is null when one spring of the set cannot be coiled', () => {
+        expect(estimateCoiling([machine], [spring, { ...spring, od: 100 }], 100, AUTO_MACHINE)).toBeNull();
+    });
+});
+
+describe('loadCoilingMachines', () => {
+    afterEach(() => window.localStorage.clear());
+
+    test('starts from the default machines', () => {
+        expect(loadCoilingMachines()).toEqual(createDefaultMachines());
+    });
+
+    test('gives machines saved before the scrap allowances no scrap', () => {
+        const { cutOffLength, setupScrapPieces, ...saved } = machine;
+        window.localStorage.setItem('springCalculator.coilingMachines', JSON.stringify([saved]));
+        expect(loadCoilingMachines()).toEqual([{ ...saved, cutOffLength: 0, setupScrapPieces: 0 }]);
+    });
+
+    test('falls back to the defaults on unreadable storage', () => {
+        window.localStorage.setItem('springCalculator.coilingMachines', '{not json');
+        expect(loadCoilingMachines()).toEqual(createDefaultMachines());
+    });
+});
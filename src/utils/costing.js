@@ -0,0 +1,60 @@
+// Manufacturing cost of one spring (or one nested set), built up from the material and each process step
+
+// Cost buckets in the order they are built up and stacked, with the chart colour of each
+export const COST_BUCKETS = {
+    material: { label: 'Material (incl. scrap)', color: '#6366F1' },
+    coiling: { label: 'Coiling', color: '#0EA5E9' },
+    heatTreatment: { label: 'Stress Relieving / Heat Treatment', color: '#F97316' },
+    grinding: { label: 'End Grinding', color: '#A855F7' },
+    shotPeening: { label: 'Shot Peening', color: '#14B8A6' },
+    finish: { label: 'Finish / Plating', color: '#EAB308' },
+    inspection: { label: 'Inspection', color: '#22C55E' },
+    packaging: { label: 'Packaging', color: '#64748B' },
+    overhead: { label: 'Overhead', color: '#9CA3AF' }
+};
+
+// Default shop rates in the canonical units (₹, ₹/kg, %); coiling is costed from the machine library
+export const DEFAULT_COST_RATES = {
+    heatTreatmentRate: 40,
+    grindingCostPerEnd: 0.5,
+    shotPeeningRate: 60,
+    finishRate: 80,
+    inspectionCost: 0.2,
+    packagingCost: 0.1,
+    overheadPercent: 15
+};
+
+// The shop rates out of an object that holds them among other fields, such as the calculator inputs
+export const getCostRates = (source) => Object.fromEntries(Object.keys(DEFAULT_COST_RATES).map(rate => [rate, source[rate]]));
+
+// Cost of each bucket and the full cost
+// spring: { rawMaterialCost (₹, wire bought per item with cut-off and rejects), coilingCost (₹, machine labour), springWeight (g), pieces (springs per item),
+//          groundEnds, shotPeened, finished }
+// rates: the keys of DEFAULT_COST_RATES
+// Weight-based processes are charged per kg of springs through the furnace, blast cabinet or plating line
+export const getCostBreakdown = (spring, rates) => {
+    const weightKg = spring.springWeight / 1000;
+    const direct = {
+        material: spring.rawMaterialCost,
+        coiling: spring.coilingCost,
+        heatTreatment: weightKg * rates.heatTreatmentRate,
+        grinding: spring.groundEnds ? spring.pieces * 2 * rates.grindingCostPerEnd : 0,
+        shotPeening: spring.shotPeened ? weightKg * rates.shotPeeningRate : 0,
+        finish: spring.finished ? weightKg * rates.finishRate : 0,
+        inspection: spring.pieces * rates.inspectionCost,
+        packaging: spring.pieces * rates.packagingCost
+    };
+    const directCost = Object.values(direct).reduce((sum, cost) => sum + cost, 0);
+    const costs = { ...direct, overhead: directCost * rates.overheadPercent / 100 };
+    const totalCost = directCost + costs.overhead;
+
+    return {
+        buckets: Object.keys(COST_BUCKETS).map(bucket => ({
+            bucket,
+            cost: costs[bucket],
+            share: totalCost > 0 ? costs[bucket] / totalCost : 0
+        })),
+        directCost,
+        totalCost
+    };
+};
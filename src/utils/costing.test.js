@@ -0,0 +1,47 @@
+import { COST_BUCKETS, DEFAULT_COST_RATES, getCostRates, getCostBreakdown } from './costing';
+
+const spring = { rawMaterialCost: 2, coilingCost: 1, springWeight: 500, pieces: 1, groundEnds: false, shotPeened: false, finished: false };
+const costOf = (breakdown, bucket) => breakdown.buckets.find(item => item.bucket === bucket).cost;
+
+describe('getCostRates', () => {
+    test('picks the shop rates out of the calculator inputs', () => {
+        expect(getCostRates({ ...DEFAULT_COST_RATES, wireD: 2, quantity: 100 })).toEqual(DEFAULT_COST_RATES);
+    });
+});
+
+describe('getCostBreakdown', () => {
+    test('lists every bucket in build-up order', () => {
+        expect(getCostBreakdown(spring, DEFAULT_COST_RATES).buckets.map(item => item.bucket)).toEqual(Object.keys(COST_BUCKETS));
+    });
+
+    test('charges heat treatment by weight and inspection and packaging by piece', () => {
+        const breakdown = getCostBreakdown(spring, DEFAULT_COST_RATES);
+        expect(costOf(breakdown, 'heatTreatment')).toBeCloseTo(0.5 * 40, 9);
+        expect(costOf(breakdown, 'inspection')).toBeCloseTo(0.2, 9);
+        expect(costOf(breakdown, 'packaging')).toBeCloseTo(0.1, 9);
+        expect(breakdown.directCost).toBeCloseTo(2 + 1 + 20 + 0.2 + 0.1, 9);
+    });
+
+    test('adds the overhead on the direct cost', () => {
+        const breakdown = getCostBreakdown(spring, DEFAULT_COST_RATES);
+        expect(breakdown.totalCost).toBeCloseTo(breakdown.directCost * 1.15, 9);
+        expect(breakdown.buckets.reduce((sum, item) => sum + item.share, 0)).toBeCloseTo(1, 9);
+    });
+
+    test('charges only the operations the spring goes through', () => {
+        const plain = getCostBreakdown(spring, DEFAULT_COST_RATES);
+        ['grinding', 'shotPeening', 'finish'].forEach(bucket => expect(costOf(plain, bucket)).toBe(0));
+
+        const full = getCostBreakdown({ ...spring, groundEnds: true, shotPeened: true, finished: true, pieces: 2 }, DEFAULT_COST_RATES);
+        expect(costOf(full, 'grinding')).toBeCloseTo(2 * 2 * 0.5, 9);
+        expect(costOf(full, 'shotPeening')).toBeCloseTo(0.5 * 60, 9);
+        expect(costOf(full, 'finish')).toBeCloseTo(0.5 * 80, 9);
+    });
+
+    test('has no shares for a spring that costs nothing', () => {
+        const zeroRates = Object.fromEntries(Object.keys(DEFAULT_COST_RATES).map(rate => [rate, 0]));
+        const breakdown = getCostBreakdown({ ...spring, rawMaterialCost: 0, coilingCost: 0 }, zeroRates);
+        expect(breakdown.totalCost).toBe(0);
+        breakdown.buckets.forEach(item => expect(item.share).toBe(0));
+    });
+});
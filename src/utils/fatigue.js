@@ -0,0 +1,109 @@
+// Fatigue criteria for the mean / alternating stress (Goodman) diagram
+export const FATIGUE_CRITERIA = {
+    goodman: { label: 'Goodman' },
+    gerber: { label: 'Gerber' },
+    soderberg: { label: 'Soderberg' }
+};
+
+// Shot peening raises the Zimmerli endurance strengths of steel wire (241/379 MPa unpeened → 398/534 MPa peened)
+export const SHOT_PEEN_FACTOR = { Ssa: 1.65, Ssm: 1.41 };
+
+// Life at which the Zimmerli endurance strength applies, and the design target for dynamic springs
+export const ENDURANCE_CYCLES = 1e7;
+export const TARGET_CYCLES = 1e6;
+
+// Allowable alternating stress at a given mean stress on the failure line of the selected criterion
+export const getFailureAmplitude = ({ criterion, enduranceLimit, ultimateStrength, yieldStrength }, meanStress) => {
+    if (criterion === 'gerber') {
+        return Math.max(0, enduranceLimit * (1 - Math.pow(meanStress / ultimateStrength, 2)));
+    }
+    const meanLimit = criterion === 'soderberg' ? yieldStrength : ultimateStrength;
+    return Math.max(0, enduranceLimit * (1 - meanStress / meanLimit));
+};
+
+// Fatigue check between the minimum and maximum working stress
+// Strengths are torsional for compression/extension springs and bending for torsion springs
+// endurance: Zimmerli-type { Ssa, Ssm } pair for the material (unpeened)
+export const calculateFatigue = ({ minStress, maxStress, ultimateStrength, yieldStrength, endurance, shotPeened, criterion }) => {
+    const meanStress = (maxStress + minStress) / 2;
+    const alternatingStress = (maxStress - minStress) / 2;
+
+    // Endurance point of the wire, improved by shot peening
+    const Ssa = endurance.Ssa * (shotPeened ? SHOT_PEEN_FACTOR.Ssa : 1);
+    const Ssm = endurance.Ssm * (shotPeened ? SHOT_PEEN_FACTOR.Ssm : 1);
+
+    // Fully reversed endurance limit: the failure line of the selected criterion through the endurance point
+    const meanLimit = criterion === 'soderberg' ? yieldStrength : ultimateStrength;
+    const enduranceLimit = criterion === 'gerber'
+        ? Ssa / (1 - Math.pow(Ssm / ultimateStrength, 2))
+        : Ssa / (1 - Ssm / meanLimit);
+
+    // Safety factor along a load line through the origin (constant τa/τm)
+    let safetyFactor;
+    if (alternatingStress <= 0) {
+        safetyFactor = meanLimit / meanStress;
+    } else if (criterion === 'gerber' && meanStress > 0) {
+        safetyFactor = 0.5 * Math.pow(ultimateStrength / meanStress, 2) * (alternatingStress / enduranceLimit) *
+            (-1 + Math.sqrt(1 + Math.pow(2 * meanStress * enduranceLimit / (ultimateStrength * alternatingStress), 2)));
+    } else {
+        safetyFactor = 1 / (alternatingStress / enduranceLimit + meanStress / meanLimit);
+    }
+
+    // Static check against yield at the maximum working stress (Langer line)
+    const yieldSafetyFactor = yieldStrength / maxStress;
+
+    // Equivalent fully reversed stress amplitude, used to read the S-N curve
+    const failureAmplitudeAtMean = getFailureAmplitude({ criterion, enduranceLimit, ultimateStrength, yieldStrength }, meanStress);
+    const equivalentAlternating = failureAmplitudeAtMean > 0
+        ? alternatingStress * enduranceLimit / failureAmplitudeAtMean
+        : Infinity;
+
+    // Basquin S-N line from 0.9·Su at 10³ cycles to the endurance limit at 10⁷ cycles
+    const lowCycleStrength = 0.9 * ultimateStrength;
+    let cyclesToFailure;
+    if (equivalentAlternating <= enduranceLimit) {
+        cyclesToFailure = Infinity;
+    } else if (equivalentAlternating >= lowCycleStrength) {
+        cyclesToFailure = 1e3;
+    } else {
+        const exponent = Math.log10(lowCycleStrength / equivalentAlternating) / Math.log10(lowCycleStrength / enduranceLimit);
+        cyclesToFailure = Math.pow(10, 3 + exponent * Math.log10(ENDURANCE_CYCLES / 1e3));
+    }
+
+    let verdict;
+    if (yieldSafetyFactor < 1) {
+        verdict = 'Yields at maximum working stress';
+    } else if (cyclesToFailure === Infinity) {
+        verdict = 'Infinite life (over 10^7 cycles)';
+    } else if (cyclesToFailure >= TARGET_CYCLES) {
+        verdict = 'Survives 10^6 cycles (finite life)';
+    } else {
+        verdict = 'Fails before 10^6 cycles';
+    }
+
+    return {
+        criterion,
+        shotPeened,
+        minStress,
+        maxStress,
+        meanStress,
+        alternatingStress,
+        ultimateStrength,
+        yieldStrength,
+        enduranceLimit,
+        safetyFactor,
+        yieldSafetyFactor,
+        cyclesToFailure,
+        passes: yieldSafetyFactor >= 1 && cyclesToFailure >= TARGET_CYCLES,
+        verdict
+    };
+};
+
+// Cycles to failure for display (e.g. "4.2 × 10⁵" or "∞")
+export const formatCycles = (cycles) => {
+    if (cycles === Infinity) return '∞';
+    const exponent = Math.floor(Math.log10(cycles));
+    const superscripts = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    const power = String(exponent).split('').map(digit => superscripts[digit]).join('');
+    return `${(cycles / Math.pow(10, exponent)).toFixed(1)} × 10${power}`;
+};
@@ -0,0 +1,87 @@
+import { getFailureAmplitude, calculateFatigue, formatCycles, SHOT_PEEN_FACTOR } from './fatigue';
+
+const endurance = { Ssa: 241, Ssm: 379 };
+const strengths = { ultimateStrength: 1500, yieldStrength: 1000, endurance, shotPeened: false };
+
+// Working stresses whose mean and amplitude sit on the endurance point, and just either side of it
+const atEndurancePoint = { minStress: 379 - 241, maxStress: 379 + 241 };
+const insideEndurancePoint = { minStress: 379 - 240, maxStress: 379 + 240 };
+const outsideEndurancePoint = { minStress: 379 - 242, maxStress: 379 + 242 };
+
+describe('getFailureAmplitude', () => {
+    const line = { enduranceLimit: 300, ultimateStrength: 1500, yieldStrength: 1000 };
+
+    test('falls linearly to the ultimate strength on the Goodman line', () => {
+        expect(getFailureAmplitude({ ...line, criterion: 'goodman' }, 750)).toBeCloseTo(150, 9);
+    });
+
+    test('falls to the yield strength on the Soderberg line', () => {
+        expect(getFailureAmplitude({ ...line, criterion: 'soderberg' }, 500)).toBeCloseTo(150, 9);
+    });
+
+    test('follows a parabola on the Gerber line', () => {
+        expect(getFailureAmplitude({ ...line, criterion: 'gerber' }, 750)).toBeCloseTo(225, 9);
+    });
+
+    test('never goes negative past the mean stress limit', () => {
+        expect(getFailureAmplitude({ ...line, criterion: 'goodman' }, 2000)).toBe(0);
+    });
+});
+
+describe('calculateFatigue', () => {
+    test('puts the endurance point on the failure line of every criterion', () => {
+        ['goodman', 'gerber', 'soderberg'].forEach(criterion => {
+            const result = calculateFatigue({ ...strengths, ...atEndurancePoint, criterion });
+            expect(result.safetyFactor).toBeCloseTo(1, 9);
+        });
+    });
+
+    test('gives infinite life just inside the endurance point and a finite life just outside it', () => {
+        ['goodman', 'gerber', 'soderberg'].forEach(criterion => {
+            expect(calculateFatigue({ ...strengths, ...insideEndurancePoint, criterion }).cyclesToFailure).toBe(Infinity);
+            expect(calculateFatigue({ ...strengths, ...outsideEndurancePoint, criterion }).cyclesToFailure).toBeLessThan(1e7);
+        });
+    });
+
+    test('takes the Goodman endurance limit through the endurance point', () => {
+        const result = calculateFatigue({ ...strengths, ...atEndurancePoint, criterion: 'goodman' });
+        expect(result.enduranceLimit).toBeCloseTo(241 / (1 - 379 / 1500), 9);
+        expect(result.meanStress).toBe(379);
+        expect(result.alternatingStress).toBe(241);
+    });
+
+    test('raises the endurance strengths when shot peened', () => {
+        const result = calculateFatigue({ ...strengths, ...atEndurancePoint, shotPeened: true, criterion: 'goodman' });
+        const Ssa = 241 * SHOT_PEEN_FACTOR.Ssa;
+        const Ssm = 379 * SHOT_PEEN_FACTOR.Ssm;
+        expect(result.enduranceLimit).toBeCloseTo(Ssa / (1 - Ssm / 1500), 9);
+        expect(result.safetyFactor).toBeGreaterThan(1);
+    });
+
+    test('checks a static load against the mean stress limit', () => {
+        const result = calculateFatigue({ ...strengths, minStress: 500, maxStress: 500, criterion: 'goodman' });
+        expect(result.safetyFactor).toBeCloseTo(3, 9);
+        expect(result.passes).toBe(true);
+    });
+
+    test('fails a spring that yields at the maximum working stress', () => {
+        const result = calculateFatigue({ ...strengths, minStress: 0, maxStress: 1100, criterion: 'goodman' });
+        expect(result.yieldSafetyFactor).toBeLessThan(1);
+        expect(result.passes).toBe(false);
+        expect(result.verdict).toBe('Yields at maximum working stress');
+    });
+
+    test('reads a finite life between 10³ and 10⁷ cycles', () => {
+        const result = calculateFatigue({ ...strengths, minStress: 100, maxStress: 900, criterion: 'goodman' });
+        expect(result.cyclesToFailure).toBeGreaterThan(1e3);
+        expect(result.cyclesToFailure).toBeLessThan(1e7);
+    });
+});
+
+describe('formatCycles', () => {
+    test('prints cycles in powers of ten', () => {
+        expect(formatCycles(420000)).toBe('4.2 × 10⁵');
+        expect(formatCycles(1e12)).toBe('1.0 × 10¹²');
+        expect(formatCycles(Infinity)).toBe('∞');
+    });
+});
@@ -0,0 +1,80 @@
+// Fit of a compression spring in its bore and over its rod, and the coil clearance at the deepest working point
+
+// Smallest recommended diametral clearance, as a fraction of the bore or rod diameter, and smallest
+// recommended gap between active coils at the largest working deflection, as a fraction of the wire diameter
+export const FIT_LIMITS = { minClearanceRatio: 0.02, minCoilGapRatio: 0.1 };
+
+export const FIT_STATUS = {
+    pass: { label: 'Pass' },
+    warn: { label: 'Warn' },
+    fail: { label: 'Fail' }
+};
+
+// Mean diameter once the active coils close from the free pitch to a smaller pitch
+// Each active coil keeps its wire length, so (πD)² + p² stays constant and the coils open out
+export const getLoadedMeanDiameter = (meanD, freePitch, pitch) => (
+    Math.sqrt(meanD * meanD + (freePitch * freePitch - pitch * pitch) / (Math.PI * Math.PI))
+);
+
+// OD growth, ID at solid, bore and rod clearances and the coil clash margin
+// spring: { wireD, meanD, coilsActive, freeLength, solidLength, odTolerance }
+// heights: working heights [{ label, height }]; envelope: { boreDiameter, rodDiameter }, 0 when not given
+// Clearances take the OD tolerance off, since the largest OD binds in the bore and the smallest ID on the rod
+export const checkFit = (spring, heights, envelope) => {
+    const { wireD, meanD, coilsActive, freeLength, solidLength } = spring;
+    const odTolerance = Math.abs(spring.odTolerance);
+    const od = meanD + wireD;
+
+    // Active coil pitch at a height: the wire plus an even share of the travel left to solid
+    const pitchAt = (height) => wireD + Math.max(0, height - solidLength) / coilsActive;
+    const freePitch = pitchAt(freeLength);
+    const odAt = (height) => getLoadedMeanDiameter(meanD, freePitch, pitchAt(height)) + wireD;
+
+    const points = heights.map(({ label, height }) => ({ label, height, od: odAt(height), odGrowth: odAt(height) - od }));
+    const solidMeanD = getLoadedMeanDiameter(meanD, freePitch, wireD);
+
+    // Deepest working point: the largest OD and the smallest coil gap in service
+    const minHeight = heights.length > 0 ? Math.min(...heights.map(({ height }) => height)) : freeLength;
+    const maxWorkingOD = odAt(minHeight);
+    const coilGap = (minHeight - solidLength) / coilsActive;
+    const coilGapPercent = coilGap / wireD * 100;
+
+    let bore = null;
+    if (envelope.boreDiameter > 0) {
+        const clearance = envelope.boreDiameter - maxWorkingOD - odTolerance;
+        const solidClearance = envelope.boreDiameter - (solidMeanD + wireD) - odTolerance;
+        bore = {
+            diameter: envelope.boreDiameter,
+            clearance,
+            solidClearance,
+            status: clearance <= 0 ? 'fail'
+                : clearance < FIT_LIMITS.minClearanceRatio * envelope.boreDiameter || solidClearance <= 0 ? 'warn'
+                : 'pass'
+        };
+    }
+
+    // The ID is smallest at free length and only opens out as the spring is compressed
+    let rod = null;
+    if (envelope.rodDiameter > 0) {
+        const clearance = meanD - wireD - odTolerance - envelope.rodDiameter;
+        rod = {
+            diameter: envelope.rodDiameter,
+            clearance,
+            status: clearance <= 0 ? 'fail' : clearance < FIT_LIMITS.minClearanceRatio * envelope.rodDiameter ? 'warn' : 'pass'
+        };
+    }
+
+    return {
+        points,
+        solidOD: solidMeanD + wireD,
+        solidID: solidMeanD - wireD,
+        odGrowthAtSolid: solidMeanD - meanD,
+        maxWorkingOD,
+        minHeight,
+        bore,
+        rod,
+        coilGap,
+        coilGapPercent,
+        coilClashStatus: coilGap <= 0 ? 'fail' : coilGap < FIT_LIMITS.minCoilGapRatio * wireD ? 'warn' : 'pass'
+    };
+};
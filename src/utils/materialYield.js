@@ -0,0 +1,37 @@
+// Wire bought against wire shipped: cut-off per spring, stock ground off the ends, rejects and setup pieces
+
+// Default share of one end coil's wire ground off each ground end (%)
+export const DEFAULT_GRIND_STOCK_PERCENT = 25;
+
+// Net (shipped) and gross (bought) wire for one item and for a batch
+// springs: [{ wireD, meanD, springWeight (g, wire coiled into the spring), groundEnds, cutOffLength (mm), setupScrapPieces }],
+// one per spring of a nested set
+// options: { density (g/cm³), quantity, rejectPercent, grindStockPercent }
+// Rejects are coiled on top of the good pieces, so each good piece takes 1 / (1 - reject rate) pieces of wire
+export const getMaterialYield = (springs, options) => {
+    const rejectFactor = 1 / (1 - options.rejectPercent / 100);
+    const usages = springs.map(spring => {
+        const weightPerLength = Math.PI * Math.pow(spring.wireD / 2, 2) * options.density / 1000;
+        const grindStock = spring.groundEnds ? 2 * (options.grindStockPercent / 100) * Math.PI * spring.meanD * weightPerLength : 0;
+        const fedWeight = spring.springWeight + spring.cutOffLength * weightPerLength;
+        return { grindStock, fedWeight, netWeight: spring.springWeight - grindStock, setupScrap: spring.setupScrapPieces * fedWeight };
+    });
+    const total = (key) => usages.reduce((sum, usage) => sum + usage[key], 0);
+
+    const netWeight = total('netWeight');
+    const grossWeight = total('fedWeight') * rejectFactor;
+    const setupScrapWeight = total('setupScrap');
+    const netBatchWeight = netWeight * options.quantity / 1000;
+    const grossBatchWeight = (grossWeight * options.quantity + setupScrapWeight) / 1000;
+
+    return {
+        netWeight,
+        grossWeight,
+        grindStock: total('grindStock'),
+        cutOffWeight: total('fedWeight') - springs.reduce((sum, spring) => sum + spring.springWeight, 0),
+        setupScrapWeight,
+        netBatchWeight,
+        grossBatchWeight,
+        yieldPercent: grossBatchWeight > 0 ? netBatchWeight / grossBatchWeight * 100 : 0
+    };
+};
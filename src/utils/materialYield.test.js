@@ -0,0 +1,47 @@
+import { getMaterialYield } from './materialYield';
+
+// 1 mm wire of density 8 g/cm³ weighs 2π mg per mm
+const spring = { wireD: 1, meanD: 10, springWeight: 100, groundEnds: false, cutOffLength: 0, setupScrapPieces: 0 };
+const options = { density: 8, quantity: 1000, rejectPercent: 0, grindStockPercent: 25 };
+const weightPerLength = Math.PI * 0.25 * 8 / 1000;
+
+describe('getMaterialYield', () => {
+    test('buys exactly what ships without allowances', () => {
+        const result = getMaterialYield([spring], options);
+        expect(result.grossWeight).toBe(100);
+        expect(result.netWeight).toBe(100);
+        expect(result.grossBatchWeight).toBe(100);
+        expect(result.yieldPercent).toBeCloseTo(100, 9);
+    });
+
+    test('adds the cut-off wire to every spring', () => {
+        const result = getMaterialYield([{ ...spring, cutOffLength: 5 }], options);
+        expect(result.cutOffWeight).toBeCloseTo(5 * weightPerLength, 12);
+        expect(result.grossWeight).toBeCloseTo(100 + 5 * weightPerLength, 12);
+    });
+
+    test('coils the rejects on top of the good pieces', () => {
+        expect(getMaterialYield([spring], { ...options, rejectPercent: 20 }).grossWeight).toBeCloseTo(125, 9);
+    });
+
+    test('grinds stock off both ground ends of the shipped weight', () => {
+        const result = getMaterialYield([{ ...spring, groundEnds: true }], options);
+        expect(result.grindStock).toBeCloseTo(2 * 0.25 * Math.PI * 10 * weightPerLength, 12);
+        expect(result.netWeight).toBeCloseTo(100 - result.grindStock, 12);
+        expect(result.grossWeight).toBe(100);
+    });
+
+    test('adds the setup scrap once per batch', () => {
+        const result = getMaterialYield([{ ...spring, setupScrapPieces: 10 }], options);
+        expect(result.setupScrapWeight).toBe(1000);
+        expect(result.grossBatchWeight).toBeCloseTo(101, 9);
+    });
+
+    test('sums the springs of a nested set', () => {
+        expect(getMaterialYield([spring, { ...spring, springWeight: 50 }], options).grossWeight).toBe(150);
+    });
+
+    test('has no yield for an empty batch', () => {
+        expect(getMaterialYield([spring], { ...options, quantity: 0 }).yieldPercent).toBe(0);
+    });
+});
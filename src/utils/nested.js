@@ -0,0 +1,121 @@
+import { STANDARD_WIRE_SIZES } from '../constants/wireSizes';
+import { SOLVER_INDEX_RANGE } from './solver';
+import { getTensileStrength, getSolidLength, getStressCorrection, getCompressionWireLength, getWireWeight } from './springMath';
+
+// Springs per nested set, including the outer one
+export const NESTED_SPRING_COUNTS = [2, 3];
+
+export const NESTED_ROLES = ['Outer', 'Middle', 'Inner'];
+
+// Adjacent springs are wound in opposite directions so their coils cannot screw into each other
+const oppositeWinding = (winding) => (winding === 'Left Hand' ? 'Right Hand' : 'Left Hand');
+
+// Design the inner springs of a nested compression set from the outer spring's ID
+// Each inner spring keeps the outer spring index (so all springs see about the same stress), uses the
+// largest standard wire that leaves the radial clearance, and takes as many coils as fit inside the
+// outer solid height, so no spring goes solid before the others
+// outer: { wireD, meanD, coilsTotal, coilsActive, freeLength, wireLength }
+// options: { springCount, clearance, endType, material, G, density, materialCost, deflection, allowableFraction, coilDirection, stressCorrection }
+export const designNestedSet = (outer, options) => {
+    const { endType, G } = options;
+    const { solidLength: outerSolidLength } = getSolidLength(outer.wireD, outer.coilsTotal, endType, outer.meanD);
+    const endCoils = outer.coilsTotal - outer.coilsActive;
+    const index = outer.meanD / outer.wireD;
+    const errors = [];
+
+    const outerWinding = /left/i.test(options.coilDirection) ? 'Left Hand' : 'Right Hand';
+    const geometries = [{ ...outer, role: NESTED_ROLES[0], solidLength: outerSolidLength, winding: outerWinding, clearance: null }];
+
+    for (let i = 1; i < options.springCount; i++) {
+        const host = geometries[i - 1];
+        const role = NESTED_ROLES[i === options.springCount - 1 ? 2 : i];
+        const hostID = host.meanD - host.wireD;
+
+        // OD = (C + 1) d must fit inside the host ID less the clearance on both sides
+        const room = hostID - 2 * options.clearance;
+        const wireD = [...STANDARD_WIRE_SIZES].reverse().find(size => size * (index + 1) <= room);
+        if (!wireD) {
+            errors.push(`No standard wire fits inside the ${host.role.toLowerCase()} spring with the radial clearance`);
+            break;
+        }
+        const meanD = room - wireD;
+
+        // Total coils, in half-coil steps, that stack no higher than the outer solid height
+        const extraCoils = getSolidLength(wireD, 1, endType, meanD).solidLength / wireD - 1;
+        const coilsTotal = Math.floor(2 * (outerSolidLength / wireD - extraCoils)) / 2;
+        const coilsActive = coilsTotal - endCoils;
+        if (coilsActive < 2) {
+            errors.push(`${role} spring would have fewer than 2 active coils`);
+            break;
+        }
+        if (meanD / wireD > SOLVER_INDEX_RANGE.max) {
+            errors.push(`${role} spring index ${(meanD / wireD).toFixed(1)} is above ${SOLVER_INDEX_RANGE.max}`);
+        }
+
+        geometries.push({
+            role,
+            wireD,
+            meanD,
+            coilsTotal,
+            coilsActive,
+            freeLength: outer.freeLength,
+            solidLength: getSolidLength(wireD, coilsTotal, endType, meanD).solidLength,
+            wireLength: getCompressionWireLength(wireD, coilsActive, coilsTotal, outer.freeLength, endType, meanD),
+            winding: oppositeWinding(host.winding),
+            clearance: (hostID - (meanD + wireD)) / 2
+        });
+    }
+
+    // Rate, load share, stress and material cost of each spring at the working deflection
+    const springs = geometries.map(spring => {
+        const { wireD, meanD, coilsActive, wireLength } = spring;
+        const C = meanD / wireD;
+        const K = getStressCorrection(options.stressCorrection, C);
+        const springRate = G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * coilsActive);
+        const load = springRate * options.deflection;
+        const stress = (8 * load * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+        const { tensileStrength } = getTensileStrength(options.material, wireD);
+        const springWeight = getWireWeight(wireD, wireLength, options.density);
+
+        return {
+            ...spring,
+            od: meanD + wireD,
+            id: meanD - wireD,
+            springIndex: C,
+            springRate,
+            load,
+            stress,
+            stressUtilization: stress / (options.allowableFraction * tensileStrength),
+            springWeight,
+            rawMaterialCost: (springWeight / 1000) * options.materialCost
+        };
+    });
+
+    const combinedRate = springs.reduce((sum, spring) => sum + spring.springRate, 0);
+    const combinedLoad = springs.reduce((sum, spring) => sum + spring.load, 0);
+    const solidLengths = springs.map(spring => spring.solidLength);
+
+    return {
+        springs: springs.map(spring => ({ ...spring, loadShare: combinedLoad > 0 ? spring.load / combinedLoad : 0 })),
+        combinedRate,
+        combinedLoad,
+        // Spread of the solid heights; the tallest goes solid first
+        solidMismatch: Math.max(...solidLengths) - Math.min(...solidLengths),
+        rawMaterialCost: springs.reduce((sum, spring) => sum + spring.rawMaterialCost, 0),
+        springWeight: springs.reduce((sum, spring) => sum + spring.springWeight, 0),
+        errors
+    };
+};
+
+// Quotation line item for a nested set in the units of createUnits: the set, then each spring as a sub-item
+// Returns a header row and rows of strings
+export const formatNestedSetRows = (nested, quantity, pricePerSet, units) => [
+    ['Item', 'Description', 'Quantity', `Unit Price (${units.pdfSymbol.trim()})`],
+    ['1', `Nested compression spring set of ${nested.springs.length}`, `${quantity}`, units.toDisplay('price', pricePerSet).toFixed(2)],
+    ...nested.springs.map((spring, i) => [
+        `1.${i + 1}`,
+        `${spring.role} spring: wire ${units.field('length', spring.wireD)} ${units.unit('length')}, OD ${units.format('length', spring.od)} ${units.unit('length')}, ${spring.coilsTotal} total coils, ${spring.winding}`,
+        `${quantity}`,
+        'incl.'
+    ])
+];
@@ -0,0 +1,36 @@
+import { designNestedSet } from './nested';
+import { getCompressionWireLength, getWireWeight } from './springMath';
+
+const outer = { wireD: 4, meanD: 36, coilsTotal: 10, coilsActive: 8, freeLength: 100, wireLength: getCompressionWireLength(4, 8, 10, 100, 'closedGround', 36) };
+
+const options = {
+    springCount: 2,
+    clearance: 0.5,
+    endType: 'closedGround',
+    material: 'Music Wire (High Carbon Steel, ASTM A228)',
+    G: 79300,
+    density: 7.85,
+    materialCost: 200,
+    deflection: 20,
+    allowableFraction: 0.45,
+    coilDirection: 'Right Hand',
+    stressCorrection: 'wahl'
+};
+
+describe('designNestedSet', () => {
+    test('weighs every spring on its wire length along the helix', () => {
+        const { springs } = designNestedSet(outer, options);
+        expect(springs).toHaveLength(2);
+        expect(springs[0].springWeight).toBeCloseTo(getWireWeight(4, outer.wireLength, 7.85), 9);
+        const inner = springs[1];
+        const wireLength = getCompressionWireLength(inner.wireD, inner.coilsActive, inner.coilsTotal, 100, 'closedGround', inner.meanD);
+        expect(inner.wireLength).toBeCloseTo(wireLength, 9);
+        expect(inner.springWeight).toBeCloseTo(getWireWeight(inner.wireD, wireLength, 7.85), 9);
+    });
+
+    test('fits the inner spring within the outer solid height and winds it the other way', () => {
+        const { springs } = designNestedSet(outer, options);
+        expect(springs[1].solidLength).toBeLessThanOrEqual(springs[0].solidLength);
+        expect(springs[1].winding).toBe('Left Hand');
+    });
+});
@@ -0,0 +1,75 @@
+import { MATERIALS } from '../constants/materials';
+import { END_TYPES } from '../constants/springTypes';
+import { END_FIXITY, getCriticalDeflectionRatio } from './buckling';
+import { findDesigns } from './solver';
+
+// Feasible designs kept for the background of the trade-off chart
+const MAX_CLOUD_POINTS = 400;
+
+// Designs on the price / safety factor Pareto front: no other design is both cheaper and safer
+// costKey: the design field compared, 'unitCost' when a fixed price gives every design the same price
+export const getParetoFront = (designs, costKey = 'pricePerSpring') => {
+    const front = [];
+    let bestSafetyFactor = -Infinity;
+    [...designs]
+        .sort((a, b) => a[costKey] - b[costKey] || b.safetyFactor - a.safetyFactor)
+        .forEach(design => {
+            if (design.safetyFactor > bestSafetyFactor) {
+                front.push(design);
+                bestSafetyFactor = design.safetyFactor;
+            }
+        });
+    return front;
+};
+
+// Search every material, standard wire size, mean diameter and coil count for the cheapest springs
+// that meet the targets and pass the stress, spring index and buckling limits
+// options: { endType, endFixity, guided, pricing, dynamic, stressCorrection, costRates, coilingMachines, coilingMachine,
+//            quantity, grindStockPercent, shotPeened, finished }
+export const optimizeDesigns = ({ targets, envelope, options }) => {
+    const seatingCoefficient = options.endFixity === 'endType'
+        ? END_TYPES[options.endType].bucklingEndFactor
+        : END_FIXITY[options.endFixity].seatingCoefficient;
+    const shortestHeight = Math.min(...targets.map(target => target.height));
+
+    const feasible = [];
+    Object.entries(MATERIALS)
+        .filter(([material]) => material !== 'Custom')
+        .forEach(([material, materialProps]) => {
+            findDesigns(targets, envelope, {
+                material,
+                endType: options.endType,
+                materialCost: materialProps.cost,
+                pricing: options.pricing,
+                dynamic: options.dynamic,
+                stressCorrection: options.stressCorrection,
+                costRates: options.costRates,
+                coilingMachines: options.coilingMachines,
+                coilingMachine: options.coilingMachine,
+                quantity: options.quantity,
+                rejectPercent: materialProps.rejectRate,
+                grindStockPercent: options.grindStockPercent,
+                shotPeened: options.shotPeened,
+                finished: options.finished
+            }).forEach(design => {
+                // Reject designs that buckle at the shortest working height unless they are guided
+                const criticalDeflection = design.freeLength * getCriticalDeflectionRatio(
+                    seatingCoefficient * design.freeLength / design.meanD,
+                    materialProps.G / materialProps.E
+                );
+                if (!options.guided && design.freeLength - shortestHeight >= criticalDeflection) return;
+
+                feasible.push({ ...design, safetyFactor: 1 / design.stressUtilization });
+            });
+        });
+
+    // Evenly thinned sample of all feasible designs for the chart background
+    const step = Math.max(1, Math.ceil(feasible.length / MAX_CLOUD_POINTS));
+    const costKey = options.pricing.pricingMode === 'fixed' ? 'unitCost' : 'pricePerSpring';
+    return {
+        costKey,
+        front: getParetoFront(feasible, costKey),
+        cloud: feasible.filter((_, i) => i % step === 0),
+        feasibleCount: feasible.length
+    };
+};
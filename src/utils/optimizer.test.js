@@ -0,0 +1,55 @@
+import { getParetoFront, optimizeDesigns } from './optimizer';
+import { DEFAULT_COST_RATES } from './costing';
+import { AUTO_MACHINE, createDefaultMachines } from './coiling';
+import { DEFAULT_PRICING } from './pricing';
+
+const request = (pricing) => ({
+    targets: [{ load: 50, height: 30 }, { load: 100, height: 20 }],
+    envelope: { maxOD: 0, minID: 0, maxSolidLength: 0 },
+    options: {
+        endType: 'closedGround',
+        endFixity: 'endType',
+        guided: false,
+        pricing,
+        dynamic: false,
+        stressCorrection: 'wahl',
+        costRates: DEFAULT_COST_RATES,
+        coilingMachines: createDefaultMachines(),
+        coilingMachine: AUTO_MACHINE,
+        quantity: 1000,
+        grindStockPercent: 25,
+        shotPeened: false,
+        finished: false
+    }
+});
+
+describe('getParetoFront', () => {
+    test('keeps only the designs no other design is both cheaper and safer than', () => {
+        const designs = [
+            { pricePerSpring: 1, safetyFactor: 1.2 },
+            { pricePerSpring: 2, safetyFactor: 1.1 },
+            { pricePerSpring: 2, safetyFactor: 1.5 },
+            { pricePerSpring: 3, safetyFactor: 2 }
+        ];
+        expect(getParetoFront(designs)).toEqual([designs[0], designs[2], designs[3]]);
+    });
+
+    test('compares another cost field when asked', () => {
+        const designs = [
+            { pricePerSpring: 5, unitCost: 2, safetyFactor: 1.2 },
+            { pricePerSpring: 5, unitCost: 3, safetyFactor: 1.5 }
+        ];
+        expect(getParetoFront(designs)).toEqual([designs[1]]);
+        expect(getParetoFront(designs, 'unitCost')).toEqual(designs);
+    });
+});
+
+describe('optimizeDesigns', () => {
+    test('builds the front on the unit cost under a fixed price', () => {
+        const margin = optimizeDesigns(request(DEFAULT_PRICING));
+        const fixed = optimizeDesigns(request({ ...DEFAULT_PRICING, pricingMode: 'fixed', fixedPrice: 10 }));
+        expect(margin.costKey).toBe('pricePerSpring');
+        expect(fixed.costKey).toBe('unitCost');
+        expect(fixed.front.length).toBe(margin.front.length);
+    });
+});
@@ -0,0 +1,79 @@
+import { DEFAULT_TIER_SETS, TIER_TYPES } from '../constants/priceTiers';
+
+// Browser storage key of the edited tier sets and the customer defaults
+const STORAGE_KEY = 'springCalculator.priceTiers';
+
+export const createDefaultTierSets = () => DEFAULT_TIER_SETS.map(set => ({ ...set, tiers: set.tiers.map(tier => ({ ...tier })) }));
+
+// Tier sets and the tier set each customer is quoted on by default
+export const createDefaultTierLibrary = () => ({ tierSets: createDefaultTierSets(), customerDefaults: {} });
+
+// Library saved in this browser, or the default tier sets
+export const loadTierLibrary = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (saved && Array.isArray(saved.tierSets)) return { customerDefaults: {}, ...saved };
+    } catch (error) {
+        // Unreadable or blocked storage: start from the defaults
+    }
+    return createDefaultTierLibrary();
+};
+
+export const saveTierLibrary = (library) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+    } catch (error) {
+        // Full or blocked storage: the edits last for this session only
+    }
+};
+
+// Tier set with an id, or the first set when that one has been removed; null for an empty library
+export const findTierSet = (library, id) => library.tierSets.find(set => set.id === id) || library.tierSets[0] || null;
+
+// Tier a quantity falls in: the one with the largest quantity at or below it, or null below the first tier
+export const findTier = (tiers, quantity) => (
+    tiers.filter(tier => tier.quantity <= quantity).sort((a, b) => b.quantity - a.quantity)[0] || null
+);
+
+// Tier value held to the range of its type, so a saved or hand-entered value never gives an infinite or negative price
+export const clampTierValue = (type, value) => Math.min(Math.max(0, value) || 0, TIER_TYPES[type].maxValue);
+
+// Unit price in a tier, before setup: the list price less the tier discount, or the full cost at the tier margin
+// pricing: { listPrice, unitCost, fixedPrice, setupCost }; a fixed (hand-entered) list price is only ever discounted
+export const getTierUnitPrice = (tier, pricing) => {
+    if (tier?.type === 'margin' && !pricing.fixedPrice) return pricing.unitCost / (1 - clampTierValue('margin', tier.value) / 100);
+    if (tier?.type === 'discount') return pricing.listPrice * (1 - clampTierValue('discount', tier.value) / 100);
+    return pricing.listPrice;
+};
+
+// Price-break table of a tier set with the order quantity added, setup spread over each quantity
+// Returns [{ quantity, tier, unitPrice, pricePerSpring, total, isOrder }] by increasing quantity
+export const getTierPrices = (tierSet, orderQuantity, pricing) => {
+    const tiers = tierSet ? tierSet.tiers : [];
+    const quantities = [...new Set([...tiers.map(tier => tier.quantity), orderQuantity])]
+        .filter(quantity => quantity > 0)
+        .sort((a, b) => a - b);
+    return quantities.map(quantity => {
+        const tier = findTier(tiers, quantity);
+        const unitPrice = getTierUnitPrice(tier, pricing);
+        const total = pricing.setupCost + unitPrice * quantity;
+        return { quantity, tier, unitPrice, pricePerSpring: total / quantity, total, isOrder: quantity === orderQuantity };
+    });
+};
+
+export const describeTier = (tier) => {
+    if (tier?.type === 'margin') return `${tier.value}% margin`;
+    if (tier?.type === 'discount' && tier.value > 0) return `${tier.value}% off list`;
+    return 'List price';
+};
+
+// Price-break table in the units of createUnits: a header row and rows of strings
+export const formatTierRows = (rows, units) => [
+    ['Quantity', 'Price Break', `Price per Spring (${units.pdfSymbol.trim()})`, `Total Price (${units.pdfSymbol.trim()})`],
+    ...rows.map(row => [
+        `${row.quantity}${row.isOrder ? ' (order)' : ''}`,
+        describeTier(row.tier),
+        units.toDisplay('price', row.pricePerSpring).toFixed(2),
+        units.toDisplay('price', row.total).toFixed(2)
+    ])
+];
@@ -0,0 +1,86 @@
+import { findTier, clampTierValue, getTierUnitPrice, getTierPrices, describeTier } from './priceTiers';
+
+const pricing = { listPrice: 25, unitCost: 10, fixedPrice: false, setupCost: 1000 };
+
+const tierSet = {
+    id: 'test',
+    name: 'Test',
+    tiers: [
+        { quantity: 100, type: 'discount', value: 0 },
+        { quantity: 1000, type: 'discount', value: 10 },
+        { quantity: 5000, type: 'margin', value: 50 }
+    ]
+};
+
+describe('findTier', () => {
+    test('picks the largest tier at or below the quantity', () => {
+        expect(findTier(tierSet.tiers, 100)).toBe(tierSet.tiers[0]);
+        expect(findTier(tierSet.tiers, 4999)).toBe(tierSet.tiers[1]);
+        expect(findTier(tierSet.tiers, 5000)).toBe(tierSet.tiers[2]);
+    });
+
+    test('is null below the first tier', () => {
+        expect(findTier(tierSet.tiers, 99)).toBeNull();
+    });
+});
+
+describe('clampTierValue', () => {
+    test('holds margins below 100% and discounts to 100%', () => {
+        expect(clampTierValue('margin', 100)).toBe(99);
+        expect(clampTierValue('margin', 150)).toBe(99);
+        expect(clampTierValue('discount', 150)).toBe(100);
+    });
+
+    test('turns negative and unreadable values into zero', () => {
+        expect(clampTierValue('margin', -5)).toBe(0);
+        expect(clampTierValue('discount', NaN)).toBe(0);
+    });
+});
+
+describe('getTierUnitPrice', () => {
+    test('discounts the list price or prices the cost at the margin', () => {
+        expect(getTierUnitPrice(tierSet.tiers[1], pricing)).toBeCloseTo(22.5, 9);
+        expect(getTierUnitPrice(tierSet.tiers[2], pricing)).toBeCloseTo(20, 9);
+        expect(getTierUnitPrice(null, pricing)).toBe(25);
+    });
+
+    test('stays finite and positive at a 100% margin or more', () => {
+        [100, 150].forEach(value => {
+            const price = getTierUnitPrice({ quantity: 1, type: 'margin', value }, pricing);
+            expect(Number.isFinite(price)).toBe(true);
+            expect(price).toBeGreaterThan(0);
+        });
+    });
+
+    test('never goes negative on a discount over 100%', () => {
+        expect(getTierUnitPrice({ quantity: 1, type: 'discount', value: 120 }, pricing)).toBe(0);
+    });
+
+    test('only discounts a fixed price', () => {
+        const fixed = { ...pricing, fixedPrice: true };
+        expect(getTierUnitPrice(tierSet.tiers[2], fixed)).toBe(25);
+        expect(getTierUnitPrice(tierSet.tiers[1], fixed)).toBeCloseTo(22.5, 9);
+    });
+});
+
+describe('getTierPrices', () => {
+    test('adds the order quantity and spreads the setup over each quantity', () => {
+        const rows = getTierPrices(tierSet, 2000, pricing);
+        expect(rows.map(row => row.quantity)).toEqual([100, 1000, 2000, 5000]);
+        expect(rows.filter(row => row.isOrder).map(row => row.quantity)).toEqual([2000]);
+        expect(rows[0].total).toBeCloseTo(1000 + 25 * 100, 9);
+        expect(rows[0].pricePerSpring).toBeCloseTo(35, 9);
+    });
+
+    test('lists only the order quantity without a tier set', () => {
+        expect(getTierPrices(null, 500, pricing).map(row => row.quantity)).toEqual([500]);
+    });
+});
+
+describe('describeTier', () => {
+    test('names the discount or margin', () => {
+        expect(describeTier(tierSet.tiers[0])).toBe('List price');
+        expect(describeTier(tierSet.tiers[1])).toBe('10% off list');
+        expect(describeTier(tierSet.tiers[2])).toBe('50% margin');
+    });
+});
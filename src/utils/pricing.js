@@ -0,0 +1,52 @@
+// List price of one spring (or one nested set) from its full manufacturing cost
+
+// Ways the list price is set: a gross margin on the selling price, a markup on the cost, or a fixed price per piece
+export const PRICING_MODES = {
+    margin: { label: 'Gross margin (%)' },
+    markup: { label: 'Markup on cost (%)' },
+    fixed: { label: 'Fixed price per piece' }
+};
+
+// Default pricing in the canonical units (%, ₹); 60% margin and 150% markup give the same price
+export const DEFAULT_PRICING = {
+    pricingMode: 'margin',
+    marginPercent: 60,
+    markupPercent: 150,
+    fixedPrice: 0,
+    marginFloorPercent: 20
+};
+
+// The pricing fields out of an object that holds them among other fields, such as the calculator inputs
+export const getPricing = (source) => Object.fromEntries(Object.keys(DEFAULT_PRICING).map(field => [field, source[field]]));
+
+// Gross margin is the profit as a share of the price, markup the profit as a share of the cost
+export const getMarginPercent = (price, cost) => (price > 0 ? (price - cost) / price * 100 : 0);
+export const getMarkupPercent = (price, cost) => (cost > 0 ? (price - cost) / cost * 100 : 0);
+
+// List price per piece for a unit cost; pricing: the keys of DEFAULT_PRICING
+export const getListPrice = (unitCost, pricing) => {
+    if (pricing.pricingMode === 'fixed') return pricing.fixedPrice;
+    if (pricing.pricingMode === 'markup') return unitCost * (1 + pricing.markupPercent / 100);
+    return unitCost / (1 - pricing.marginPercent / 100);
+};
+
+// Smallest order that covers the setup at a price per piece: price × q ≥ setup + unit cost × q
+// Infinity when the price does not cover the unit cost
+export const getBreakEvenQuantity = (price, unitCost, setupCost) => {
+    if (price <= unitCost) return Infinity;
+    return Math.max(1, Math.ceil(setupCost / (price - unitCost)));
+};
+
+// Margin and markup a customer's target price per piece gives, on the unit cost alone and with the setup
+// spread over the order, and the smallest quantity it stays profitable at
+export const solveTargetPrice = (targetPrice, { unitCost, setupCost, quantity }) => {
+    const orderCost = unitCost + (quantity > 0 ? setupCost / quantity : 0);
+    return {
+        targetPrice,
+        marginPercent: getMarginPercent(targetPrice, unitCost),
+        markupPercent: getMarkupPercent(targetPrice, unitCost),
+        orderMarginPercent: getMarginPercent(targetPrice, orderCost),
+        orderMarkupPercent: getMarkupPercent(targetPrice, orderCost),
+        breakEvenQuantity: getBreakEvenQuantity(targetPrice, unitCost, setupCost)
+    };
+};
@@ -0,0 +1,57 @@
+import { DEFAULT_PRICING, getListPrice, getMarginPercent, getMarkupPercent, getBreakEvenQuantity, solveTargetPrice } from './pricing';
+
+describe('getListPrice', () => {
+    test('the default margin and markup give the same price', () => {
+        expect(getListPrice(10, DEFAULT_PRICING)).toBeCloseTo(25, 9);
+        expect(getListPrice(10, { ...DEFAULT_PRICING, pricingMode: 'markup' })).toBeCloseTo(25, 9);
+    });
+
+    test('a fixed price ignores the cost', () => {
+        const pricing = { ...DEFAULT_PRICING, pricingMode: 'fixed', fixedPrice: 7.5 };
+        expect(getListPrice(10, pricing)).toBe(7.5);
+        expect(getListPrice(100, pricing)).toBe(7.5);
+    });
+
+    test('a zero margin or markup prices at cost', () => {
+        expect(getListPrice(10, { ...DEFAULT_PRICING, marginPercent: 0 })).toBe(10);
+        expect(getListPrice(10, { ...DEFAULT_PRICING, pricingMode: 'markup', markupPercent: 0 })).toBe(10);
+    });
+});
+
+describe('margin and markup', () => {
+    test('are the profit as a share of the price and of the cost', () => {
+        expect(getMarginPercent(25, 10)).toBeCloseTo(60, 9);
+        expect(getMarkupPercent(25, 10)).toBeCloseTo(150, 9);
+    });
+
+    test('are zero without a price or a cost', () => {
+        expect(getMarginPercent(0, 10)).toBe(0);
+        expect(getMarkupPercent(25, 0)).toBe(0);
+    });
+});
+
+describe('getBreakEvenQuantity', () => {
+    test('is the smallest order that pays for the setup', () => {
+        expect(getBreakEvenQuantity(12, 10, 1000)).toBe(500);
+        expect(getBreakEvenQuantity(12, 10, 1001)).toBe(501);
+    });
+
+    test('is at least one piece without a setup cost', () => {
+        expect(getBreakEvenQuantity(12, 10, 0)).toBe(1);
+    });
+
+    test('never breaks even at or below the unit cost', () => {
+        expect(getBreakEvenQuantity(10, 10, 1000)).toBe(Infinity);
+        expect(getBreakEvenQuantity(9, 10, 0)).toBe(Infinity);
+    });
+});
+
+describe('solveTargetPrice', () => {
+    test('spreads the setup over the order quantity', () => {
+        const result = solveTargetPrice(12, { unitCost: 10, setupCost: 1000, quantity: 1000 });
+        expect(result.marginPercent).toBeCloseTo(100 / 6, 9);
+        expect(result.markupPercent).toBeCloseTo(20, 9);
+        expect(result.orderMarginPercent).toBeCloseTo(100 / 12, 9);
+        expect(result.breakEvenQuantity).toBe(500);
+    });
+});
@@ -0,0 +1,134 @@
+import { MATERIALS } from '../constants/materials';
+import { END_TYPES } from '../constants/springTypes';
+import { STANDARD_WIRE_SIZES } from '../constants/wireSizes';
+import { getTensileStrength, getSolidLength, getStressCorrection, getCompressionWireLength, getWireWeight } from './springMath';
+import { getCostBreakdown } from './costing';
+import { selectCoilingMachine } from './coiling';
+import { getMaterialYield } from './materialYield';
+import { getListPrice } from './pricing';
+import { FIT_LIMITS } from './fit';
+
+// Spring index range the coiling shop can make reliably
+export const SOLVER_INDEX_RANGE = { min: 4, max: 16 };
+
+// Active coil counts tried by the solver, in half-coil steps
+const ACTIVE_COIL_STEPS = Array.from({ length: 57 }, (_, i) => 2 + i * 0.5);
+
+// Mean diameters tried per wire size when a single target point leaves the rate free
+const DIAMETER_STEPS = 12;
+
+// Number of ranked candidates returned
+const MAX_CANDIDATES = 25;
+
+// Whether the active coils keep the recommended gap at a height, so the fit check's coil clash margin passes
+// spring: { wireD, coilsActive, solidLength }
+export const hasClashAllowance = ({ wireD, coilsActive, solidLength }, height) => (
+    (height - solidLength) / coilsActive >= FIT_LIMITS.minCoilGapRatio * wireD
+);
+
+// All cylindrical compression springs in one material that meet the target loads, envelope and stress limit
+// targets: one or two { load (N), height (mm) } points
+// envelope: { maxOD, minID, maxSolidLength } in mm, 0 for no limit
+// options: { material, endType, materialCost, pricing, dynamic, stressCorrection, costRates, coilingMachines, coilingMachine,
+//            quantity, rejectPercent, grindStockPercent, shotPeened, finished }
+export const findDesigns = (targets, envelope, options) => {
+    const materialProps = MATERIALS[options.material];
+    const { G, density } = materialProps;
+    const endProps = END_TYPES[options.endType];
+
+    // Working points ordered from the longest to the shortest height
+    const points = [...targets].sort((a, b) => b.height - a.height);
+    const lowest = points[points.length - 1];
+    const targetRate = points.length > 1
+        ? (points[1].load - points[0].load) / (points[0].height - points[1].height)
+        : null;
+
+    const candidates = [];
+
+    STANDARD_WIRE_SIZES.forEach(wireD => {
+        const { tensileStrength, inRange } = getTensileStrength(options.material, wireD);
+        if (!inRange) return;
+
+        // Mean diameter limits from the envelope and the spring index range
+        const minMeanD = Math.max(SOLVER_INDEX_RANGE.min * wireD, envelope.minID > 0 ? envelope.minID + wireD : 0);
+        const maxMeanD = Math.min(SOLVER_INDEX_RANGE.max * wireD, envelope.maxOD > 0 ? envelope.maxOD - wireD : Infinity);
+        if (minMeanD > maxMeanD) return;
+
+        ACTIVE_COIL_STEPS.forEach(coilsActive => {
+            // Two points fix the rate, so the mean diameter follows from k = Gd⁴/(8D³Na)
+            const meanDiameters = targetRate
+                ? [Math.cbrt(G * Math.pow(wireD, 4) / (8 * coilsActive * targetRate))]
+                : Array.from({ length: DIAMETER_STEPS }, (_, i) => minMeanD + (maxMeanD - minMeanD) * i / (DIAMETER_STEPS - 1));
+
+            meanDiameters.forEach(meanD => {
+                if (meanD < minMeanD - 1e-9 || meanD > maxMeanD + 1e-9) return;
+
+                const springRate = G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * coilsActive);
+                const freeLength = points[0].height + points[0].load / springRate;
+                const coilsTotal = coilsActive + endProps.endCoils;
+                const { solidLength } = getSolidLength(wireD, coilsTotal, options.endType, meanD);
+
+                // The coils must keep a working gap at the shortest working height, not just stop short of solid
+                if (!hasClashAllowance({ wireD, coilsActive, solidLength }, lowest.height)) return;
+                if (envelope.maxSolidLength > 0 && solidLength > envelope.maxSolidLength) return;
+
+                // Stress at the highest working load against the allowable for the service
+                const C = meanD / wireD;
+                const K = getStressCorrection(options.stressCorrection, C);
+                const maxLoad = springRate * (freeLength - lowest.height);
+                const stress = (8 * maxLoad * meanD * K) / (Math.PI * Math.pow(wireD, 3));
+                const allowableStress = materialProps.allowableStress[options.dynamic ? 'dynamic' : 'static'] * tensileStrength;
+                const stressUtilization = stress / allowableStress;
+                if (stressUtilization > 1) return;
+
+                // Price per spring from the full manufacturing cost, as in the main calculator
+                // A design no machine in the library can coil is left out
+                const wireLength = getCompressionWireLength(wireD, coilsActive, coilsTotal, freeLength, options.endType, meanD);
+                const coiling = selectCoilingMachine(options.coilingMachines, { wireD, od: meanD + wireD, wireLength }, options.quantity, options.coilingMachine);
+                if (!coiling) return;
+                const springWeight = getWireWeight(wireD, wireLength, density);
+                const { grossWeight } = getMaterialYield(
+                    [{ wireD, meanD, springWeight, groundEnds: endProps.ground, cutOffLength: coiling.machine.cutOffLength, setupScrapPieces: 0 }],
+                    { density, quantity: options.quantity, rejectPercent: options.rejectPercent, grindStockPercent: options.grindStockPercent }
+                );
+                const { totalCost } = getCostBreakdown({
+                    rawMaterialCost: (grossWeight / 1000) * options.materialCost,
+                    coilingCost: coiling.labourPerPiece,
+                    springWeight,
+                    pieces: 1,
+                    groundEnds: endProps.ground,
+                    shotPeened: options.shotPeened,
+                    finished: options.finished
+                }, options.costRates);
+                const pricePerSpring = getListPrice(totalCost, options.pricing);
+
+                candidates.push({
+                    material: options.material,
+                    wireD,
+                    meanD,
+                    outerD: meanD + wireD,
+                    innerD: meanD - wireD,
+                    coilsActive,
+                    coilsTotal,
+                    freeLength,
+                    solidLength,
+                    springRate,
+                    springIndex: C,
+                    stressUtilization,
+                    unitCost: totalCost,
+                    pricePerSpring
+                });
+            });
+        });
+    });
+
+    return candidates;
+};
+
+// Ranked standard-size designs for the target loads, cheapest first (lower cost, as under a fixed price, then lower
+// utilization break ties)
+export const solveCompressionSpring = (targets, envelope, options) => (
+    findDesigns(targets, envelope, options)
+        .sort((a, b) => a.pricePerSpring - b.pricePerSpring || a.unitCost - b.unitCost || a.stressUtilization - b.stressUtilization)
+        .slice(0, MAX_CANDIDATES)
+);
@@ -0,0 +1,86 @@
+import { findDesigns, solveCompressionSpring, hasClashAllowance } from './solver';
+import { checkFit, FIT_LIMITS } from './fit';
+import { DEFAULT_COST_RATES } from './costing';
+import { AUTO_MACHINE, createDefaultMachines } from './coiling';
+import { DEFAULT_PRICING } from './pricing';
+import { getStressCorrection } from './springMath';
+
+const MATERIAL = 'Music Wire (High Carbon Steel, ASTM A228)';
+
+const options = (overrides = {}) => ({
+    material: MATERIAL,
+    endType: 'closedGround',
+    materialCost: 200,
+    pricing: DEFAULT_PRICING,
+    dynamic: false,
+    stressCorrection: 'wahl',
+    costRates: DEFAULT_COST_RATES,
+    coilingMachines: createDefaultMachines(),
+    coilingMachine: AUTO_MACHINE,
+    quantity: 1000,
+    rejectPercent: 2,
+    grindStockPercent: 25,
+    shotPeened: false,
+    finished: false,
+    ...overrides
+});
+
+const targets = [{ load: 50, height: 30 }, { load: 100, height: 20 }];
+const envelope = { maxOD: 0, minID: 0, maxSolidLength: 0 };
+
+describe('hasClashAllowance', () => {
+    test('rejects a spring that goes solid at the height through rounding', () => {
+        expect(hasClashAllowance({ wireD: 2, coilsActive: 8, solidLength: 29.999999999999996 }, 30)).toBe(false);
+        expect(hasClashAllowance({ wireD: 2, coilsActive: 8, solidLength: 30 }, 30)).toBe(false);
+    });
+
+    test('requires the recommended gap between the active coils', () => {
+        const spring = { wireD: 1, coilsActive: 10, solidLength: 29 };
+        const minTravel = FIT_LIMITS.minCoilGapRatio * spring.wireD * spring.coilsActive;
+        expect(hasClashAllowance(spring, spring.solidLength + minTravel * 0.99)).toBe(false);
+        expect(hasClashAllowance(spring, spring.solidLength + minTravel * 1.01)).toBe(true);
+    });
+});
+
+describe('findDesigns', () => {
+    test('every design passes the coil clash check at the shortest target height', () => {
+        const designs = findDesigns(targets, envelope, options());
+        expect(designs.length).toBeGreaterThan(0);
+        designs.forEach(design => {
+            const fit = checkFit({ ...design, odTolerance: 0 }, [{ label: 'L2', height: 20 }], { boreDiameter: 0, rodDiameter: 0 });
+            expect(fit.coilClashStatus).toBe('pass');
+        });
+    });
+
+    test('designs meet both target loads', () => {
+        findDesigns(targets, envelope, options()).forEach(design => {
+            expect(design.springRate * (design.freeLength - 30)).toBeCloseTo(50, 6);
+            expect(design.springRate * (design.freeLength - 20)).toBeCloseTo(100, 6);
+        });
+    });
+
+    test('rates the stress with the selected correction', () => {
+        const key = (design) => `${design.wireD}-${design.coilsActive}-${design.meanD}`;
+        const wahl = new Map(findDesigns(targets, envelope, options()).map(design => [key(design), design]));
+        const bergstrasser = findDesigns(targets, envelope, options({ stressCorrection: 'bergstrasser' }));
+        expect(bergstrasser.length).toBeGreaterThan(0);
+        bergstrasser.filter(design => wahl.has(key(design))).forEach(design => {
+            const C = design.springIndex;
+            expect(design.stressUtilization / wahl.get(key(design)).stressUtilization)
+                .toBeCloseTo(getStressCorrection('bergstrasser', C) / getStressCorrection('wahl', C), 9);
+        });
+    });
+});
+
+describe('solveCompressionSpring', () => {
+    test('ranks the cheapest design first', () => {
+        const ranked = solveCompressionSpring(targets, envelope, options());
+        ranked.slice(1).forEach((design, i) => expect(design.pricePerSpring).toBeGreaterThanOrEqual(ranked[i].pricePerSpring));
+    });
+
+    test('falls back to the unit cost under a fixed price', () => {
+        const ranked = solveCompressionSpring(targets, envelope, options({ pricing: { ...DEFAULT_PRICING, pricingMode: 'fixed', fixedPrice: 10 } }));
+        ranked.forEach(design => expect(design.pricePerSpring).toBe(10));
+        ranked.slice(1).forEach((design, i) => expect(design.unitCost).toBeGreaterThanOrEqual(ranked[i].unitCost));
+    });
+});
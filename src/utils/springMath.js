@@ -0,0 +1,68 @@
+import { MATERIALS } from '../constants/materials';
+import { END_TYPES } from '../constants/springTypes';
+
+// Minimum tensile strength of a material at a wire diameter (Sut = A/d^m)
+// Outside the supplied diameter ranges the nearest range is extrapolated and inRange is false
+export const getTensileStrength = (material, wireD) => {
+    const ranges = MATERIALS[material].tensileStrength;
+    const minD = ranges[0].minD;
+    const maxD = ranges[ranges.length - 1].maxD;
+    const range = ranges.find(r => wireD >= r.minD && wireD <= r.maxD) || (wireD < minD ? ranges[0] : ranges[ranges.length - 1]);
+    return {
+        tensileStrength: range.A / Math.pow(wireD, range.m),
+        inRange: wireD >= minD && wireD <= maxD,
+        minD,
+        maxD
+    };
+};
+
+// Solid length of a compression spring (Ls = nt * d for ground ends, (nt + 1) * d for unground ends)
+// Adjacent coils of a conical spring nest into each other when the radial step between them
+// exceeds the wire diameter, down to a single wire diameter for a fully telescoping cone
+export const getSolidLength = (wireD, coilsTotal, endType, largeMeanD, smallMeanD = largeMeanD) => {
+    const radialStep = coilsTotal > 1 ? (largeMeanD - smallMeanD) / (2 * (coilsTotal - 1)) : 0;
+    const stackHeight = wireD + (coilsTotal - 1) * Math.sqrt(Math.max(0, wireD * wireD - radialStep * radialStep));
+    return {
+        solidLength: stackHeight + END_TYPES[endType].solidExtraCoils * wireD,
+        telescoping: radialStep >= wireD
+    };
+};
+
+// Wire length of a compression spring along the helix (mm), with the active coils at the pitch they are coiled to
+// and the end coils closed; coiledLength is the free length as coiled, before any presetting
+export const getCompressionWireLength = (wireD, coilsActive, coilsTotal, coiledLength, endType, largeMeanD, smallMeanD = largeMeanD) => {
+    const endProps = END_TYPES[endType];
+    const coiledPitch = (coiledLength - endProps.pitchDeadWires * wireD) / (coilsActive + endProps.pitchExtraCoils);
+    const averageCircumference = Math.PI * (largeMeanD + smallMeanD) / 2;
+    return coilsActive * Math.hypot(averageCircumference, coiledPitch)
+        + (coilsTotal - coilsActive) * Math.hypot(averageCircumference, wireD);
+};
+
+// Weight of a length of wire in grams (volume π(d/2)²L in mm³ * density in g/cm³ / 1000)
+export const getWireWeight = (wireD, wireLength, density) => Math.PI * Math.pow(wireD / 2, 2) * wireLength * density / 1000;
+
+// Curvature correction methods for the torsional stress in helical coils (τ = K * 8FD/(πd³))
+export const STRESS_CORRECTIONS = {
+    wahl: { label: 'Wahl', symbol: 'Kw' },
+    bergstrasser: { label: 'Bergsträsser', symbol: 'KB' },
+    none: { label: 'Uncorrected', symbol: 'K' }
+};
+
+// Stress correction factor at spring index C
+// Wahl: (4C - 1)/(4C - 4) + 0.615/C; Bergsträsser: (C + 0.5)/(C - 0.75); uncorrected: 1
+export const getStressCorrection = (method, C) => {
+    if (method === 'bergstrasser') return (C + 0.5) / (C - 0.75);
+    if (method === 'none') return 1;
+    return (4*C-1)/(4*C-4) + 0.615/C;
+};
+
+// Presetting (set removal): the spring is coiled long and pressed solid, taking a permanent set
+// that leaves favourable residual stress. Static stress at solid may then rise by allowableFactor
+// and relaxation drops by relaxationFactor; the set is limited to maxSet of the travel to solid
+export const PRESET = { allowableFactor: 1.4, relaxationFactor: 0.5, maxSet: 0.3 };
+
+// Extra free length to coil before presetting, so the set taken at solid brings the spring back to size
+// Yielding above the elastic limit shortens the travel to solid in proportion to the stress overshoot
+export const getPresetAllowance = (solidStress, elasticLimit, travel) => (
+    travel * Math.min(PRESET.maxSet, Math.max(0, solidStress / elasticLimit - 1))
+);
@@ -0,0 +1,20 @@
+import { getCompressionWireLength, getWireWeight } from './springMath';
+
+describe('getCompressionWireLength', () => {
+    test('runs the active coils along the helix at their pitch and closes the end coils', () => {
+        // Closed ends: pitch = (Lf - 3d) / Na = (86 - 6) / 8 = 10 mm
+        const wireLength = getCompressionWireLength(2, 8, 10, 86, 'closed', 20);
+        expect(wireLength).toBeCloseTo(8 * Math.hypot(20 * Math.PI, 10) + 2 * Math.hypot(20 * Math.PI, 2), 9);
+        expect(wireLength).toBeGreaterThan(Math.PI * 20 * 10);
+    });
+
+    test('takes the average circumference of a conical spring', () => {
+        expect(getCompressionWireLength(2, 8, 10, 86, 'closed', 30, 10)).toBeCloseTo(getCompressionWireLength(2, 8, 10, 86, 'closed', 20), 9);
+    });
+});
+
+describe('getWireWeight', () => {
+    test('weighs the wire volume at the material density', () => {
+        expect(getWireWeight(2, 1000, 7.85)).toBeCloseTo(Math.PI * 1000 * 7.85 / 1000, 9);
+    });
+});
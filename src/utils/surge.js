@@ -0,0 +1,42 @@
+// Surge: longitudinal waves running along the coils of a compression or extension spring
+// Treating the active coils as distributed mass, the modes of a spring with rate k (N/m) and active mass m (kg) are
+// fi = (i/2)√(k/m), i = 1, 2, 3… with both ends fixed, and fi = (i/4)√(k/m), i = 1, 3, 5… with one end free
+export const SURGE_ENDS = {
+    fixedFixed: { label: 'Both ends fixed', divisor: 2, orderStep: 1 },
+    fixedFree: { label: 'One end fixed, one free', divisor: 4, orderStep: 2 }
+};
+
+export const OPERATING_SPEED_UNITS = {
+    rpm: { label: 'rpm', perSecond: 1 / 60 },
+    hz: { label: 'Hz', perSecond: 1 }
+};
+
+// Smallest recommended ratio of the fundamental surge frequency to the operating frequency, the band
+// around a surge mode in which a harmonic of the operating frequency counts as near resonance, and the
+// number of surge modes checked
+export const SURGE_LIMITS = { minRatio: 13, nearBand: 0.1, modeCount: 5 };
+
+// Surge modes of a spring: springRate in N/mm, activeMass in g
+export const getSurgeModes = (springRate, activeMass, ends) => {
+    const { divisor, orderStep } = SURGE_ENDS[ends];
+    const waveFrequency = Math.sqrt((springRate * 1000) / (activeMass / 1000));
+    return Array.from({ length: SURGE_LIMITS.modeCount }, (_, i) => {
+        const order = 1 + i * orderStep;
+        return { order, frequency: order * waveFrequency / divisor };
+    });
+};
+
+// Ratio of the fundamental surge frequency to the operating frequency (Hz), and the harmonics of the
+// operating frequency that land within the near band of a surge mode
+export const checkResonance = (modes, operatingFrequency) => {
+    const ratio = modes[0].frequency / operatingFrequency;
+    const nearHarmonics = modes.flatMap(mode => {
+        const harmonic = Math.round(mode.frequency / operatingFrequency);
+        const forcingFrequency = harmonic * operatingFrequency;
+        const offset = (forcingFrequency - mode.frequency) / mode.frequency;
+        return harmonic >= 1 && Math.abs(offset) <= SURGE_LIMITS.nearBand
+            ? [{ mode: mode.order, modeFrequency: mode.frequency, harmonic, forcingFrequency, offset }]
+            : [];
+    });
+    return { ratio, ratioOk: ratio >= SURGE_LIMITS.minRatio, nearHarmonics };
+};
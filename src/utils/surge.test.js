@@ -0,0 +1,45 @@
+import { getSurgeModes, checkResonance, SURGE_LIMITS } from './surge';
+
+// 1 N/mm and 10 g of active coils: √(k/m) = √(1000 / 0.01) = 316.2 Hz
+const WAVE_FREQUENCY = Math.sqrt(1e5);
+
+describe('getSurgeModes', () => {
+    test('runs through every harmonic with both ends fixed', () => {
+        const modes = getSurgeModes(1, 10, 'fixedFixed');
+        expect(modes.map(mode => mode.order)).toEqual([1, 2, 3, 4, 5]);
+        expect(modes[0].frequency).toBeCloseTo(WAVE_FREQUENCY / 2, 9);
+        expect(modes[1].frequency).toBeCloseTo(WAVE_FREQUENCY, 9);
+    });
+
+    test('has only the odd modes at half the frequency with one end free', () => {
+        const modes = getSurgeModes(1, 10, 'fixedFree');
+        expect(modes.map(mode => mode.order)).toEqual([1, 3, 5, 7, 9]);
+        expect(modes[0].frequency).toBeCloseTo(WAVE_FREQUENCY / 4, 9);
+    });
+});
+
+describe('checkResonance', () => {
+    const modes = getSurgeModes(1, 10, 'fixedFixed');
+
+    test('meets the ratio limit just inside it and fails just outside it', () => {
+        expect(checkResonance(modes, modes[0].frequency / (SURGE_LIMITS.minRatio * 1.001)).ratioOk).toBe(true);
+        expect(checkResonance(modes, modes[0].frequency / (SURGE_LIMITS.minRatio * 0.999)).ratioOk).toBe(false);
+    });
+
+    test('fails a fundamental too close to the operating frequency', () => {
+        const result = checkResonance(modes, modes[0].frequency / 12);
+        expect(result.ratio).toBeCloseTo(12, 9);
+        expect(result.ratioOk).toBe(false);
+    });
+
+    test('finds the harmonics within the near band of a mode', () => {
+        const operatingFrequency = modes[0].frequency / 16 * 1.05;
+        const near = checkResonance(modes, operatingFrequency).nearHarmonics.find(item => item.mode === 1);
+        expect(near.harmonic).toBe(15);
+        expect(Math.abs(near.offset)).toBeLessThanOrEqual(SURGE_LIMITS.nearBand);
+    });
+
+    test('finds no harmonic far from every mode', () => {
+        expect(checkResonance(modes, modes[0].frequency * 7).nearHarmonics).toEqual([]);
+    });
+});
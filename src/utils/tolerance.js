@@ -0,0 +1,151 @@
+import { getStressCorrection } from './springMath';
+
+// Quantities reported by the tolerance analysis
+export const TOLERANCE_QUANTITIES = {
+    springRate: { label: 'Spring Rate' },
+    load: { label: 'Load at L1' },
+    stress: { label: 'Stress at L1' }
+};
+
+// Limits on the Monte Carlo sample count
+export const TOLERANCE_SAMPLE_RANGE = { min: 100, max: 100000 };
+
+// Quality grades of the EN 15800 / IS 7906 style tolerance classes, with the grade factor Q on the
+// grade 2 diameter, length and load deviations and the squareness limits of ground-end springs
+export const TOLERANCE_GRADES = {
+    1: { label: 'Grade 1 (fine)', factor: 0.63, perpendicularity: 0.03, parallelism: 0.015 },
+    2: { label: 'Grade 2 (medium)', factor: 1, perpendicularity: 0.05, parallelism: 0.03 },
+    3: { label: 'Grade 3 (coarse)', factor: 1.6, perpendicularity: 0.08, parallelism: 0.06 }
+};
+
+// Grade 2 coil diameter deviation ±AD (mm) by mean diameter, for spring index 4–8, 8–14 and 14–20
+const COIL_DIAMETER_DEVIATIONS = [
+    { maxD: 1, deviations: [0.05, 0.07, 0.1] },
+    { maxD: 1.6, deviations: [0.05, 0.07, 0.1] },
+    { maxD: 2.5, deviations: [0.07, 0.1, 0.15] },
+    { maxD: 4, deviations: [0.1, 0.1, 0.15] },
+    { maxD: 6.3, deviations: [0.1, 0.15, 0.2] },
+    { maxD: 10, deviations: [0.15, 0.15, 0.2] },
+    { maxD: 16, deviations: [0.15, 0.2, 0.25] },
+    { maxD: 25, deviations: [0.2, 0.25, 0.3] },
+    { maxD: 40, deviations: [0.25, 0.3, 0.35] },
+    { maxD: 50, deviations: [0.3, 0.4, 0.5] },
+    { maxD: 63, deviations: [0.4, 0.5, 0.6] },
+    { maxD: 80, deviations: [0.5, 0.7, 0.8] },
+    { maxD: 100, deviations: [0.6, 0.8, 0.9] },
+    { maxD: 125, deviations: [0.7, 0.9, 1] },
+    { maxD: 160, deviations: [0.8, 1, 1.1] },
+    { maxD: Infinity, deviations: [0.9, 1.2, 1.4] }
+];
+
+// Permissible deviations of a cylindrical compression spring in a tolerance grade
+// Free length and load deviations widen with the spring index, since slack coils are harder to hold
+// Returns ± deviations in mm and N, perpendicularity e1 (mm over the free length) and parallelism e2 (mm)
+export const getGradeTolerances = ({ meanD, wireD, freeLength, springRate, loadAtL1 }, grade) => {
+    const { factor, perpendicularity, parallelism } = TOLERANCE_GRADES[grade];
+    const C = meanD / wireD;
+
+    const row = COIL_DIAMETER_DEVIATIONS.find(({ maxD }) => meanD <= maxD);
+    const coilDiameter = row.deviations[C < 8 ? 0 : C < 14 ? 1 : 2] * factor;
+
+    // Free length: ±1.6% of L0 at index 4, growing with the index (never below 0.1 mm)
+    const indexFactor = 1 + Math.max(0, C - 4) / 16;
+    const baseFreeLength = Math.max(0.1, 0.016 * freeLength * indexFactor);
+    const freeLengthDeviation = baseFreeLength * factor;
+
+    // Load at L1: the grade 2 free length deviation through the rate, plus 1.5% of the load
+    const load = (baseFreeLength * springRate + 0.015 * loadAtL1) * factor;
+
+    return {
+        coilDiameter,
+        freeLength: freeLengthDeviation,
+        load,
+        perpendicularity: perpendicularity * freeLength,
+        parallelism: parallelism * (meanD + wireD)
+    };
+};
+
+// Bars in the Monte Carlo load histogram
+const HISTOGRAM_BINS = 20;
+
+// Small seeded generator (mulberry32), so the histogram stays put while other inputs are edited
+const createRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Standard normal sample by the Box–Muller transform
+const normalSample = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Rate, load and stress at L1 of a linear spring with one set of as-made dimensions
+// spec: { springType, coilsActive, loadHeight, G, E, initialTension, angularDeflection, stressCorrection }
+const evaluateSpring = (spec, { wireD, od, freeLength }) => {
+    const meanD = od - wireD;
+    const C = meanD / wireD;
+
+    if (spec.springType === 'torsion') {
+        // Torque rate per degree and bending stress with the inner-fibre curvature correction
+        const springRate = spec.E * Math.pow(wireD, 4) / (10.8 * meanD * spec.coilsActive) / 360;
+        const load = springRate * spec.angularDeflection;
+        const Ki = (4 * C * C - C - 1) / (4 * C * (C - 1));
+        return { springRate, load, stress: Ki * 32 * load / (Math.PI * Math.pow(wireD, 3)) };
+    }
+
+    const springRate = spec.G * Math.pow(wireD, 4) / (8 * Math.pow(meanD, 3) * spec.coilsActive);
+    const deflection = spec.springType === 'extension' ? spec.loadHeight - freeLength : freeLength - spec.loadHeight;
+    const load = spec.initialTension + springRate * deflection;
+    const K = getStressCorrection(spec.stressCorrection, C);
+    return { springRate, load, stress: (8 * load * meanD * K) / (Math.PI * Math.pow(wireD, 3)) };
+};
+
+// Propagate the drawing tolerances on wire diameter, OD and free length to rate, load at L1 and stress
+// nominal: { wireD, od, freeLength } in mm; tolerances: the matching ± values in mm
+// Worst case takes the extremes over every tolerance corner; the Monte Carlo run treats each
+// tolerance as ±3σ of a normal distribution
+export const propagateTolerances = (spec, nominal, tolerances, sampleCount) => {
+    const dimensions = Object.keys(nominal);
+    const quantities = Object.keys(TOLERANCE_QUANTITIES);
+    const nominalResult = evaluateSpring(spec, nominal);
+
+    // Worst case: all 2ⁿ combinations of the tolerance limits
+    const corners = Array.from({ length: 1 << dimensions.length }, (_, mask) => evaluateSpring(spec,
+        Object.fromEntries(dimensions.map((dimension, i) => (
+            [dimension, nominal[dimension] + (mask & (1 << i) ? 1 : -1) * tolerances[dimension]]
+        )))
+    ));
+    const worstCase = Object.fromEntries(quantities.map(quantity => {
+        const values = corners.map(corner => corner[quantity]);
+        return [quantity, { min: Math.min(...values), max: Math.max(...values) }];
+    }));
+
+    // Monte Carlo: normally distributed dimensions
+    const random = createRandom(sampleCount);
+    const samples = Array.from({ length: sampleCount }, () => evaluateSpring(spec,
+        Object.fromEntries(dimensions.map(dimension => (
+            [dimension, nominal[dimension] + normalSample(random) * tolerances[dimension] / 3]
+        )))
+    ));
+    const monteCarlo = Object.fromEntries(quantities.map(quantity => {
+        const values = samples.map(sample => sample[quantity]);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+        return [quantity, {
+            min: values.reduce((min, value) => Math.min(min, value), Infinity),
+            max: values.reduce((max, value) => Math.max(max, value), -Infinity),
+            mean,
+            stdDev: Math.sqrt(variance)
+        }];
+    }));
+
+    // Histogram of the sampled loads at L1
+    const { min, max } = monteCarlo.load;
+    const binWidth = (max - min) / HISTOGRAM_BINS || 1;
+    const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({ load: min + (i + 0.5) * binWidth, count: 0 }));
+    samples.forEach(sample => {
+        histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((sample.load - min) / binWidth))].count++;
+    });
+
+    return { nominal: nominalResult, worstCase, monteCarlo, histogram, sampleCount };
+};
@@ -0,0 +1,41 @@
+import { propagateTolerances } from './tolerance';
+
+const spec = { springType: 'compression', coilsActive: 8, loadHeight: 30, G: 79300, E: 206000, initialTension: 0, angularDeflection: 0, stressCorrection: 'wahl' };
+const nominal = { wireD: 2, od: 20, freeLength: 50 };
+const tolerances = { wireD: 0.02, od: 0.2, freeLength: 0.5 };
+
+describe('propagateTolerances', () => {
+    test('evaluates the nominal spring with k = Gd⁴/(8D³Na)', () => {
+        const { nominal: result } = propagateTolerances(spec, nominal, tolerances, 100);
+        const springRate = 79300 * 16 / (8 * Math.pow(18, 3) * 8);
+        expect(result.springRate).toBeCloseTo(springRate, 9);
+        expect(result.load).toBeCloseTo(springRate * 20, 9);
+    });
+
+    test('collapses to the nominal spring without tolerances', () => {
+        const zero = { wireD: 0, od: 0, freeLength: 0 };
+        const result = propagateTolerances(spec, nominal, zero, 100);
+        expect(result.worstCase.load.min).toBeCloseTo(result.nominal.load, 9);
+        expect(result.worstCase.load.max).toBeCloseTo(result.nominal.load, 9);
+        expect(result.monteCarlo.load.stdDev).toBeCloseTo(0, 9);
+    });
+
+    test('centres the Monte Carlo loads on the nominal, inside the worst case', () => {
+        const result = propagateTolerances(spec, nominal, tolerances, 2000);
+        expect(result.worstCase.load.min).toBeLessThan(result.nominal.load);
+        expect(result.worstCase.load.max).toBeGreaterThan(result.nominal.load);
+        expect(result.monteCarlo.load.mean).toBeCloseTo(result.nominal.load, 0);
+        expect(result.monteCarlo.load.stdDev).toBeLessThan((result.worstCase.load.max - result.worstCase.load.min) / 2);
+    });
+
+    test('bins every sample in the load histogram', () => {
+        const result = propagateTolerances(spec, nominal, tolerances, 500);
+        expect(result.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(500);
+    });
+
+    test('repeats the same samples for the same sample count', () => {
+        const first = propagateTolerances(spec, nominal, tolerances, 500);
+        const second = propagateTolerances(spec, nominal, tolerances, 500);
+        expect(second.monteCarlo).toEqual(first.monteCarlo);
+    });
+});
@@ -0,0 +1,86 @@
+// Unit systems for entry, display and export
+// State and every calculation stay in the canonical metric units (mm, N, MPa, g, °C, ₹); values are
+// converted only on the way in and out, so switching systems back and forth never drifts
+export const UNIT_SYSTEMS = {
+    metric: { label: 'Metric (mm, N, MPa)' },
+    imperial: { label: 'Imperial (in, lbf, psi)' }
+};
+
+// Currencies prices can be shown in; the exchange rate is rupees per unit of the currency
+// pdfSymbol stands in for symbols the built-in PDF fonts cannot draw
+export const CURRENCIES = {
+    INR: { label: 'Indian Rupee (₹)', symbol: '₹', pdfSymbol: 'Rs. ' },
+    USD: { label: 'US Dollar ($)', symbol: '$', pdfSymbol: '$' },
+    EUR: { label: 'Euro (€)', symbol: '€', pdfSymbol: 'EUR ' }
+};
+
+const POUND_PER_KG = 2.2046226218;
+
+// Physical quantities: metric and imperial unit, imperial value per canonical unit, and the extra
+// decimals the imperial value needs to show the same resolution
+const QUANTITIES = {
+    length: { metric: 'mm', imperial: 'in', factor: 1 / 25.4, decimals: 2 },
+    force: { metric: 'N', imperial: 'lbf', factor: 1 / 4.4482216153, decimals: 1 },
+    stress: { metric: 'MPa', imperial: 'psi', factor: 145.0377377, decimals: -2 },
+    rate: { metric: 'N/mm', imperial: 'lbf/in', factor: 25.4 / 4.4482216153, decimals: 0 },
+    torque: { metric: 'N·mm', imperial: 'lbf·in', factor: 1 / 112.98482905, decimals: 2 },
+    torqueRate: { metric: 'N·mm/°', imperial: 'lbf·in/°', factor: 1 / 112.98482905, decimals: 2 },
+    energy: { metric: 'N·mm', imperial: 'lbf·in', factor: 1 / 112.98482905, decimals: 2 },
+    mass: { metric: 'g', imperial: 'oz', factor: 1 / 28.349523125, decimals: 1 },
+    bulkMass: { metric: 'kg', imperial: 'lb', factor: POUND_PER_KG, decimals: 0 },
+    density: { metric: 'g/cm³', imperial: 'lb/in³', factor: 0.036127292, decimals: 2 },
+    volume: { metric: 'mm³', imperial: 'in³', factor: 1 / 16387.064, decimals: 4 },
+    temperature: { metric: '°C', imperial: '°F', factor: 9 / 5, offset: 32, decimals: 0 }
+};
+
+// Converters and labels for one unit system and currency
+// Quantities are the keys of QUANTITIES, plus 'price' (₹) and 'pricePerMass' (₹/kg)
+// Prices stay in rupees, under the rupee symbol, until the currency has a usable exchange rate
+export const createUnits = (system = 'metric', currency = 'INR', exchangeRate = 0) => {
+    const imperial = system === 'imperial';
+    const priceCurrency = CURRENCIES[currency] && exchangeRate > 0 ? currency : 'INR';
+    const { symbol, pdfSymbol } = CURRENCIES[priceCurrency];
+    const currencyFactor = priceCurrency === 'INR' ? 1 : 1 / exchangeRate;
+
+    const spec = (quantity) => {
+        if (quantity === 'price') return { unit: symbol, factor: currencyFactor, offset: 0, decimals: 0 };
+        if (quantity === 'pricePerMass') {
+            return imperial
+                ? { unit: `${symbol}/lb`, factor: currencyFactor / POUND_PER_KG, offset: 0, decimals: 0 }
+                : { unit: `${symbol}/kg`, factor: currencyFactor, offset: 0, decimals: 0 };
+        }
+        const { metric, imperial: imperialUnit, factor, offset = 0, decimals } = QUANTITIES[quantity];
+        return imperial ? { unit: imperialUnit, factor, offset, decimals } : { unit: metric, factor: 1, offset: 0, decimals: 0 };
+    };
+
+    const toDisplay = (quantity, value) => {
+        const { factor, offset } = spec(quantity);
+        return value * factor + offset;
+    };
+
+    return {
+        system,
+        imperial,
+        currency: priceCurrency,
+        symbol,
+        pdfSymbol,
+        unit: (quantity) => spec(quantity).unit,
+        toDisplay,
+        fromDisplay: (quantity, value) => {
+            const { factor, offset } = spec(quantity);
+            return (value - offset) / factor;
+        },
+        // Fixed-point text with the metric decimals, widened or narrowed for the imperial unit
+        format: (quantity, value, decimals = 2) => (
+            toDisplay(quantity, value).toFixed(Math.min(6, Math.max(0, decimals + spec(quantity).decimals)))
+        ),
+        // Value for a form field: rounded to 6 significant figures so converted entries read cleanly
+        field: (quantity, value) => {
+            const { factor, offset } = spec(quantity);
+            if (typeof value !== 'number' || (factor === 1 && offset === 0)) return value;
+            return Number(toDisplay(quantity, value).toPrecision(6));
+        },
+        money: (value, decimals = 2) => `${symbol}${(value * currencyFactor).toFixed(decimals)}`,
+        pdfMoney: (value, decimals = 2) => `${pdfSymbol}${(value * currencyFactor).toFixed(decimals)}`
+    };
+};
@@ -0,0 +1,66 @@
+import { createUnits } from './units';
+import { describeCoilShape } from '../constants/springTypes';
+
+describe('createUnits', () => {
+    test('leaves metric values unconverted', () => {
+        const units = createUnits();
+        expect(units.toDisplay('length', 12.5)).toBe(12.5);
+        expect(units.unit('force')).toBe('N');
+        expect(units.format('length', 12.345)).toBe('12.35');
+    });
+
+    test('converts imperial values both ways', () => {
+        const units = createUnits('imperial');
+        expect(units.toDisplay('length', 25.4)).toBeCloseTo(1, 12);
+        expect(units.toDisplay('force', 4.4482216153)).toBeCloseTo(1, 9);
+        expect(units.fromDisplay('force', units.toDisplay('force', 123.4))).toBeCloseTo(123.4, 9);
+        expect(units.unit('force')).toBe('lbf');
+    });
+
+    test('offsets temperatures', () => {
+        const units = createUnits('imperial');
+        expect(units.toDisplay('temperature', 100)).toBeCloseTo(212, 9);
+        expect(units.fromDisplay('temperature', 32)).toBeCloseTo(0, 9);
+    });
+
+    test('widens the decimals of the imperial unit', () => {
+        expect(createUnits('imperial').format('length', 25.4)).toBe('1.0000');
+    });
+
+    test('rounds converted form fields to six significant figures', () => {
+        expect(createUnits('imperial').field('length', 10)).toBe(0.393701);
+        expect(createUnits().field('length', 10)).toBe(10);
+    });
+
+    test('prices in the selected currency at the exchange rate', () => {
+        const units = createUnits('metric', 'USD', 80);
+        expect(units.money(160)).toBe('$2.00');
+        expect(units.toDisplay('price', 160)).toBe(2);
+        expect(units.unit('pricePerMass')).toBe('$/kg');
+    });
+
+    test('falls back to rupees without a usable exchange rate', () => {
+        [0, -80, NaN, ''].forEach(exchangeRate => {
+            const units = createUnits('metric', 'USD', exchangeRate);
+            expect(units.money(160)).toBe('₹160.00');
+            expect(units.pdfMoney(160)).toBe('Rs. 160.00');
+            expect(units.unit('pricePerMass')).toBe('₹/kg');
+            expect(units.currency).toBe('INR');
+        });
+        expect(createUnits('metric', 'USD').money(160)).toBe('₹160.00');
+    });
+});
+
+describe('describeCoilShape', () => {
+    const conical = { coilShape: 'conical', diameter: 25.4, smallDiameter: 12.7, pitchType: 'uniform', pitchRatio: 1 };
+
+    test('prints the conical diameters in the selected unit system', () => {
+        expect(describeCoilShape(conical, createUnits())).toBe('Conical (25.40 to 12.70 mm), uniform pitch');
+        expect(describeCoilShape(conical, createUnits('imperial'))).toBe('Conical (1.0000 to 0.5000 in), uniform pitch');
+    });
+
+    test('describes a cylindrical variable-pitch spring', () => {
+        expect(describeCoilShape({ coilShape: 'cylindrical', pitchType: 'variable', pitchRatio: 1.5 }, createUnits()))
+            .toBe('Cylindrical, variable pitch (ratio 1.5)');
+    });
+});
@@ -0,0 +1,58 @@
+import { MATERIALS } from '../constants/materials';
+import { STANDARD_WIRE_SIZES, STOCKED_WIRE_SIZES, WIRE_TOLERANCE_CLASSES, WIRE_TOLERANCE_BAND_LIMITS } from '../constants/wireSizes';
+
+// Browser storage key of the edited catalogue
+const STORAGE_KEY = 'springCalculator.wireCatalogue';
+
+// Tolerance class new and default catalogue sizes are bought to
+export const DEFAULT_WIRE_TOLERANCE_CLASS = 'T5';
+
+// ± wire diameter deviation (mm) of a tolerance class at a diameter
+export const getWireTolerance = (toleranceClass, wireD) => {
+    const band = WIRE_TOLERANCE_BAND_LIMITS.findIndex(maxD => wireD <= maxD);
+    return WIRE_TOLERANCE_CLASSES[toleranceClass].bands[band];
+};
+
+// Standard sizes within the diameter range the material has tensile strength data for
+export const createDefaultWireSizes = (material) => {
+    const ranges = MATERIALS[material].tensileStrength;
+    const minD = ranges[0].minD;
+    const maxD = ranges[ranges.length - 1].maxD;
+    return STANDARD_WIRE_SIZES
+        .filter(wireD => wireD >= minD && wireD <= maxD)
+        .map(wireD => ({ wireD, toleranceClass: DEFAULT_WIRE_TOLERANCE_CLASS, stocked: STOCKED_WIRE_SIZES.includes(wireD) }));
+};
+
+export const createDefaultCatalogue = () => (
+    Object.fromEntries(Object.keys(MATERIALS).map(material => [material, createDefaultWireSizes(material)]))
+);
+
+// Catalogue saved in this browser, with the default sizes for any material it does not cover
+export const loadWireCatalogue = () => {
+    const catalogue = createDefaultCatalogue();
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        Object.keys(catalogue).forEach(material => {
+            if (Array.isArray(saved[material])) catalogue[material] = saved[material];
+        });
+    } catch (error) {
+        // Unreadable or blocked storage: start from the defaults
+    }
+    return catalogue;
+};
+
+export const saveWireCatalogue = (catalogue) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(catalogue));
+    } catch (error) {
+        // Full or blocked storage: the edits last for this session only
+    }
+};
+
+// Catalogue entry for a diameter, or null when it is not a catalogue size
+export const findWireSize = (sizes, wireD) => sizes.find(size => Math.abs(size.wireD - wireD) < 1e-6) || null;
+
+// Closest catalogue size to a diameter, or null for an empty catalogue
+export const findNearestWireSize = (sizes, wireD) => sizes.reduce((nearest, size) => (
+    !nearest || Math.abs(size.wireD - wireD) < Math.abs(nearest.wireD - wireD) ? size : nearest
+), null);
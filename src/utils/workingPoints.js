@@ -0,0 +1,85 @@
+// What a working point is specified by; the other quantity is computed and carries the tolerance
+// quantity and toleranceQuantity are unit quantities of utils/units
+export const WORKING_POINT_MODES = {
+    height: { label: 'Height', quantity: 'length', toleranceQuantity: 'force' },
+    load: { label: 'Load', quantity: 'force', toleranceQuantity: 'length' }
+};
+
+export const createWorkingPoint = () => ({ mode: 'height', value: 0, tolerance: 0 });
+
+// Height, load, stress and clearances at each working point of a compression or extension spring
+// points: [{ label, mode, value, tolerance }]; height is the extended length for extension springs
+// spring: { springType, freeLength, solidLength, maxLoad, stressAtSolid, loadAt, deflectionAt, stressAt }
+// loadAt/deflectionAt convert between deflection from free and load; maxLoad is the load at solid (or Infinity)
+export const calculateWorkingPoints = (points, spring) => {
+    const isExtension = spring.springType === 'extension';
+
+    return points.map(({ label, mode, value, tolerance }) => {
+        let deflection;
+        let error = '';
+        if (mode === 'height') {
+            deflection = isExtension ? value - spring.freeLength : spring.freeLength - value;
+            if (deflection < 0) error = isExtension ? 'Shorter than the free length' : 'Longer than the free length';
+            else if (!isExtension && value < spring.solidLength) error = 'Below the solid length';
+        } else {
+            if (value > spring.maxLoad) error = 'More than the load at solid';
+            else if (spring.loadAt(0) > value) error = 'Less than the initial tension';
+            deflection = error ? 0 : spring.deflectionAt(value);
+        }
+
+        const height = isExtension ? spring.freeLength + deflection : spring.freeLength - deflection;
+        const load = error ? 0 : spring.loadAt(deflection);
+        const stress = error ? 0 : spring.stressAt(load);
+
+        return {
+            label,
+            mode,
+            tolerance,
+            error,
+            deflection,
+            height: mode === 'height' ? value : height,
+            load: mode === 'load' ? value : load,
+            stress,
+            solidStressPercent: !isExtension && spring.stressAtSolid > 0 ? stress / spring.stressAtSolid * 100 : null,
+            // Travel left before the coils clash at solid
+            clashMargin: isExtension ? null : height - spring.solidLength
+        };
+    });
+};
+
+// Table of working points for the exports in the units of createUnits: header row, then one row of strings per point
+export const formatWorkingPointRows = (workingPoints, springType, units) => {
+    const isExtension = springType === 'extension';
+    const header = [
+        'Point',
+        `${isExtension ? 'Extended Length' : 'Height'} (${units.unit('length')})`,
+        `Load (${units.unit('force')})`,
+        `Stress (${units.unit('stress')})`,
+        ...(isExtension ? [] : ['% of Solid Stress', `Clash Margin (${units.unit('length')})`])
+    ];
+    const rows = workingPoints.map(point => {
+        const tolerance = point.tolerance > 0
+            ? ` ± ${units.field(WORKING_POINT_MODES[point.mode].toleranceQuantity, point.tolerance)}`
+            : '';
+        if (point.error) {
+            return [
+                point.label,
+                point.mode === 'height' ? `${units.field('length', point.height)}` : '',
+                point.mode === 'load' ? `${units.field('force', point.load)}` : '',
+                point.error,
+                ...(isExtension ? [] : ['', ''])
+            ];
+        }
+        return [
+            point.label,
+            `${units.format('length', point.height)}${point.mode === 'load' ? tolerance : ''}`,
+            `${units.format('force', point.load)}${point.mode === 'height' ? tolerance : ''}`,
+            units.format('stress', point.stress, 1),
+            ...(isExtension ? [] : [
+                point.solidStressPercent === null ? '' : point.solidStressPercent.toFixed(1),
+                units.format('length', point.clashMargin)
+            ])
+        ];
+    });
+    return [header, ...rows];
+};
@@ -0,0 +1,2 @@
+// Kept in its own module and loaded with a dynamic import, because Jest cannot parse import.meta
+export const createOptimizerWorker = () => new Worker(new URL('./optimizer.worker.js', import.meta.url));
@@ -0,0 +1,8 @@
+import { optimizeDesigns } from '../utils/optimizer';
+
+// Runs the cost-optimal design search off the main thread
+// eslint-disable-next-line no-restricted-globals
+self.onmessage = (event) => {
+    // eslint-disable-next-line no-restricted-globals
+    self.postMessage(optimizeDesigns(event.data));
+};